@@ -0,0 +1,330 @@
+// ==========================================
+// aiPrompts.js - قوالب طلبات النموذج ونسخها
+// ==========================================
+// لكل قالب اسم وعدة نسخ: { params, render(vars) => نص الطلب }
+// و params إعدادات التوليد (temperature, maxTokens) التي تمرر للمزود.
+// النسخة الفعالة لكل قالب في ACTIVE_VERSIONS، ويمكن تبديلها بدون تعديل الكود عبر
+// AI_PROMPT_VERSIONS=grading:v2,rubric_grading:v2
+// تعديل نص قالب مستخدم يكون بإضافة نسخة جديدة وليس بتغيير القديمة، حتى يبقى كل تقييم
+// محفوظ مرتبطاً بالنص الذي أنتجه، ويمكن مقارنة النسختين قبل التبديل (regrade-compare)
+const { describeRubric } = require('./rubricService');
+
+const PROMPTS = {
+  PERFORMANCE_ANALYSIS: 'performance_analysis',
+  RECOMMENDATIONS: 'recommendations',
+  TASK_EVALUATION: 'task_evaluation',
+  TASK_DRAFT: 'task_draft',
+  GRADING: 'grading',
+  RUBRIC_GRADING: 'rubric_grading'
+};
+
+// الأسئلة قد تكون نصوصاً أو كائنات فيها text
+function formatQuestions(questions) {
+  if (!questions || questions.length === 0) return 'لا توجد أسئلة';
+  return questions
+    .map((q, i) => `${i + 1}. ${typeof q === 'string' ? q : q.text || JSON.stringify(q)}`)
+    .join('\n');
+}
+
+// إجابة الطالب مع نصوص الملفات المرفقة (submission.attachments: [{ name, text }])
+function formatSubmission(submission) {
+  const attachments = submission.attachments || [];
+  if (attachments.length === 0) return submission.content;
+
+  return [
+    submission.content,
+    ...attachments.map(file => `### الملف المرفق: ${file.name}\n${file.text}`)
+  ].filter(Boolean).join('\n\n');
+}
+
+// ==========================================
+// القوالب
+// ==========================================
+const TEMPLATES = {
+  // تحليل أداء الطالب
+  performance_analysis: {
+    v1: {
+      params: {},
+      render: ({ submissions, skillScores, weakSkills }) => `
+أنت خبير تربوي متخصص في مهارات القرن 21. قم بتحليل أداء الطالب التالي:
+
+## بيانات الطالب:
+- عدد المهام المنجزة: ${submissions.length}
+- المهارات الضعيفة: ${weakSkills.join(', ')}
+- متوسط الدرجات: ${JSON.stringify(skillScores)}
+
+## المطلوب:
+1. تحليل شامل لأداء الطالب
+2. تحديد نقاط القوة والضعف بدقة
+3. شرح السبب وراء ضعف كل مهارة
+4. اقتراحات عملية للتحسين
+
+قدم التحليل بصيغة JSON بهذا الشكل:
+{
+  "overallAnalysis": "تحليل عام",
+  "strengths": ["قوة 1", "قوة 2"],
+  "weaknesses": [
+    {
+      "skill": "اسم المهارة",
+      "reason": "سبب الضعف",
+      "suggestions": ["اقتراح 1", "اقتراح 2"]
+    }
+  ],
+  "futureProjection": "توقع الأداء المستقبلي"
+}
+`
+    }
+  },
+
+  // توصيات لتحسين مهارة ضعيفة
+  recommendations: {
+    v1: {
+      params: {},
+      render: ({ skillName, currentLevel, studentHistory }) => `
+أنت مستشار تعليمي ذكي. الطالب ضعيف في مهارة "${skillName}" بمستوى ${currentLevel}%.
+
+## تاريخ المهام السابقة:
+${studentHistory.map(h => `- ${h.taskTitle}: ${h.score}%`).join('\n')}
+
+## المطلوب:
+1. تشخيص دقيق لسبب الضعف
+2. 5 أنشطة عملية لتحسين المهارة
+3. 3 مصادر تعليمية (كورسات/كتب/فيديوهات)
+4. خطة تطوير لمدة 7 أيام و 30 يوم
+
+قدم الإجابة بصيغة JSON:
+{
+  "diagnosis": "التشخيص",
+  "activities": ["نشاط 1", "نشاط 2", ...],
+  "resources": [
+    {
+      "title": "اسم المصدر",
+      "type": "course/book/video",
+      "url": "الرابط",
+      "duration": "المدة"
+    }
+  ],
+  "developmentPlan": {
+    "week": ["يوم 1", "يوم 2", ...],
+    "month": ["أسبوع 1", "أسبوع 2", ...]
+  }
+}
+`
+    }
+  },
+
+  // تقييم جودة المهمة (JCSEE Standards)
+  task_evaluation: {
+    v1: {
+      params: {},
+      render: ({ taskDescription, questions, rubric, studentSubmission }) => `
+أنت خبير في معايير JCSEE لتقييم جودة أدوات التقييم. قيّم المهمة التالية:
+
+## وصف المهمة:
+${taskDescription}
+
+## الأسئلة:
+${formatQuestions(questions)}
+
+## معيار التقييم:
+${rubric ? describeRubric(rubric) : 'لا يوجد معيار تقييم'}
+
+## حل الطالب:
+${studentSubmission || 'لا يوجد حل مرفق، قيّم المهمة نفسها فقط'}
+
+## المطلوب:
+قيّم المهمة بناءً على معايير JCSEE التالية:
+1. Utility (الفائدة): هل المهمة مفيدة لقياس المهارات؟
+2. Feasibility (الجدوى): هل المهمة قابلة للتنفيذ؟
+3. Propriety (الملاءمة): هل المهمة عادلة ومناسبة؟
+4. Accuracy (الدقة): هل المهمة دقيقة في القياس؟
+
+قدم التقييم بصيغة JSON:
+{
+  "scores": {
+    "utility": 85,
+    "feasibility": 90,
+    "propriety": 80,
+    "accuracy": 88
+  },
+  "overallQuality": 86,
+  "feedback": "ملاحظات عامة",
+  "improvements": ["تحسين 1", "تحسين 2"]
+}
+`
+    }
+  },
+
+  // مسودة مهمة من موضوع ومهارات
+  task_draft: {
+    v1: {
+      params: {},
+      render: ({ topic, gradeLevel, skills, questionCount }) => `
+أنت معلم خبير في تصميم مهام تقيس مهارات القرن 21. صمم مهمة تقييم كاملة:
+
+## الموضوع:
+${topic}
+
+## المرحلة الدراسية:
+${gradeLevel}
+
+## المهارات المستهدفة (استخدم المفتاح المكتوب بين الأقواس المربعة):
+${skills.map(skill => `- [${skill.key}] ${skill.name_en} (${skill.name_ar})`).join('\n')}
+
+## المطلوب:
+1. عنوان قصير ووصف واضح للمهمة يشرح للطالب ما المطلوب منه
+2. ${questionCount} أسئلة مفتوحة تناسب المرحلة وتقيس المهارات المستهدفة
+3. معيار تقييم (Rubric): معيار لكل جانب مهم، مرتبط بمهارة واحدة أو أكثر من المهارات المستهدفة،
+   وله 4 مستويات بأسماء مختلفة ونقاط تنازلية ووصف لما يميز كل مستوى
+
+قدم المهمة بصيغة JSON:
+{
+  "title": "عنوان المهمة",
+  "description": "وصف المهمة",
+  "questions": [
+    { "text": "نص السؤال" }
+  ],
+  "rubric": {
+    "criteria": [
+      {
+        "title": "اسم المعيار",
+        "description": "ما يقيسه المعيار",
+        "weight": 1,
+        "skills": ["${skills.map(skill => skill.key).join(' | ')}"],
+        "levels": [
+          { "label": "ممتاز", "points": 4, "descriptor": "وصف المستوى" },
+          { "label": "جيد", "points": 3, "descriptor": "وصف المستوى" },
+          { "label": "مقبول", "points": 2, "descriptor": "وصف المستوى" },
+          { "label": "مبتدئ", "points": 1, "descriptor": "وصف المستوى" }
+        ]
+      }
+    ]
+  }
+}
+`
+    }
+  },
+
+  // تقييم حل الطالب على مهارات المدرسة
+  grading: {
+    v1: {
+      params: {},
+      render: ({ taskData, submission, skills }) => `
+أنت معلم خبير. قيّم حل الطالب التالي بناءً على مهارات القرن 21:
+
+## المهمة:
+${taskData.description}
+
+## الأسئلة:
+${formatQuestions(taskData.questions)}
+
+## إجابة الطالب:
+${formatSubmission(submission)}
+
+## المطلوب:
+قيّم الإجابة على المهارات التالية (0-100)، واستخدم المفتاح المكتوب بين الأقواس المربعة:
+${skills.map(skill => `- [${skill.key}] ${skill.name_en} (${skill.name_ar})`).join('\n')}
+
+قدم التقييم بصيغة JSON:
+{
+  "skillScores": {
+${skills.map(skill => `    "${skill.key}": 80`).join(',\n')}
+  },
+  "overallScore": 80,
+  "feedback": "ملاحظات مفصلة",
+  "recommendations": ["توصية 1", "توصية 2"]
+}
+`
+    }
+  },
+
+  // تقييم حل الطالب حسب معيار المهمة (Rubric)
+  rubric_grading: {
+    v1: {
+      params: {},
+      render: ({ taskData, submission, rubric }) => `
+أنت معلم خبير. قيّم حل الطالب التالي باستخدام معيار التقييم (Rubric) المحدد من المعلم فقط:
+
+## المهمة:
+${taskData.description}
+
+## الأسئلة:
+${formatQuestions(taskData.questions)}
+
+## معيار التقييم:
+${describeRubric(rubric)}
+
+## إجابة الطالب:
+${formatSubmission(submission)}
+
+## المطلوب:
+لكل معيار اختر مستوى واحداً فقط يصف إجابة الطالب بدقة (اكتب اسم المستوى كما هو بين علامتي التنصيص)، مع تعليق قصير يبرر الاختيار.
+
+قدم التقييم بصيغة JSON:
+{
+  "criteria": [
+${rubric.criteria.map(c => `    { "criterionId": "${c.id}", "level": "${c.levels.map(l => l.label).join(' | ')}", "comment": "سبب اختيار المستوى" }`).join(',\n')}
+  ],
+  "feedback": "ملاحظات مفصلة",
+  "recommendations": ["توصية 1", "توصية 2"]
+}
+`
+    }
+  }
+};
+
+const ACTIVE_VERSIONS = {
+  performance_analysis: 'v1',
+  recommendations: 'v1',
+  task_evaluation: 'v1',
+  task_draft: 'v1',
+  grading: 'v1',
+  rubric_grading: 'v1'
+};
+
+// ==========================================
+// اختيار النسخة
+// ==========================================
+// AI_PROMPT_VERSIONS: "name:version,name:version" والقوالب غير المذكورة تبقى على ACTIVE_VERSIONS
+function parseVersionOverrides(value) {
+  return Object.fromEntries((value || '')
+    .split(',')
+    .map(pair => pair.trim().split(':').map(part => part.trim()))
+    .filter(([name, version]) => name && version));
+}
+
+const hasPromptVersion = (name, version) => !!TEMPLATES[name]?.[version];
+
+function activeVersion(name, env = process.env) {
+  const override = parseVersionOverrides(env.AI_PROMPT_VERSIONS)[name];
+  if (override && !hasPromptVersion(name, override)) {
+    throw new Error(`AI_PROMPT_VERSIONS sets unknown version "${override}" for prompt "${name}"`);
+  }
+  return override || ACTIVE_VERSIONS[name];
+}
+
+// يرجع { name, version, params, text }، و version اختياري والافتراضي النسخة الفعالة
+function renderPrompt(name, vars, { version } = {}) {
+  const selected = version || activeVersion(name);
+  const template = TEMPLATES[name]?.[selected];
+  if (!template) throw new Error(`Unknown prompt "${name}" version "${selected}"`);
+
+  return { name, version: selected, params: { ...template.params }, text: template.render(vars) };
+}
+
+// القوالب ونسخها مع النسخة الفعالة لكل منها
+function listPrompts(env = process.env) {
+  return Object.entries(TEMPLATES).map(([name, versions]) => ({
+    name,
+    active: activeVersion(name, env),
+    versions: Object.entries(versions).map(([version, template]) => ({ version, params: template.params }))
+  }));
+}
+
+module.exports = {
+  PROMPTS,
+  hasPromptVersion,
+  activeVersion,
+  renderPrompt,
+  listPrompts
+};
@@ -0,0 +1,212 @@
+// ==========================================
+// aiProvider.js - مزودات نماذج الذكاء الاصطناعي
+// ==========================================
+// كل مزود يوفر نفس الواجهة:
+//   { name, model, generate(prompt, options) => { text, usage } }
+// ويتم اختيار المزود عبر AI_PROVIDER: gemini | openai | local | mock
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-pro',
+  openai: 'gpt-4o-mini',
+  local: 'llama3',
+  mock: 'mock-deterministic'
+};
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// ==========================================
+// Google Gemini
+// ==========================================
+function createGeminiProvider({ apiKey, model, timeoutMs }) {
+  if (!apiKey) throw new Error('GOOGLE_AI_KEY is required for the gemini provider');
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, options = {}) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+          temperature: options.temperature,
+          maxOutputTokens: options.maxTokens
+        }
+      }, { timeout: timeoutMs });
+      const result = await generativeModel.generateContent(prompt);
+      const response = await result.response;
+      const usage = response.usageMetadata;
+
+      return {
+        text: response.text(),
+        usage: usage ? {
+          inputTokens: usage.promptTokenCount || 0,
+          outputTokens: usage.candidatesTokenCount || 0
+        } : null
+      };
+    }
+  };
+}
+
+// ==========================================
+// أي خادم متوافق مع OpenAI (OpenAI, vLLM, Ollama, LM Studio...)
+// ==========================================
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model, timeoutMs }) {
+  if (!baseUrl) throw new Error(`AI_BASE_URL is required for the ${name} provider`);
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    model,
+    async generate(prompt, options = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: options.temperature,
+          max_tokens: options.maxTokens
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`${name} provider returned ${response.status}: ${body.slice(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: data.usage ? {
+          inputTokens: data.usage.prompt_tokens || 0,
+          outputTokens: data.usage.completion_tokens || 0
+        } : null
+      };
+    }
+  };
+}
+
+// ==========================================
+// مزود وهمي ثابت النتائج (للتطوير و CI بدون شبكة)
+// ==========================================
+// يأخذ نموذج JSON الموجود في نهاية الطلب ويعيده بعد استبدال
+// الأرقام بقيم مشتقة من بصمة الطلب، فنفس الطلب يعطي نفس النتيجة دائماً.
+// النصوص بصيغة "أ | ب | ج" تعتبر خيارات ويُختار منها واحد
+function extractJsonTemplate(prompt) {
+  const end = prompt.lastIndexOf('}');
+
+  // قد يحتوي الطلب على JSON آخر قبل النموذج (مثل بيانات الطالب)
+  for (let start = prompt.indexOf('{'); start !== -1 && start < end; start = prompt.indexOf('{', start + 1)) {
+    const cleaned = prompt
+      .slice(start, end + 1)
+      .replace(/,\s*\.\.\.(?=\s*[\]}])/g, '');
+
+    try {
+      return JSON.parse(cleaned);
+    } catch (error) {
+      // جرّب بداية القوس التالية
+    }
+  }
+  return null;
+}
+
+function createMockProvider({ model }) {
+  return {
+    name: 'mock',
+    model,
+    async generate(prompt) {
+      const seed = crypto.createHash('sha256').update(prompt).digest();
+      let cursor = 0;
+      // درجات بين 60 و 95 حتى تظهر نقاط قوة وضعف في البيانات التجريبية
+      const nextByte = () => seed[cursor++ % seed.length];
+      const nextScore = () => 60 + (nextByte() % 36);
+
+      const fill = (value) => {
+        if (typeof value === 'number') return nextScore();
+        if (typeof value === 'string' && value.includes(' | ')) {
+          const options = value.split(' | ');
+          return options[nextByte() % options.length];
+        }
+        if (Array.isArray(value)) return value.map(fill);
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fill(v)]));
+        }
+        return value;
+      };
+
+      const template = extractJsonTemplate(prompt);
+      const text = JSON.stringify(template ? fill(template) : { text: 'mock response' });
+
+      return {
+        text,
+        usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) }
+      };
+    }
+  };
+}
+
+// ==========================================
+// اختيار المزود من متغيرات البيئة
+// ==========================================
+function resolveProviderName(env) {
+  if (env.AI_PROVIDER) return env.AI_PROVIDER.toLowerCase();
+  if (env.GOOGLE_AI_KEY) return 'gemini';
+  // بدون إعدادات: المزود الوهمي في التطوير، ولا شيء في الإنتاج
+  return env.NODE_ENV === 'production' ? null : 'mock';
+}
+
+function createAIProvider(env = process.env) {
+  const name = resolveProviderName(env);
+  if (!name) return null;
+
+  const model = env.AI_MODEL || DEFAULT_MODELS[name];
+  const timeoutMs = parseInt(env.AI_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10);
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GOOGLE_AI_KEY, model, timeoutMs });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        name,
+        baseUrl: env.AI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.AI_API_KEY,
+        model,
+        timeoutMs
+      });
+    case 'local':
+      return createOpenAICompatibleProvider({
+        name,
+        baseUrl: env.AI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: env.AI_API_KEY,
+        model,
+        timeoutMs
+      });
+    case 'mock':
+      return createMockProvider({ model });
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}" (expected gemini, openai, local or mock)`);
+  }
+}
+
+let defaultProvider;
+
+// مزود مشترك واحد للتطبيق كله، يُنشأ عند أول استخدام
+function getAIProvider() {
+  if (defaultProvider === undefined) {
+    defaultProvider = createAIProvider();
+  }
+  return defaultProvider;
+}
+
+module.exports = {
+  createAIProvider,
+  getAIProvider
+};
@@ -0,0 +1,251 @@
+// ==========================================
+// aiSchemas.js - أشكال استجابات الذكاء الاصطناعي والتحقق منها
+// ==========================================
+// مخطط بسيط يكفي لما نطلبه من النموذج:
+//   { type: 'object', properties, required }
+//   { type: 'array', items, minItems }
+//   { type: 'string' } | { type: 'number' } | { type: 'score' }
+// النوع score رقم يُقص إلى المدى 0-100
+
+const SCORE_MIN = 0;
+const SCORE_MAX = 100;
+
+const score = { type: 'score' };
+const text = { type: 'string' };
+const textList = { type: 'array', items: text };
+
+function clampScore(value) {
+  return Math.min(SCORE_MAX, Math.max(SCORE_MIN, Math.round(value * 10) / 10));
+}
+
+// ==========================================
+// التحقق
+// ==========================================
+// يرجع القيمة بعد التنظيف (قص الدرجات، تحويل الأرقام النصية) وقائمة الأخطاء
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'score':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        errors.push(`${path} must be a number`);
+        return { value, errors };
+      }
+      return { value: schema.type === 'score' ? clampScore(number) : number, errors };
+    }
+
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push(`${path} must be a non-empty string`);
+      }
+      return { value, errors };
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return { value, errors };
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      const items = value.map((item, i) => {
+        const result = validate(item, schema.items, `${path}[${i}]`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+      return { value: items, errors };
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return { value, errors };
+      }
+      const cleaned = { ...value };
+      const required = schema.required || Object.keys(schema.properties || {});
+
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] === undefined || value[key] === null) {
+          if (required.includes(key)) errors.push(`${path}.${key} is required`);
+          return;
+        }
+        const result = validate(value[key], propertySchema, `${path}.${key}`);
+        errors.push(...result.errors);
+        cleaned[key] = result.value;
+      });
+      return { value: cleaned, errors };
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+// ==========================================
+// استخراج JSON من نص النموذج
+// ==========================================
+// النماذج أحياناً تضيف شرحاً أو ```json حول الإجابة
+function extractJson(text) {
+  if (typeof text !== 'string') return { error: 'empty response' };
+
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return { error: 'no JSON object found in response' };
+
+  try {
+    return { value: JSON.parse(unfenced.slice(start, end + 1)) };
+  } catch (error) {
+    return { error: `invalid JSON: ${error.message}` };
+  }
+}
+
+// ==========================================
+// المخططات
+// ==========================================
+const schemas = {
+  // توصيات التطوير (generateRecommendations)
+  recommendations: {
+    type: 'object',
+    properties: {
+      diagnosis: text,
+      activities: { type: 'array', items: text, minItems: 1 },
+      resources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { title: text, type: text, url: text, duration: text },
+          required: ['title', 'type']
+        }
+      },
+      developmentPlan: {
+        type: 'object',
+        properties: { week: textList, month: textList }
+      }
+    },
+    required: ['diagnosis', 'activities', 'developmentPlan']
+  },
+
+  // تقييم جودة المهمة حسب معايير JCSEE (evaluateTaskQuality)
+  taskEvaluation: {
+    type: 'object',
+    properties: {
+      scores: {
+        type: 'object',
+        properties: { utility: score, feasibility: score, propriety: score, accuracy: score }
+      },
+      overallQuality: score,
+      feedback: text,
+      improvements: textList
+    },
+    required: ['scores', 'overallQuality', 'feedback']
+  },
+
+  // مسودة مهمة من مساعد التأليف (draftTask)
+  taskDraft: {
+    type: 'object',
+    properties: {
+      title: text,
+      description: text,
+      questions: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'object', properties: { text }, required: ['text'] }
+      },
+      rubric: {
+        type: 'object',
+        properties: {
+          criteria: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                title: text,
+                description: text,
+                weight: { type: 'number' },
+                skills: textList,
+                levels: {
+                  type: 'array',
+                  minItems: 2,
+                  items: {
+                    type: 'object',
+                    properties: { label: text, points: { type: 'number' }, descriptor: text },
+                    required: ['label', 'points']
+                  }
+                }
+              },
+              required: ['title', 'skills', 'levels']
+            }
+          }
+        }
+      }
+    },
+    required: ['title', 'description', 'questions', 'rubric']
+  },
+
+  // تقييم الحل حسب معيار المهمة (gradeWithRubric)
+  rubricGrading: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: { criterionId: text, level: text, comment: text },
+          required: ['criterionId', 'level']
+        }
+      },
+      feedback: text,
+      recommendations: textList
+    },
+    required: ['criteria', 'feedback']
+  },
+
+  // تحليل أداء الطالب (analyzeStudentPerformance)
+  performanceAnalysis: {
+    type: 'object',
+    properties: {
+      overallAnalysis: text,
+      strengths: textList,
+      weaknesses: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { skill: text, reason: text, suggestions: textList },
+          required: ['skill', 'reason']
+        }
+      },
+      futureProjection: text
+    },
+    required: ['overallAnalysis', 'strengths', 'weaknesses']
+  }
+};
+
+// تقييم حل الطالب (autoGradeSubmission)، والمهارات تأتي من إطار المدرسة
+function gradingSchema(skillKeys) {
+  return {
+    type: 'object',
+    properties: {
+      skillScores: {
+        type: 'object',
+        properties: Object.fromEntries(skillKeys.map(key => [key, score]))
+      },
+      overallScore: score,
+      feedback: text,
+      recommendations: textList
+    },
+    required: ['skillScores', 'overallScore', 'feedback']
+  };
+}
+
+module.exports = {
+  schemas,
+  gradingSchema,
+  validate,
+  extractJson,
+  clampScore
+};
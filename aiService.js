@@ -1,231 +1,219 @@
 // ==========================================
 // aiService.js - خدمة الذكاء الاصطناعي
 // ==========================================
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getAIProvider } = require('./aiProvider');
+const { schemas, gradingSchema, validate, extractJson } = require('./aiSchemas');
+const { normalizeRubric } = require('./rubricService');
+const { PROMPTS, renderPrompt } = require('./aiPrompts');
+
+const MAX_ATTEMPTS = parseInt(process.env.AI_MAX_ATTEMPTS || '3', 10);
+
+// خطأ عندما يفشل النموذج في إعطاء استجابة صالحة بعد كل المحاولات
+class AIResponseError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.details = details;
+  }
+}
+
+// ==========================================
+// طلب JSON مطابق للمخطط مع إعادة المحاولة
+// ==========================================
+// prompt: ناتج renderPrompt ({ name, version, params, text }).
+// عند فشل التحقق نعيد الطلب مع توضيح الأخطاء للنموذج حتى يصححها.
+// check اختياري لقواعد لا يعبر عنها المخطط، ويرجع قائمة أخطاء.
+// provider اختياري بنفس واجهة aiProvider (مثل المزود المقاس من aiUsageService)، والافتراضي المزود المشترك.
+// يرجع { value, generation } و generation سجل لإعادة إنتاج النتيجة:
+// { prompt, prompt_version, provider, model, params, raw_output, attempts }
+async function generateJSON(prompt, schema, { maxAttempts = MAX_ATTEMPTS, check, provider = getAIProvider() } = {}) {
+  if (!provider) {
+    throw new Error('AI provider is not configured (set AI_PROVIDER or GOOGLE_AI_KEY)');
+  }
+
+  let currentPrompt = prompt.text;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { text } = await provider.generate(currentPrompt, prompt.params);
+    const parsed = extractJson(text);
+
+    if (parsed.error) {
+      errors = [parsed.error];
+    } else {
+      const result = validate(parsed.value, schema);
+      errors = result.errors.length === 0 && check ? check(result.value) : result.errors;
+      if (errors.length === 0) {
+        return {
+          value: result.value,
+          generation: {
+            prompt: prompt.name,
+            prompt_version: prompt.version,
+            provider: provider.name,
+            model: provider.model,
+            params: prompt.params,
+            raw_output: text,
+            attempts: attempt
+          }
+        };
+      }
+    }
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
+    console.warn(`⚠️ Invalid AI response (attempt ${attempt}/${maxAttempts}):`, errors.join('; '));
+    currentPrompt = `${prompt.text}
+
+## تنبيه:
+إجابتك السابقة لم تكن صالحة للأسباب التالية:
+${errors.map(e => `- ${e}`).join('\n')}
+
+أعد الإجابة بصيغة JSON فقط وبنفس الشكل المطلوب تماماً، بدون أي نص قبله أو بعده، وكل الدرجات أرقام بين 0 و 100.`;
+  }
+
+  throw new AIResponseError('AI response failed validation', errors);
+}
 
 // ==========================================
 // تحليل أداء الطالب
 // ==========================================
-async function analyzeStudentPerformance(studentData) {
+// options في كل الدوال: { provider, promptVersion } و promptVersion لتجربة نسخة غير الفعالة
+async function analyzeStudentPerformance(studentData, options = {}) {
   try {
-    const { submissions, skillScores, weakSkills } = studentData;
-
-    const prompt = `
-أنت خبير تربوي متخصص في مهارات القرن 21. قم بتحليل أداء الطالب التالي:
-
-## بيانات الطالب:
-- عدد المهام المنجزة: ${submissions.length}
-- المهارات الضعيفة: ${weakSkills.join(', ')}
-- متوسط الدرجات: ${JSON.stringify(skillScores)}
-
-## المطلوب:
-1. تحليل شامل لأداء الطالب
-2. تحديد نقاط القوة والضعف بدقة
-3. شرح السبب وراء ضعف كل مهارة
-4. اقتراحات عملية للتحسين
-
-قدم التحليل بصيغة JSON بهذا الشكل:
-{
-  "overallAnalysis": "تحليل عام",
-  "strengths": ["قوة 1", "قوة 2"],
-  "weaknesses": [
-    {
-      "skill": "اسم المهارة",
-      "reason": "سبب الضعف",
-      "suggestions": ["اقتراح 1", "اقتراح 2"]
-    }
-  ],
-  "futureProjection": "توقع الأداء المستقبلي"
-}
-`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    // تنظيف الاستجابة وتحويلها لـ JSON
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    return { error: 'فشل في تحليل البيانات' };
+    const prompt = renderPrompt(PROMPTS.PERFORMANCE_ANALYSIS, studentData, { version: options.promptVersion });
+    const { value } = await generateJSON(prompt, schemas.performanceAnalysis, options);
+    return value;
   } catch (error) {
     console.error('AI Analysis Error:', error);
-    return { error: error.message };
+    throw error;
   }
 }
 
 // ==========================================
 // توليد توصيات ذكية
 // ==========================================
-async function generateRecommendations(skillName, currentLevel, studentHistory) {
+async function generateRecommendations(skillName, currentLevel, studentHistory, options = {}) {
   try {
-    const prompt = `
-أنت مستشار تعليمي ذكي. الطالب ضعيف في مهارة "${skillName}" بمستوى ${currentLevel}%.
-
-## تاريخ المهام السابقة:
-${studentHistory.map(h => `- ${h.taskTitle}: ${h.score}%`).join('\n')}
-
-## المطلوب:
-1. تشخيص دقيق لسبب الضعف
-2. 5 أنشطة عملية لتحسين المهارة
-3. 3 مصادر تعليمية (كورسات/كتب/فيديوهات)
-4. خطة تطوير لمدة 7 أيام و 30 يوم
-
-قدم الإجابة بصيغة JSON:
-{
-  "diagnosis": "التشخيص",
-  "activities": ["نشاط 1", "نشاط 2", ...],
-  "resources": [
-    {
-      "title": "اسم المصدر",
-      "type": "course/book/video",
-      "url": "الرابط",
-      "duration": "المدة"
-    }
-  ],
-  "developmentPlan": {
-    "week": ["يوم 1", "يوم 2", ...],
-    "month": ["أسبوع 1", "أسبوع 2", ...]
-  }
-}
-`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    return { error: 'فشل في توليد التوصيات' };
+    const prompt = renderPrompt(PROMPTS.RECOMMENDATIONS, { skillName, currentLevel, studentHistory }, {
+      version: options.promptVersion
+    });
+    const { value } = await generateJSON(prompt, schemas.recommendations, options);
+    return value;
   } catch (error) {
     console.error('AI Recommendations Error:', error);
-    return { error: error.message };
+    throw error;
   }
 }
 
 // ==========================================
 // تقييم جودة المهمة (JCSEE Standards)
 // ==========================================
-async function evaluateTaskQuality(taskData) {
+// rubric اختياري: معيار المهمة بالشكل المخزن في tasks.rubric
+async function evaluateTaskQuality(taskData, options = {}) {
   try {
-    const { taskDescription, questions, studentSubmission } = taskData;
-
-    const prompt = `
-أنت خبير في معايير JCSEE لتقييم جودة أدوات التقييم. قيّم المهمة التالية:
-
-## وصف المهمة:
-${taskDescription}
-
-## الأسئلة:
-${questions.join('\n')}
-
-## حل الطالب:
-${studentSubmission}
-
-## المطلوب:
-قيّم المهمة بناءً على معايير JCSEE التالية:
-1. Utility (الفائدة): هل المهمة مفيدة لقياس المهارات؟
-2. Feasibility (الجدوى): هل المهمة قابلة للتنفيذ؟
-3. Propriety (الملاءمة): هل المهمة عادلة ومناسبة؟
-4. Accuracy (الدقة): هل المهمة دقيقة في القياس؟
-
-قدم التقييم بصيغة JSON:
-{
-  "scores": {
-    "utility": 85,
-    "feasibility": 90,
-    "propriety": 80,
-    "accuracy": 88
-  },
-  "overallQuality": 86,
-  "feedback": "ملاحظات عامة",
-  "improvements": ["تحسين 1", "تحسين 2"]
-}
-`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    return { error: 'فشل في تقييم المهمة' };
+    const prompt = renderPrompt(PROMPTS.TASK_EVALUATION, taskData, { version: options.promptVersion });
+    const { value } = await generateJSON(prompt, schemas.taskEvaluation, options);
+    return value;
   } catch (error) {
     console.error('AI Task Evaluation Error:', error);
-    return { error: error.message };
+    throw error;
   }
 }
 
 // ==========================================
-// تقييم تلقائي لحل الطالب
+// مساعد تأليف المهام
 // ==========================================
-async function autoGradeSubmission(taskData, submission) {
+// مسودة مهمة (وصف وأسئلة ومعيار تقييم) من موضوع ومرحلة ومهارات مستهدفة.
+// skills: [{ id, key, name_en, name_ar }] من إطار المدرسة، والنموذج يربط كل معيار
+// بمفاتيحها ثم تُحوّل لمعرفات، فيصبح المعيار جاهزاً لـ POST /api/tasks
+async function draftTask({ topic, gradeLevel, skills, questionCount }, options = {}) {
   try {
-    const prompt = `
-أنت معلم خبير. قيّم حل الطالب التالي بناءً على مهارات القرن 21:
-
-## المهمة:
-${taskData.description}
-
-## الأسئلة:
-${taskData.questions.join('\n')}
-
-## إجابة الطالب:
-${submission.content}
-
-## المطلوب:
-قيّم الإجابة على المهارات التالية (0-100):
-- Communication (التواصل)
-- Critical Thinking (التفكير النقدي)
-- Creativity (الإبداع)
-- Collaboration (التعاون)
-- Problem Solving (حل المشكلات)
-
-قدم التقييم بصيغة JSON:
-{
-  "skillScores": {
-    "communication": 85,
-    "criticalThinking": 78,
-    "creativity": 65,
-    "collaboration": 90,
-    "problemSolving": 82
-  },
-  "overallScore": 80,
-  "feedback": "ملاحظات مفصلة",
-  "recommendations": ["توصية 1", "توصية 2"]
+    const prompt = renderPrompt(PROMPTS.TASK_DRAFT, { topic, gradeLevel, skills, questionCount }, {
+      version: options.promptVersion
+    });
+
+    const idsByKey = new Map(skills.map(skill => [skill.key, skill.id]));
+    const toRubric = (draft) => normalizeRubric({
+      criteria: draft.rubric.criteria.map(({ skills: keys, ...criterion }) => ({
+        ...criterion,
+        skill_ids: (keys || []).map(key => idsByKey.get(key) || key)
+      }))
+    }, skills.map(skill => skill.id));
+
+    const check = (value) => {
+      const errors = [];
+      value.rubric.criteria.forEach((criterion, i) => {
+        (criterion.skills || []).forEach(key => {
+          if (!idsByKey.has(key)) errors.push(`rubric.criteria[${i}].skills has unknown key "${key}"`);
+        });
+      });
+      return errors.length ? errors : toRubric(value).errors;
+    };
+
+    const { value: draft } = await generateJSON(prompt, schemas.taskDraft, { ...options, check });
+    return {
+      title: draft.title,
+      description: draft.description,
+      questions: draft.questions.map(q => ({ text: q.text })),
+      rubric: toRubric(draft).rubric
+    };
+  } catch (error) {
+    console.error('AI Task Draft Error:', error);
+    throw error;
+  }
 }
-`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    return { error: 'فشل في تقييم الحل' };
+
+// ==========================================
+// تقييم تلقائي لحل الطالب
+// ==========================================
+// skills: مهارات إطار المدرسة [{ key, name_en, name_ar }]، ومفاتيحها هي مفاتيح skillScores.
+// دالتا التقييم ترجعان generation مع النتيجة ليُحفظ مع التقييم
+async function autoGradeSubmission(taskData, submission, skills, options = {}) {
+  try {
+    const prompt = renderPrompt(PROMPTS.GRADING, { taskData, submission, skills }, { version: options.promptVersion });
+    const { value, generation } = await generateJSON(prompt, gradingSchema(skills.map(skill => skill.key)), options);
+    return { ...value, generation };
   } catch (error) {
     console.error('AI Grading Error:', error);
-    return { error: error.message };
+    throw error;
+  }
+}
+
+// ==========================================
+// تقييم حل الطالب حسب معيار المهمة (Rubric)
+// ==========================================
+// النموذج يختار مستوى لكل معيار فقط، والدرجات تُحسب في rubricService
+async function gradeWithRubric(taskData, submission, options = {}) {
+  try {
+    const { rubric } = taskData;
+    const prompt = renderPrompt(PROMPTS.RUBRIC_GRADING, { taskData, submission, rubric }, { version: options.promptVersion });
+
+    const check = (value) => {
+      const errors = [];
+      rubric.criteria.forEach(criterion => {
+        const result = value.criteria.find(c => c.criterionId === criterion.id);
+        if (!result) {
+          errors.push(`criteria is missing criterionId "${criterion.id}"`);
+        } else if (!criterion.levels.some(l => l.label === result.level)) {
+          errors.push(`criterion "${criterion.id}" level must be one of: ${criterion.levels.map(l => `"${l.label}"`).join(', ')}`);
+        }
+      });
+      return errors;
+    };
+
+    const { value, generation } = await generateJSON(prompt, schemas.rubricGrading, { ...options, check });
+    return { ...value, generation };
+  } catch (error) {
+    console.error('AI Rubric Grading Error:', error);
+    throw error;
   }
 }
 
 module.exports = {
+  AIResponseError,
+  generateJSON,
   analyzeStudentPerformance,
   generateRecommendations,
   evaluateTaskQuality,
-  autoGradeSubmission
+  draftTask,
+  autoGradeSubmission,
+  gradeWithRubric
 };
\ No newline at end of file
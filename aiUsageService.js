@@ -0,0 +1,339 @@
+// ==========================================
+// aiUsageService.js - قياس استخدام الذكاء الاصطناعي وحدوده وتخزين الاستجابات
+// ==========================================
+// كل طلب للنموذج يُسجل في ai_usage مع المدرسة والمستخدم والمسار وعدد الرموز (tokens).
+// المزود المقاس يوفر نفس واجهة aiProvider: { name, model, generate(prompt, options) }
+// فيمرر لدوال aiService بدل المزود المشترك.
+// الطلب المطابق (نفس المزود والنموذج ونص الطلب، والنص يتضمن حل الطالب) يُرجع من ai_cache
+// بدون استدعاء النموذج، ويُسجل كـ cached ولا يُحسب من حدود المدرسة.
+// الحدود اليومية والشهرية لكل مدرسة في schools.ai_quota ويضبطها مشغّل المنصة،
+// والقيم الافتراضية من AI_QUOTA_DAILY_REQUESTS و AI_QUOTA_DAILY_TOKENS
+// و AI_QUOTA_MONTHLY_REQUESTS و AI_QUOTA_MONTHLY_TOKENS (بدونها لا حدود)
+const crypto = require('crypto');
+
+const QUOTA_LIMITS = ['daily_requests', 'daily_tokens', 'monthly_requests', 'monthly_tokens'];
+const USAGE_GROUPS = ['endpoint', 'user', 'day'];
+
+const DEFAULT_CACHE_TTL_HOURS = 168;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 366;
+
+// خطأ عندما تتجاوز المدرسة أحد حدودها، ولا فائدة من إعادة المحاولة قبل بداية الفترة التالية
+class AIQuotaError extends Error {
+  constructor(exceeded) {
+    super(`AI ${exceeded.period} ${exceeded.metric} quota exceeded (${exceeded.used}/${exceeded.limit})`);
+    this.name = 'AIQuotaError';
+    this.exceeded = exceeded;
+    this.retryable = false;
+  }
+}
+
+// ==========================================
+// الحدود
+// ==========================================
+const parseLimit = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+function defaultQuota(env = process.env) {
+  return Object.fromEntries(QUOTA_LIMITS.map(limit => [limit, parseLimit(env[`AI_QUOTA_${limit.toUpperCase()}`])]));
+}
+
+// حدود المدرسة المخزنة مدموجة مع الافتراضية، و null يعني بلا حد
+function schoolQuota(school, env = process.env) {
+  const stored = school?.ai_quota && typeof school.ai_quota === 'object' ? school.ai_quota : {};
+  const quota = defaultQuota(env);
+  QUOTA_LIMITS.forEach(limit => {
+    if (stored[limit] !== undefined) quota[limit] = stored[limit];
+  });
+  return quota;
+}
+
+// { daily_requests?, daily_tokens?, monthly_requests?, monthly_tokens? } => { quota, errors }
+// كل حد عدد صحيح موجب أو null (بلا حد)، والحدود غير المرسلة تبقى كما هي.
+// input = null يعيد المدرسة للحدود الافتراضية
+function normalizeQuota(input, current = null) {
+  if (input === null) return { quota: null, errors: [] };
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { quota: current, errors: ['ai_quota must be an object'] };
+  }
+
+  const errors = [];
+  const quota = { ...(current || {}) };
+  Object.entries(input).forEach(([limit, value]) => {
+    if (!QUOTA_LIMITS.includes(limit)) {
+      errors.push(`ai_quota.${limit} is not a known limit (expected ${QUOTA_LIMITS.join(', ')})`);
+    } else if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+      errors.push(`ai_quota.${limit} must be a positive integer or null`);
+    } else {
+      quota[limit] = value;
+    }
+  });
+
+  return { quota, errors };
+}
+
+// بداية اليوم والشهر الحاليين وبداية التاليين (UTC)
+function quotaPeriods(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  return {
+    daily: { start: new Date(Date.UTC(year, month, day)), resets_at: new Date(Date.UTC(year, month, day + 1)) },
+    monthly: { start: new Date(Date.UTC(year, month, 1)), resets_at: new Date(Date.UTC(year, month + 1, 1)) }
+  };
+}
+
+// ==========================================
+// السجل
+// ==========================================
+// التجميع في دوال قاعدة البيانات (migrations/017_ai_usage.sql) وليس بجلب الصفوف،
+// فحدود الصفوف في الاستعلام لا تؤثر على العد
+async function callUsage(supabase, fn, params) {
+  const { data, error } = await supabase.rpc(fn, params);
+  if (error) throw error;
+  return data || [];
+}
+
+// استخدام المدرسة في اليوم والشهر الحاليين (بدون الطلبات المخزنة)، مع حدودها
+async function getQuotaStatus(supabase, school, { env = process.env, now = new Date() } = {}) {
+  const quota = schoolQuota(school, env);
+  const periods = quotaPeriods(now);
+  const [totals = {}] = await callUsage(supabase, 'ai_usage_totals', {
+    p_school_id: school.id,
+    p_day_start: periods.daily.start.toISOString(),
+    p_month_start: periods.monthly.start.toISOString()
+  });
+
+  const status = {
+    quota,
+    daily: {
+      requests: Number(totals.daily_requests || 0),
+      tokens: Number(totals.daily_tokens || 0),
+      resets_at: periods.daily.resets_at.toISOString()
+    },
+    monthly: {
+      requests: Number(totals.monthly_requests || 0),
+      tokens: Number(totals.monthly_tokens || 0),
+      resets_at: periods.monthly.resets_at.toISOString()
+    }
+  };
+
+  // أول حد متجاوز أو null
+  status.exceeded = null;
+  for (const limit of QUOTA_LIMITS) {
+    const [period, metric] = limit.split('_');
+    const used = status[period][metric];
+    if (quota[limit] !== null && used >= quota[limit]) {
+      status.exceeded = { period, metric, limit: quota[limit], used, resets_at: status[period].resets_at };
+      break;
+    }
+  }
+
+  return status;
+}
+
+// تقرير الاستخدام بين from و to مجمعاً حسب endpoint | user | day
+async function getUsageReport(supabase, school, { from, to, groupBy = 'endpoint' }) {
+  const rows = await callUsage(supabase, 'ai_usage_report', {
+    p_school_id: school.id,
+    p_from: from.toISOString(),
+    p_to: to.toISOString(),
+    p_group_by: groupBy
+  });
+
+  const totals = { requests: 0, cached_requests: 0, input_tokens: 0, output_tokens: 0 };
+  const groups = rows.map(row => {
+    const group = { key: row.key };
+    Object.keys(totals).forEach(field => {
+      group[field] = Number(row[field] || 0);
+      totals[field] += group[field];
+    });
+    return group;
+  });
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    group_by: groupBy,
+    totals,
+    groups: groups.sort((a, b) => (b.input_tokens + b.output_tokens) - (a.input_tokens + a.output_tokens))
+  };
+}
+
+// query: from, to (ISO)، group_by. الافتراضي من بداية الشهر الحالي حتى الآن
+function parseUsageQuery(query, now = new Date()) {
+  const errors = [];
+  const from = query.from ? new Date(query.from) : quotaPeriods(now).monthly.start;
+  const to = query.to ? new Date(query.to) : now;
+  const groupBy = query.group_by || 'endpoint';
+
+  if (Number.isNaN(from.getTime())) errors.push('from must be an ISO date');
+  if (Number.isNaN(to.getTime())) errors.push('to must be an ISO date');
+  if (!errors.length && (to <= from || to - from > MAX_REPORT_DAYS * 24 * HOUR_MS)) {
+    errors.push(`to must be after from and within ${MAX_REPORT_DAYS} days`);
+  }
+  if (!USAGE_GROUPS.includes(groupBy)) errors.push(`group_by must be one of: ${USAGE_GROUPS.join(', ')}`);
+
+  return { options: { from, to, groupBy }, errors };
+}
+
+// ==========================================
+// المزود المقاس
+// ==========================================
+// provider: المزود المشترك من aiProvider. cacheTtlHours = 0 يعطل التخزين.
+// start/stop لحذف الاستجابات المنتهية كل cleanupIntervalMs
+function createAIUsage(supabase, provider, {
+  env = process.env,
+  cacheTtlHours = parseFloat(env.AI_CACHE_TTL_HOURS ?? DEFAULT_CACHE_TTL_HOURS),
+  cleanupIntervalMs = parseInt(env.AI_CACHE_CLEANUP_INTERVAL_MS || String(HOUR_MS), 10)
+} = {}) {
+  let timer = null;
+  let stopped = true;
+
+  const cacheKey = (prompt, options) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([provider.name, provider.model, options, prompt]))
+    .digest('hex');
+
+  async function loadSchool(schoolId) {
+    const { data } = await supabase
+      .from('schools')
+      .select('id, ai_quota')
+      .eq('id', schoolId)
+      .maybeSingle();
+    return data || { id: schoolId, ai_quota: null };
+  }
+
+  async function checkQuota(schoolId) {
+    return getQuotaStatus(supabase, await loadSchool(schoolId), { env });
+  }
+
+  async function readCache(key) {
+    if (!cacheTtlHours) return null;
+    const { data } = await supabase
+      .from('ai_cache')
+      .select('text, usage')
+      .eq('key', key)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+    return data;
+  }
+
+  async function writeCache(key, response) {
+    if (!cacheTtlHours) return;
+    const now = Date.now();
+    const { error } = await supabase
+      .from('ai_cache')
+      .upsert({
+        key,
+        provider: provider.name,
+        model: provider.model,
+        text: response.text,
+        usage: response.usage,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + cacheTtlHours * HOUR_MS).toISOString()
+      }, { onConflict: 'key' });
+    if (error) console.error('❌ Failed to cache AI response:', error.message);
+  }
+
+  // حذف الاستجابات المنتهية دورياً، والقراءة تتجاهلها حتى ذلك الحين
+  async function pruneCache(now = new Date()) {
+    const { error } = await supabase
+      .from('ai_cache')
+      .delete()
+      .lt('expires_at', now.toISOString());
+    if (error) throw error;
+  }
+
+  async function tick() {
+    timer = null;
+    try {
+      await pruneCache();
+    } catch (error) {
+      console.error('❌ AI cache cleanup failed:', error.message);
+    }
+    if (!stopped) timer = setTimeout(tick, cleanupIntervalMs);
+  }
+
+  // AI_CACHE_CLEANUP_INTERVAL_MS=0 يعطل التنظيف على هذا الخادم
+  function start() {
+    if (!cacheTtlHours || cleanupIntervalMs <= 0) return;
+    stopped = false;
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // فشل التسجيل لا يفشل الطلب الذي دُفع ثمنه بالفعل
+  async function record(context, { usage, cached }) {
+    const { error } = await supabase
+      .from('ai_usage')
+      .insert({
+        school_id: context.schoolId,
+        user_id: context.userId || null,
+        endpoint: context.endpoint,
+        provider: provider.name,
+        model: provider.model,
+        input_tokens: cached ? 0 : usage?.inputTokens || 0,
+        output_tokens: cached ? 0 : usage?.outputTokens || 0,
+        cached,
+        created_at: new Date().toISOString()
+      });
+    if (error) console.error('❌ Failed to record AI usage:', error.message);
+  }
+
+  // context: { schoolId, userId, endpoint, cache = true }
+  // cache: false يتجاوز الاستجابات المخزنة (مع حفظ الاستجابة الجديدة)
+  function forContext(context) {
+    return {
+      name: provider.name,
+      model: provider.model,
+
+      async generate(prompt, options = {}) {
+        const key = cacheKey(prompt, options);
+
+        if (context.cache !== false) {
+          const hit = await readCache(key);
+          if (hit) {
+            await record(context, { usage: hit.usage, cached: true });
+            return { text: hit.text, usage: hit.usage, cached: true };
+          }
+        }
+
+        const status = await checkQuota(context.schoolId);
+        if (status.exceeded) throw new AIQuotaError(status.exceeded);
+
+        const response = await provider.generate(prompt, options);
+        await record(context, { usage: response.usage, cached: false });
+        await writeCache(key, response);
+        return response;
+      }
+    };
+  }
+
+  return {
+    forContext,
+    checkQuota,
+    pruneCache,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  QUOTA_LIMITS,
+  USAGE_GROUPS,
+  AIQuotaError,
+  schoolQuota,
+  normalizeQuota,
+  getQuotaStatus,
+  getUsageReport,
+  parseUsageQuery,
+  createAIUsage
+};
@@ -0,0 +1,299 @@
+// ==========================================
+// analyticsService.js - تحليل تطور أداء الطالب عبر الزمن
+// ==========================================
+// كل حل يدخل التحليل بتقييم واحد فقط: آخر تقييم معتمد له.
+// الاتجاه يحسب بانحدار خطي للدرجات على الزمن (بالأيام) مع فترة ثقة 95% للميل،
+// فالاتجاه up أو down فقط إذا كانت فترة الثقة كلها فوق الصفر أو تحته
+const { levelFor } = require('./skillService');
+const { ASSESSMENT_STATUS } = require('./gradingService');
+
+const DEFAULT_THRESHOLDS = {
+  strength: parseFloat(process.env.ANALYTICS_STRENGTH_THRESHOLD || '80'),
+  weakness: parseFloat(process.env.ANALYTICS_WEAKNESS_THRESHOLD || '70'),
+  limit: parseInt(process.env.ANALYTICS_TOP_SKILLS || '3', 10),
+  window: parseInt(process.env.ANALYTICS_MOVING_AVERAGE_WINDOW || '3', 10)
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// قيم t الحرجة لفترة ثقة 95% (طرفين) حسب درجات الحرية 1..30، وبعدها 1.96
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+function tCritical(df) {
+  return df <= T_CRITICAL_95.length ? T_CRITICAL_95[df - 1] : 1.96;
+}
+
+// ==========================================
+// إعدادات التحليل من الطلب
+// ==========================================
+// query: { strength_threshold, weakness_threshold, limit, window, from, to }
+// يرجع { options, errors }
+function parseAnalyticsOptions(query = {}, defaults = DEFAULT_THRESHOLDS) {
+  const errors = [];
+  const number = (value, fallback, name, { min = 0, max = 100, integer = false } = {}) => {
+    if (value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+      errors.push(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+      return fallback;
+    }
+    return parsed;
+  };
+  // to بصيغة تاريخ فقط يشمل اليوم كله
+  const date = (value, name, endOfDay = false) => {
+    if (!value) return null;
+    const parsed = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(parsed.getTime())) {
+      errors.push(`${name} must be an ISO date`);
+      return null;
+    }
+    return parsed;
+  };
+
+  const options = {
+    strength: number(query.strength_threshold, defaults.strength, 'strength_threshold'),
+    weakness: number(query.weakness_threshold, defaults.weakness, 'weakness_threshold'),
+    limit: number(query.limit, defaults.limit, 'limit', { min: 1, max: 50, integer: true }),
+    window: number(query.window, defaults.window, 'window', { min: 1, max: 20, integer: true }),
+    from: date(query.from, 'from'),
+    to: date(query.to, 'to', true)
+  };
+
+  if (options.weakness > options.strength) errors.push('weakness_threshold must be <= strength_threshold');
+  if (options.from && options.to && options.from > options.to) errors.push('from must be before to');
+
+  return { options, errors };
+}
+
+// ==========================================
+// الإحصاءات
+// ==========================================
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// متوسط متحرك للنقاط السابقة حتى window نقطة
+function movingAverage(values, window) {
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+    return round(mean(slice));
+  });
+}
+
+// انحدار خطي بسيط: points [{ x, y }] حيث x بالأيام
+// يرجع null إذا كانت النقاط أقل من 3 أو كلها في نفس اليوم
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 3) return null;
+
+  const meanX = mean(points.map(p => p.x));
+  const meanY = mean(points.map(p => p.y));
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  const residuals = points.reduce((sum, p) => sum + (p.y - (intercept + slope * p.x)) ** 2, 0);
+  const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  const df = n - 2;
+  const residualSE = Math.sqrt(residuals / df);
+  const slopeSE = residualSE / Math.sqrt(sxx);
+  const t = tCritical(df);
+
+  return {
+    slope,
+    intercept,
+    r2: syy === 0 ? 1 : 1 - residuals / syy,
+    slopeLower: slope - t * slopeSE,
+    slopeUpper: slope + t * slopeSE,
+    // فترة الثقة للقيمة المتوقعة عند x
+    predict(x) {
+      const fitted = intercept + slope * x;
+      const margin = t * residualSE * Math.sqrt(1 / n + (x - meanX) ** 2 / sxx);
+      return { fitted, lower: fitted - margin, upper: fitted + margin };
+    }
+  };
+}
+
+// ==========================================
+// السلسلة الزمنية لمهارة أو للدرجة الكلية
+// ==========================================
+// series: [{ date (ISO), score, ... }] مرتبة زمنياً
+function analyzeSeries(series, { window }) {
+  const scores = series.map(p => p.score);
+  const averages = movingAverage(scores, window);
+  const origin = series.length ? new Date(series[0].date).getTime() : 0;
+  const points = series.map(p => ({ x: (new Date(p.date).getTime() - origin) / DAY_MS, y: p.score }));
+  const regression = linearRegression(points);
+
+  let trend = 'stable';
+  if (regression && regression.slopeLower > 0) trend = 'up';
+  if (regression && regression.slopeUpper < 0) trend = 'down';
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    count: series.length,
+    average: series.length ? round(mean(scores)) : null,
+    trend,
+    series: series.map((p, i) => {
+      const band = regression?.predict(points[i].x);
+      return {
+        ...p,
+        moving_average: averages[i],
+        fitted: band ? round(band.fitted) : null,
+        lower: band ? round(Math.max(0, band.lower)) : null,
+        upper: band ? round(Math.min(100, band.upper)) : null
+      };
+    }),
+    regression: regression ? {
+      // الميل بالنقاط لكل 30 يوماً أسهل في القراءة من الميل اليومي
+      slope_per_30_days: round(regression.slope * 30, 2),
+      slope_ci_95: [round(regression.slopeLower * 30, 2), round(regression.slopeUpper * 30, 2)],
+      r2: round(regression.r2, 3)
+    } : null,
+    growth: series.length > 1 ? {
+      from: series[0].date,
+      to: series[series.length - 1].date,
+      change: round(last.y - first.y),
+      // النمو حسب خط الانحدار أقل تأثراً بدرجة واحدة شاذة في البداية أو النهاية
+      fitted_change: regression ? round(regression.slope * (last.x - first.x)) : null
+    } : null
+  };
+}
+
+// ==========================================
+// تجميع تقييمات الطالب
+// ==========================================
+// آخر تقييم معتمد للحل، حتى لا تتكرر درجات الحل عند إعادة التقييم أو إعادة التسليم
+function effectiveAssessment(submission) {
+  const finals = (submission.assessments || [])
+    .filter(a => !a.status || a.status === ASSESSMENT_STATUS.FINAL)
+    .sort((a, b) => new Date(b.reviewed_at || b.created_at || 0) - new Date(a.reviewed_at || a.created_at || 0));
+  return finals[0] || null;
+}
+
+// حلول الطالب المقيّمة مرتبة زمنياً، بالشكل الذي يحتاجه buildStudentAnalytics.
+// feedback و ai_result لبطاقة التقرير التي تعرض ملاحظات آخر التقييمات
+async function loadGradedSubmissions(supabase, studentId) {
+  const { data, error } = await supabase
+    .from('submissions')
+    .select(`
+      id,
+      task_id,
+      submitted_at,
+      tasks(title),
+      assessments(
+        overall_score,
+        feedback,
+        status,
+        created_at,
+        reviewed_at,
+        ai_result,
+        skill_assessments(
+          score,
+          skills(id, key, name_en, name_ar, levels)
+        )
+      )
+    `)
+    .eq('student_id', studentId)
+    .not('graded_version', 'is', null)
+    .order('submitted_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// submissions: حلول الطالب المقيّمة مع tasks و assessments(skill_assessments(skills))
+function buildStudentAnalytics(submissions, options) {
+  const inRange = (date) => (!options.from || date >= options.from) && (!options.to || date <= options.to);
+
+  const overall = [];
+  const skills = {};
+
+  submissions.forEach(sub => {
+    const date = new Date(sub.submitted_at);
+    if (!inRange(date)) return;
+
+    const assessment = effectiveAssessment(sub);
+    if (!assessment) return;
+
+    const point = { date: date.toISOString(), task_id: sub.task_id, task: sub.tasks?.title || 'مهمة' };
+    overall.push({ ...point, score: parseFloat(assessment.overall_score || 0) });
+
+    (assessment.skill_assessments || []).forEach(sa => {
+      // مهارة محذوفة لا تظهر في التحليلات
+      if (!sa.skills) return;
+
+      // نجمع بالمفتاح حتى تتوحد درجات المهارة بعد نسخ الإطار الافتراضي للمدرسة
+      const { key } = sa.skills;
+      if (!skills[key]) {
+        skills[key] = { key, name_en: sa.skills.name_en, name_ar: sa.skills.name_ar, levels: sa.skills.levels, series: [] };
+      }
+      skills[key].series.push({ ...point, score: parseFloat(sa.score) });
+    });
+  });
+
+  const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+  overall.sort(byDate);
+
+  const skillsPerformance = Object.values(skills).map(skill => {
+    const analysis = analyzeSeries(skill.series.sort(byDate), options);
+    const level = levelFor(skill, analysis.average);
+    return {
+      key: skill.key,
+      skill: skill.name_en,
+      skill_ar: skill.name_ar,
+      level: level.key,
+      level_name_en: level.name_en,
+      level_name_ar: level.name_ar,
+      ...analysis
+    };
+  });
+
+  const overallAnalysis = analyzeSeries(overall, options);
+
+  return {
+    range: {
+      from: options.from ? options.from.toISOString() : overall[0]?.date || null,
+      to: options.to ? options.to.toISOString() : overall[overall.length - 1]?.date || null
+    },
+    thresholds: { strength: options.strength, weakness: options.weakness, limit: options.limit },
+    overall_average: overallAnalysis.average ?? 0,
+    total_tasks: overall.length,
+    overall: overallAnalysis,
+    skills_performance: skillsPerformance,
+    performance_over_time: overallAnalysis.series,
+    strengths: skillsPerformance
+      .filter(s => s.average >= options.strength)
+      .sort((a, b) => b.average - a.average)
+      .slice(0, options.limit),
+    weaknesses: skillsPerformance
+      .filter(s => s.average < options.weakness)
+      .sort((a, b) => a.average - b.average)
+      .slice(0, options.limit)
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parseAnalyticsOptions,
+  movingAverage,
+  linearRegression,
+  analyzeSeries,
+  effectiveAssessment,
+  loadGradedSubmissions,
+  buildStudentAnalytics
+};
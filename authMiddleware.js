@@ -0,0 +1,166 @@
+// ==========================================
+// authMiddleware.js - التحقق من الهوية والصلاحيات
+// ==========================================
+const crypto = require('crypto');
+const { verifyAccessToken } = require('./authService');
+
+const ROLES = {
+  STUDENT: 'student',
+  TEACHER: 'teacher',
+  ADMIN: 'admin',
+  PARENT: 'parent'
+};
+
+const STAFF_ROLES = [ROLES.TEACHER, ROLES.ADMIN];
+
+const USER_STATUS = {
+  ACTIVE: 'active',
+  PENDING: 'pending',
+  DEACTIVATED: 'deactivated'
+};
+
+// سبب منع الحساب من الدخول، أو null إذا كان مسموحاً.
+// يحتاج المستخدم مع schools(is_active)
+function accountBlockReason(user) {
+  if (user.status === USER_STATUS.PENDING) return 'حسابك بانتظار موافقة إدارة المدرسة';
+  if (user.status === USER_STATUS.DEACTIVATED) return 'تم إيقاف هذا الحساب، تواصل مع إدارة المدرسة';
+  if (user.schools && user.schools.is_active === false) return 'حساب المدرسة غير مفعّل';
+  return null;
+}
+
+// ==========================================
+// قراءة المستخدم من توكن الجلسة
+// ==========================================
+// نعيد تحميل المستخدم من قاعدة البيانات حتى تنعكس أي تغييرات
+// في الدور أو المدرسة فوراً بدلاً من انتظار انتهاء التوكن
+function authenticate(supabase) {
+  return async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || '';
+      const [scheme, token] = header.split(' ');
+      const payload = scheme === 'Bearer' && token ? verifyAccessToken(token) : null;
+
+      if (!payload) {
+        return res.status(401).json({ success: false, error: 'يجب تسجيل الدخول' });
+      }
+
+      const { data: user } = await supabase
+        .from('users')
+        .select('id, email, full_name, role, school_id, status, schools(is_active)')
+        .eq('id', payload.sub)
+        .single();
+
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'يجب تسجيل الدخول' });
+      }
+
+      // الإيقاف يسري فوراً حتى على توكنات الوصول التي لم تنتهِ بعد
+      const blocked = accountBlockReason(user);
+      if (blocked) {
+        return res.status(401).json({ success: false, error: blocked });
+      }
+
+      const { schools, ...currentUser } = user;
+      req.user = currentUser;
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'فشل في التحقق من الهوية' });
+    }
+  };
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'غير مصرح لك' });
+    }
+    next();
+  };
+}
+
+// ==========================================
+// مفتاح إدارة المنصة
+// ==========================================
+// إنشاء المدارس وإيقافها من صلاحية مشغّل المنصة فقط، عبر الترويسة X-Platform-Key
+// المطابقة لـ PLATFORM_ADMIN_KEY. بدون المتغير تبقى هذه المسارات معطلة
+function requirePlatformKey(req, res, next) {
+  const expected = process.env.PLATFORM_ADMIN_KEY;
+  if (!expected) {
+    return res.status(503).json({ success: false, error: 'إدارة المدارس غير مفعّلة على هذا الخادم' });
+  }
+
+  // مقارنة البصمات بطول ثابت حتى لا يكشف زمن المقارنة شيئاً عن المفتاح
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  const given = req.headers['x-platform-key'] || '';
+  if (!given || !crypto.timingSafeEqual(digest(given), digest(expected))) {
+    return forbidden(res);
+  }
+  next();
+}
+
+function forbidden(res) {
+  return res.status(403).json({ success: false, error: 'غير مصرح لك' });
+}
+
+// ==========================================
+// قواعد الوصول للموارد
+// ==========================================
+// الطالب يرى نفسه فقط، والمعلم والمدير يرون طلاب مدرستهم فقط
+async function canAccessStudent(supabase, user, studentId) {
+  if (user.role === ROLES.STUDENT) {
+    return String(user.id) === String(studentId);
+  }
+
+  if (STAFF_ROLES.includes(user.role)) {
+    const { data: student } = await supabase
+      .from('users')
+      .select('school_id, role')
+      .eq('id', studentId)
+      .single();
+
+    return !!student && student.role === ROLES.STUDENT && student.school_id === user.school_id;
+  }
+
+  return false;
+}
+
+// المعلم صاحب المهمة أو مدير المدرسة يستطيع تعديلها
+function canManageTask(user, task) {
+  if (!task || task.school_id !== user.school_id) return false;
+  if (user.role === ROLES.ADMIN) return true;
+  return user.role === ROLES.TEACHER && String(task.teacher_id) === String(user.id);
+}
+
+// أي معلم أو مدير في نفس المدرسة يستطيع رؤية الحلول وتقييمها
+function canViewTaskSubmissions(user, task) {
+  return !!task && STAFF_ROLES.includes(user.role) && task.school_id === user.school_id;
+}
+
+// سؤال البنك أو قالب المهمة: صاحبه أو مدير المدرسة يعدله ويحذفه
+function canManageLibraryItem(user, item) {
+  if (!item || item.school_id !== user.school_id) return false;
+  if (user.role === ROLES.ADMIN) return true;
+  return user.role === ROLES.TEACHER && String(item.created_by) === String(user.id);
+}
+
+// القالب المشترك متاح لكل معلمي المدرسة، وغيره لصاحبه ومدير المدرسة فقط
+function canUseTemplate(user, template) {
+  if (!template || !STAFF_ROLES.includes(user.role)) return false;
+  return template.school_id === user.school_id && (template.shared || canManageLibraryItem(user, template));
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  USER_STATUS,
+  accountBlockReason,
+  authenticate,
+  requirePlatformKey,
+  requireRole,
+  forbidden,
+  canAccessStudent,
+  canManageTask,
+  canViewTaskSubmissions,
+  canManageLibraryItem,
+  canUseTemplate
+};
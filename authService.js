@@ -0,0 +1,243 @@
+// ==========================================
+// authService.js - كلمات المرور وتوكنات الجلسة
+// ==========================================
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '14', 10);
+
+// ==========================================
+// كلمات المرور
+// ==========================================
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `كلمة المرور يجب أن تكون ${MIN_PASSWORD_LENGTH} أحرف على الأقل`;
+  }
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+async function verifyPassword(password, passwordHash) {
+  if (!password || !passwordHash) return false;
+  return bcrypt.compare(password, passwordHash);
+}
+
+// البريد يُخزن ويُطابق بأحرف صغيرة في كل المسارات (التسجيل والدخول واستيراد القوائم)
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// إزالة الحقول الحساسة قبل إرسال المستخدم للعميل
+function sanitizeUser(user) {
+  if (!user) return user;
+  const { password_hash, ...safeUser } = user;
+  return safeUser;
+}
+
+// ==========================================
+// توكن الوصول (JWT)
+// ==========================================
+function signAccessToken(user) {
+  return jwt.sign(
+    { role: user.role, school_id: user.school_id },
+    process.env.JWT_SECRET,
+    { subject: String(user.id), expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// يرجع محتوى التوكن أو null إذا كان غير صالح أو منتهي
+function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+// ==========================================
+// توكن التجديد (Refresh Token)
+// ==========================================
+// نخزن بصمة التوكن فقط، وليس التوكن نفسه
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createRefreshToken(supabase, userId) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      user_id: userId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+  return token;
+}
+
+// يرجع سجل التوكن إذا كان صالحاً، أو null
+async function findValidRefreshToken(supabase, token) {
+  if (!token) return null;
+
+  const { data: record } = await supabase
+    .from('refresh_tokens')
+    .select('id, user_id, expires_at, revoked_at')
+    .eq('token_hash', hashToken(token))
+    .single();
+
+  if (!record || record.revoked_at) return null;
+  if (new Date(record.expires_at) <= new Date()) return null;
+  return record;
+}
+
+// تحديث مشروط على revoked_at، فيرجع true فقط للطلب الذي ألغى التوكن فعلاً
+async function revokeRefreshToken(supabase, token) {
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+async function issueSession(supabase, user) {
+  return {
+    access_token: signAccessToken(user),
+    refresh_token: await createRefreshToken(supabase, user.id),
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+// يلغي كل جلسات المستخدم ودعواته المعلقة، عند إيقاف حسابه
+async function revokeUserSessions(supabase, userId) {
+  const now = new Date().toISOString();
+  const results = await Promise.all([
+    supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: now })
+      .eq('user_id', userId)
+      .is('revoked_at', null),
+    supabase
+      .from('user_invitations')
+      .update({ revoked_at: now })
+      .eq('user_id', userId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+  ]);
+
+  results.forEach(({ error }) => {
+    if (error) throw error;
+  });
+}
+
+// ==========================================
+// دعوات الحسابات
+// ==========================================
+// الحسابات التي تنشئها المدرسة بلا كلمة مرور، والمستخدم يحددها عند قبول الدعوة.
+// الدعوة الجديدة تلغي الدعوات السابقة غير المقبولة لنفس المستخدم.
+// يرجع Map من معرف المستخدم إلى { token, expires_at }
+async function createInvitations(supabase, userIds, { schoolId, invitedBy }) {
+  const result = new Map();
+  if (userIds.length === 0) return result;
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { error: revokeError } = await supabase
+    .from('user_invitations')
+    .update({ revoked_at: now.toISOString() })
+    .in('user_id', userIds)
+    .is('accepted_at', null)
+    .is('revoked_at', null);
+
+  if (revokeError) throw revokeError;
+
+  const rows = userIds.map(userId => {
+    const token = crypto.randomBytes(32).toString('hex');
+    result.set(String(userId), { token, expires_at: expiresAt });
+    return {
+      user_id: userId,
+      school_id: schoolId,
+      invited_by: invitedBy,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    };
+  });
+
+  const { error } = await supabase.from('user_invitations').insert(rows);
+  if (error) throw error;
+  return result;
+}
+
+// رابط صفحة قبول الدعوة في الواجهة
+function invitationLink(token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}/accept-invitation?token=${token}`;
+}
+
+// يحدد كلمة مرور المستخدم ويعلّم الدعوة كمقبولة.
+// يرجع المستخدم أو null إذا كانت الدعوة غير صالحة أو منتهية
+async function acceptInvitation(supabase, token, password) {
+  if (!token) return null;
+
+  const { data: invitation } = await supabase
+    .from('user_invitations')
+    .select('id, user_id, expires_at, accepted_at, revoked_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (!invitation || invitation.accepted_at || invitation.revoked_at) return null;
+  if (new Date(invitation.expires_at) <= new Date()) return null;
+
+  // الشرط على accepted_at يمنع قبول نفس الدعوة مرتين في طلبين متزامنين
+  const { data: accepted } = await supabase
+    .from('user_invitations')
+    .update({ accepted_at: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .is('accepted_at', null)
+    .select('id');
+
+  if (!accepted || accepted.length === 0) return null;
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .update({ password_hash: await hashPassword(password) })
+    .eq('id', invitation.user_id)
+    .select('*, schools(name, is_active)')
+    .single();
+
+  if (error) throw error;
+  return user;
+}
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  normalizeEmail,
+  sanitizeUser,
+  signAccessToken,
+  verifyAccessToken,
+  findValidRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  issueSession,
+  createInvitations,
+  invitationLink,
+  acceptInvitation
+};
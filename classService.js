@@ -0,0 +1,228 @@
+// ==========================================
+// classService.js - الفصول والتسجيل وتوزيع المهام
+// ==========================================
+// المهمة إما لكل المدرسة (audience = school، وهو سلوك المهام القديمة)
+// أو لفصول وطلاب محددين (audience = assigned) عبر جدول task_assignments.
+// طلاب الفصل يُحسبون وقت القراءة، فالطالب الذي ينضم لاحقاً يرى مهام فصله
+
+const TASK_AUDIENCE = {
+  SCHOOL: 'school',
+  ASSIGNED: 'assigned'
+};
+
+const MEMBER_ROLES = ['teacher', 'student'];
+
+// ==========================================
+// عضوية الفصول
+// ==========================================
+async function getUserClassIds(supabase, userId, role) {
+  let query = supabase
+    .from('class_members')
+    .select('class_id')
+    .eq('user_id', userId);
+  if (role) query = query.eq('role', role);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(m => m.class_id);
+}
+
+async function isClassTeacher(supabase, classId, userId) {
+  const { data } = await supabase
+    .from('class_members')
+    .select('class_id')
+    .eq('class_id', classId)
+    .eq('user_id', userId)
+    .eq('role', 'teacher')
+    .maybeSingle();
+
+  return !!data;
+}
+
+// ==========================================
+// المهام المتاحة للطالب
+// ==========================================
+// يرجع معرفات المهام المخصصة للطالب مباشرة أو عبر فصوله
+async function getAssignedTaskIds(supabase, studentId) {
+  const classIds = await getUserClassIds(supabase, studentId, 'student');
+
+  const queries = [
+    supabase.from('task_assignments').select('task_id').eq('student_id', studentId)
+  ];
+  if (classIds.length) {
+    queries.push(supabase.from('task_assignments').select('task_id').in('class_id', classIds));
+  }
+
+  const results = await Promise.all(queries);
+  const taskIds = new Set();
+  results.forEach(({ data, error }) => {
+    if (error) throw error;
+    (data || []).forEach(a => taskIds.add(a.task_id));
+  });
+  return [...taskIds];
+}
+
+// مهام المدرسة كلها + المهام المخصصة لفصول الطالب أو له مباشرة، الأحدث أولاً
+async function getStudentTasks(supabase, studentId, schoolId, columns = '*') {
+  const assignedTaskIds = await getAssignedTaskIds(supabase, studentId);
+  const audienceFilter = assignedTaskIds.length
+    ? `audience.eq.${TASK_AUDIENCE.SCHOOL},id.in.(${assignedTaskIds.join(',')})`
+    : `audience.eq.${TASK_AUDIENCE.SCHOOL}`;
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .select(columns)
+    .eq('school_id', schoolId)
+    .or(audienceFilter)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function isTaskVisibleToStudent(supabase, task, studentId) {
+  if (task.audience !== TASK_AUDIENCE.ASSIGNED) return true;
+  const taskIds = await getAssignedTaskIds(supabase, studentId);
+  return taskIds.map(String).includes(String(task.id));
+}
+
+// ==========================================
+// الطلاب المستهدفون بكل مهمة
+// ==========================================
+// يرجع Map من معرف المهمة إلى Set بمعرفات الطلاب المستهدفين
+async function resolveAssignedStudents(supabase, tasks, schoolId) {
+  const result = new Map();
+  if (tasks.length === 0) return result;
+
+  const assignedTasks = tasks.filter(t => t.audience === TASK_AUDIENCE.ASSIGNED);
+  const schoolTasks = tasks.filter(t => t.audience !== TASK_AUDIENCE.ASSIGNED);
+
+  if (schoolTasks.length) {
+    const { data: students, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('school_id', schoolId)
+      .eq('role', 'student');
+    if (error) throw error;
+
+    const allStudents = new Set((students || []).map(s => String(s.id)));
+    schoolTasks.forEach(task => result.set(String(task.id), allStudents));
+  }
+
+  if (assignedTasks.length) {
+    const { data: assignments, error } = await supabase
+      .from('task_assignments')
+      .select('task_id, class_id, student_id')
+      .in('task_id', assignedTasks.map(t => t.id));
+    if (error) throw error;
+
+    const classIds = [...new Set((assignments || []).filter(a => a.class_id).map(a => a.class_id))];
+    const classStudents = new Map();
+
+    if (classIds.length) {
+      const { data: members, error: membersError } = await supabase
+        .from('class_members')
+        .select('class_id, user_id')
+        .in('class_id', classIds)
+        .eq('role', 'student');
+      if (membersError) throw membersError;
+
+      (members || []).forEach(m => {
+        const key = String(m.class_id);
+        if (!classStudents.has(key)) classStudents.set(key, []);
+        classStudents.get(key).push(String(m.user_id));
+      });
+    }
+
+    assignedTasks.forEach(task => result.set(String(task.id), new Set()));
+    (assignments || []).forEach(a => {
+      const students = result.get(String(a.task_id));
+      if (a.student_id) students.add(String(a.student_id));
+      if (a.class_id) (classStudents.get(String(a.class_id)) || []).forEach(id => students.add(id));
+    });
+  }
+
+  return result;
+}
+
+// ==========================================
+// حفظ توزيع المهمة
+// ==========================================
+// يتحقق أن الفصول والطلاب من نفس المدرسة، وأن المعلم يدرّس الفصول المختارة.
+// يرجع { audience, errors }
+async function validateAssignments(supabase, user, { class_ids: classIds = [], student_ids: studentIds = [] }) {
+  const errors = [];
+
+  if (!Array.isArray(classIds) || !Array.isArray(studentIds)) {
+    return { errors: ['class_ids and student_ids must be arrays'] };
+  }
+
+  if (classIds.length === 0 && studentIds.length === 0) {
+    return { audience: TASK_AUDIENCE.SCHOOL, errors };
+  }
+
+  if (classIds.length) {
+    const { data: classes } = await supabase
+      .from('classes')
+      .select('id, school_id, is_active')
+      .in('id', classIds);
+
+    const found = new Map((classes || []).map(c => [String(c.id), c]));
+    classIds.forEach(id => {
+      const cls = found.get(String(id));
+      if (!cls || cls.school_id !== user.school_id || cls.is_active === false) {
+        errors.push(`class ${id} not found`);
+      }
+    });
+
+    if (user.role === 'teacher' && errors.length === 0) {
+      const taught = (await getUserClassIds(supabase, user.id, 'teacher')).map(String);
+      classIds.filter(id => !taught.includes(String(id)))
+        .forEach(id => errors.push(`you do not teach class ${id}`));
+    }
+  }
+
+  if (studentIds.length) {
+    const { data: students } = await supabase
+      .from('users')
+      .select('id, school_id, role')
+      .in('id', studentIds);
+
+    const found = new Map((students || []).map(s => [String(s.id), s]));
+    studentIds.forEach(id => {
+      const student = found.get(String(id));
+      if (!student || student.role !== 'student' || student.school_id !== user.school_id) {
+        errors.push(`student ${id} not found`);
+      }
+    });
+  }
+
+  return { audience: TASK_AUDIENCE.ASSIGNED, errors };
+}
+
+async function replaceTaskAssignments(supabase, taskId, { class_ids: classIds = [], student_ids: studentIds = [] }) {
+  const { error: deleteError } = await supabase.from('task_assignments').delete().eq('task_id', taskId);
+  if (deleteError) throw deleteError;
+
+  const rows = [
+    ...classIds.map(classId => ({ task_id: taskId, class_id: classId, student_id: null })),
+    ...studentIds.map(studentId => ({ task_id: taskId, class_id: null, student_id: studentId }))
+  ];
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from('task_assignments').insert(rows);
+  if (error) throw error;
+}
+
+module.exports = {
+  TASK_AUDIENCE,
+  MEMBER_ROLES,
+  getUserClassIds,
+  isClassTeacher,
+  getAssignedTaskIds,
+  getStudentTasks,
+  isTaskVisibleToStudent,
+  resolveAssignedStudents,
+  validateAssignments,
+  replaceTaskAssignments
+};
@@ -0,0 +1,120 @@
+// ==========================================
+// dashboardService.js - لوحات أداء الفصول والمدرسة
+// ==========================================
+// التجميع يتم في دوال قاعدة البيانات (migrations/009_dashboards.sql)،
+// وهنا فقط تحديد نطاق المستخدم وتحويل النتائج
+const { getUserClassIds } = require('./classService');
+
+const NUMERIC_FIELDS = [
+  'average', 'median', 'std_dev', 'min_score', 'max_score', 'completion_rate',
+  'last_score', 'slope_per_30_days'
+];
+
+// أعمدة numeric قد تصل كنصوص، فنحولها لأرقام
+function toNumbers(row) {
+  const out = { ...row };
+  NUMERIC_FIELDS.forEach(field => {
+    if (out[field] !== undefined && out[field] !== null) out[field] = Number(out[field]);
+  });
+  return out;
+}
+
+async function callDashboard(supabase, fn, params) {
+  const { data, error } = await supabase.rpc(fn, params);
+  if (error) throw error;
+  return (data || []).map(toNumbers);
+}
+
+// ==========================================
+// نطاق اللوحة
+// ==========================================
+// المدير يرى المدرسة كلها أو فصلاً محدداً، والمعلم يرى فصوله فقط.
+// يرجع { classIds } حيث null تعني المدرسة كلها، أو { error: 'not_found' | 'forbidden' }
+async function resolveClassScope(supabase, user, classId) {
+  if (classId) {
+    const { data: cls } = await supabase
+      .from('classes')
+      .select('id, school_id')
+      .eq('id', classId)
+      .maybeSingle();
+
+    if (!cls || cls.school_id !== user.school_id) return { error: 'not_found' };
+    if (user.role === 'admin') return { classIds: [cls.id] };
+
+    const taught = (await getUserClassIds(supabase, user.id, 'teacher')).map(String);
+    return taught.includes(String(cls.id)) ? { classIds: [cls.id] } : { error: 'forbidden' };
+  }
+
+  if (user.role === 'admin') return { classIds: null };
+  return { classIds: await getUserClassIds(supabase, user.id, 'teacher') };
+}
+
+const rangeParams = ({ from, to }) => ({
+  p_from: from ? from.toISOString() : null,
+  p_to: to ? to.toISOString() : null
+});
+
+// ==========================================
+// اللوحات
+// ==========================================
+async function getTaskDistribution(supabase, taskId, bucketSize) {
+  const [buckets, [stats]] = await Promise.all([
+    callDashboard(supabase, 'dashboard_task_distribution', { p_task_id: taskId, p_bucket_size: bucketSize }),
+    callDashboard(supabase, 'dashboard_task_stats', { p_task_id: taskId })
+  ]);
+  return { stats: stats || null, buckets };
+}
+
+async function getSkillAverages(supabase, schoolId, classIds, range) {
+  return callDashboard(supabase, 'dashboard_skill_averages', {
+    p_school_id: schoolId,
+    p_class_ids: classIds,
+    ...rangeParams(range)
+  });
+}
+
+async function getTaskCompletion(supabase, schoolId, classIds, range) {
+  return callDashboard(supabase, 'dashboard_task_completion', {
+    p_school_id: schoolId,
+    p_class_ids: classIds,
+    ...rangeParams(range)
+  });
+}
+
+async function getClassComparison(supabase, schoolId, classIds, range) {
+  return callDashboard(supabase, 'dashboard_class_comparison', {
+    p_school_id: schoolId,
+    p_class_ids: classIds,
+    ...rangeParams(range)
+  });
+}
+
+// يضيف لكل طالب أسباب ظهوره في القائمة
+async function getAtRiskStudents(supabase, schoolId, classIds, { threshold, declinePer30Days, minMissing, ...range }) {
+  const rows = await callDashboard(supabase, 'dashboard_at_risk_students', {
+    p_school_id: schoolId,
+    p_class_ids: classIds,
+    p_threshold: threshold,
+    p_decline_per_30_days: declinePer30Days,
+    p_min_missing: minMissing,
+    ...rangeParams(range)
+  });
+
+  return rows.map(row => ({
+    ...row,
+    reasons: [
+      row.average !== null && row.average < threshold && 'low_average',
+      row.slope_per_30_days !== null && row.slope_per_30_days <= -declinePer30Days && 'declining',
+      row.overdue_missing >= minMissing && 'missing_work'
+    ].filter(Boolean)
+  }));
+}
+
+module.exports = {
+  resolveClassScope,
+  getTaskDistribution,
+  getSkillAverages,
+  getTaskCompletion,
+  getClassComparison,
+  getAtRiskStudents
+};
@@ -0,0 +1,149 @@
+// ==========================================
+// fileService.js - رفع ملفات الحلول واستخراج نصوصها
+// ==========================================
+// الطالب يرفع الملفات أولاً عبر /api/files، ثم يرسل معرفاتها في files عند التسليم.
+// نص ملفات PDF و DOCX يُستخرج عند الرفع ويُرسل مع الإجابة للتقييم
+const crypto = require('crypto');
+
+const MAX_FILE_SIZE_BYTES = parseInt(process.env.UPLOAD_MAX_FILE_MB || '10', 10) * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = parseInt(process.env.UPLOAD_MAX_FILES || '5', 10);
+const EXTRACTED_TEXT_MAX_CHARS = parseInt(process.env.EXTRACTED_TEXT_MAX_CHARS || '20000', 10);
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// الأنواع المسموحة مع الامتداد وبداية محتوى الملف المتوقعة
+const ALLOWED_FILE_TYPES = {
+  'application/pdf': { ext: '.pdf', signature: Buffer.from('%PDF') },
+  [DOCX_MIME]: { ext: '.docx', signature: Buffer.from([0x50, 0x4b, 0x03, 0x04]) },
+  'text/plain': { ext: '.txt', signature: null },
+  'image/png': { ext: '.png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  'image/jpeg': { ext: '.jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) }
+};
+
+const FILE_FIELDS = 'id, original_name, mime_type, size_bytes, uploaded_by, school_id, created_at';
+
+function isAllowedType(mimeType) {
+  return Object.prototype.hasOwnProperty.call(ALLOWED_FILE_TYPES, mimeType);
+}
+
+// نوع الملف المرسل من المتصفح لا يُعتمد عليه وحده، فنتحقق من بداية المحتوى
+function matchesSignature(buffer, mimeType) {
+  const { signature } = ALLOWED_FILE_TYPES[mimeType];
+  return !signature || buffer.subarray(0, signature.length).equals(signature);
+}
+
+// ==========================================
+// استخراج النص
+// ==========================================
+// يرجع النص أو null للأنواع التي لا نص فيها (الصور) أو عند فشل الاستخراج
+async function extractText(buffer, mimeType) {
+  try {
+    let text = null;
+
+    if (mimeType === 'application/pdf') {
+      // المسار المباشر يتجنب كود الاختبار في index الخاص بالمكتبة
+      const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+      text = (await pdfParse(buffer)).text;
+    } else if (mimeType === DOCX_MIME) {
+      const mammoth = require('mammoth');
+      text = (await mammoth.extractRawText({ buffer })).value;
+    } else if (mimeType === 'text/plain') {
+      text = buffer.toString('utf8');
+    }
+
+    if (!text) return null;
+    text = text.replace(/\n{3,}/g, '\n\n').trim();
+    return text.length > EXTRACTED_TEXT_MAX_CHARS ? text.slice(0, EXTRACTED_TEXT_MAX_CHARS) : text;
+  } catch (error) {
+    console.warn(`⚠️ Text extraction failed (${mimeType}):`, error.message);
+    return null;
+  }
+}
+
+// ==========================================
+// حفظ الملفات
+// ==========================================
+// file: ملف multer في الذاكرة { originalname, mimetype, size, buffer }
+async function saveUploadedFile(supabase, storage, file, user) {
+  const ext = ALLOWED_FILE_TYPES[file.mimetype].ext;
+  const storageKey = `${user.school_id}/${user.id}/${crypto.randomUUID()}${ext}`;
+
+  await storage.put(storageKey, file.buffer, file.mimetype);
+
+  const { data, error } = await supabase
+    .from('submission_files')
+    .insert({
+      school_id: user.school_id,
+      uploaded_by: user.id,
+      storage_key: storageKey,
+      storage_driver: storage.name,
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size_bytes: file.size,
+      extracted_text: await extractText(file.buffer, file.mimetype)
+    })
+    .select(FILE_FIELDS)
+    .single();
+
+  if (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+  return data;
+}
+
+// ملفات الطالب المشار إليها في التسليم، بالشكل المحفوظ في نسخة الحل.
+// يرجع { files, errors }
+async function resolveSubmissionFiles(supabase, fileIds, studentId) {
+  if (fileIds === undefined || fileIds === null) return { files: [], errors: [] };
+  if (!Array.isArray(fileIds)) return { errors: ['files must be an array of uploaded file ids'] };
+  if (fileIds.length === 0) return { files: [], errors: [] };
+
+  const ids = fileIds.map(f => String(typeof f === 'object' && f ? f.id : f));
+  const { data } = await supabase
+    .from('submission_files')
+    .select(FILE_FIELDS)
+    .in('id', ids)
+    .eq('uploaded_by', studentId);
+
+  const found = new Map((data || []).map(f => [String(f.id), f]));
+  const errors = ids.filter(id => !found.has(id)).map(id => `file ${id} was not uploaded by you`);
+  if (errors.length) return { errors };
+
+  return {
+    errors: [],
+    files: ids.map(id => {
+      const file = found.get(id);
+      return { id: file.id, name: file.original_name, mime_type: file.mime_type, size_bytes: file.size_bytes };
+    })
+  };
+}
+
+// النصوص المستخرجة من ملفات نسخة الحل: [{ name, text }]
+async function loadAttachmentTexts(supabase, files) {
+  const ids = (files || []).map(f => f?.id).filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('submission_files')
+    .select('id, original_name, extracted_text')
+    .in('id', ids);
+
+  if (error) throw error;
+  return (data || [])
+    .filter(f => f.extracted_text)
+    .map(f => ({ name: f.original_name, text: f.extracted_text }));
+}
+
+module.exports = {
+  MAX_FILE_SIZE_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_FILE_TYPES,
+  FILE_FIELDS,
+  isAllowedType,
+  matchesSignature,
+  extractText,
+  saveUploadedFile,
+  resolveSubmissionFiles,
+  loadAttachmentTexts
+};
@@ -0,0 +1,258 @@
+// ==========================================
+// gradebookService.js - تصدير دفتر الدرجات (CSV و XLSX)
+// ==========================================
+// دفتر الدرجات جدول واحد { title, columns: [{ key, header, numeric }], rows }
+// يُبنى لمهمة (طالب في كل صف مع المعايير والمهارات) أو لفصل (طالب × مهام)،
+// ثم يُكتب بالصيغة المطلوبة. الدرجة في كل خلية هي التقييم المعتمد الأخير
+const ExcelJS = require('exceljs');
+const { resolveAssignedStudents } = require('./classService');
+const { effectiveAssessment } = require('./analyticsService');
+const { deadlineOf, loadTaskSubmissions } = require('./submissionService');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: '.csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: '.xlsx' }
+};
+
+const score = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const byName = (a, b) => (a.student_name || '').localeCompare(b.student_name || '', 'ar');
+
+async function loadUsers(supabase, ids) {
+  if (ids.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, full_name, email')
+    .in('id', ids);
+
+  if (error) throw error;
+  return new Map((data || []).map(u => [String(u.id), u]));
+}
+
+// ==========================================
+// دفتر درجات مهمة
+// ==========================================
+// صف لكل طالب مستهدف بالمهمة أو سلّم حلاً، مع درجة كل معيار وكل مهارة
+async function buildTaskGradebook(supabase, task) {
+  const [submissions, assigned] = await Promise.all([
+    loadTaskSubmissions(supabase, task.id),
+    resolveAssignedStudents(supabase, [task], task.school_id)
+  ]);
+
+  const byStudent = new Map(submissions.map(sub => [String(sub.student_id), sub]));
+  const withoutSubmission = [...(assigned.get(String(task.id)) || [])].filter(id => !byStudent.has(id));
+  const users = await loadUsers(supabase, withoutSubmission);
+
+  const criteria = task.rubric?.criteria || [];
+  const skills = new Map();
+
+  const rows = submissions.map(sub => {
+    const assessment = effectiveAssessment(sub);
+    const row = {
+      student_name: sub.student?.full_name || '',
+      email: sub.student?.email || '',
+      status: sub.status,
+      submitted_at: sub.submitted_at,
+      version: sub.current_version ?? null,
+      timeliness: sub.timeliness || null,
+      late_penalty: score(assessment?.late_penalty),
+      overall_score: score(assessment?.overall_score),
+      graded_by: assessment?.source || null
+    };
+
+    if (!assessment && (sub.assessments || []).some(a => a.status === 'pending_review')) {
+      row.status = 'pending_review';
+    }
+
+    (assessment?.criterion_assessments || []).forEach(ca => {
+      row[`criterion_${ca.criterion_id}`] = score(ca.score);
+    });
+    (assessment?.skill_assessments || []).forEach(sa => {
+      if (!sa.skills) return;
+      skills.set(sa.skills.key, sa.skills);
+      row[`skill_${sa.skills.key}`] = score(sa.score);
+    });
+    return row;
+  });
+
+  withoutSubmission.forEach(id => {
+    const user = users.get(id);
+    if (!user) return;
+    rows.push({ student_name: user.full_name || '', email: user.email || '', status: 'not_submitted' });
+  });
+
+  return {
+    title: task.title,
+    columns: [
+      { key: 'student_name', header: 'الطالب / Student' },
+      { key: 'email', header: 'البريد / Email' },
+      { key: 'status', header: 'الحالة / Status' },
+      { key: 'submitted_at', header: 'وقت التسليم / Submitted at' },
+      { key: 'version', header: 'النسخة / Version', numeric: true },
+      { key: 'timeliness', header: 'الالتزام بالموعد / Timeliness' },
+      { key: 'late_penalty', header: 'خصم التأخير / Late penalty', numeric: true },
+      { key: 'overall_score', header: 'الدرجة / Score', numeric: true },
+      ...criteria.map(c => ({ key: `criterion_${c.id}`, header: c.title || c.id, numeric: true })),
+      ...[...skills.values()].map(s => ({ key: `skill_${s.key}`, header: `${s.name_ar} / ${s.name_en}`, numeric: true })),
+      { key: 'graded_by', header: 'مصدر التقييم / Graded by' }
+    ],
+    rows: rows.sort(byName)
+  };
+}
+
+// ==========================================
+// دفتر درجات فصل
+// ==========================================
+// صف لكل طالب في الفصل وعمود لكل مهمة تستهدف أحداً منهم، مع المعدل
+// وعدد المهام المتأخرة بلا حل
+async function buildClassGradebook(supabase, cls, now = new Date()) {
+  const { data: members, error } = await supabase
+    .from('class_members')
+    .select('user_id, users(id, full_name, email)')
+    .eq('class_id', cls.id)
+    .eq('role', 'student');
+
+  if (error) throw error;
+  const students = (members || []).map(m => ({ id: String(m.user_id), ...m.users }));
+  const studentIds = new Set(students.map(s => s.id));
+
+  const { data: schoolTasks, error: tasksError } = await supabase
+    .from('tasks')
+    .select('id, title, due_date, audience, school_id, created_at')
+    .eq('school_id', cls.school_id)
+    .order('created_at', { ascending: true });
+
+  if (tasksError) throw tasksError;
+
+  const assigned = await resolveAssignedStudents(supabase, schoolTasks || [], cls.school_id);
+  const tasks = (schoolTasks || []).filter(task => {
+    const targets = assigned.get(String(task.id)) || new Set();
+    return [...targets].some(id => studentIds.has(id));
+  });
+
+  const submissions = new Map();
+  if (tasks.length && students.length) {
+    const { data, error: submissionsError } = await supabase
+      .from('submissions')
+      .select('task_id, student_id, status, assessments(overall_score, status, created_at, reviewed_at)')
+      .in('task_id', tasks.map(t => t.id))
+      .in('student_id', [...studentIds]);
+
+    if (submissionsError) throw submissionsError;
+    (data || []).forEach(sub => submissions.set(`${sub.task_id}:${sub.student_id}`, sub));
+  }
+
+  const rows = students.map(student => {
+    const row = { student_name: student.full_name || '', email: student.email || '' };
+    const scores = [];
+    let missing = 0;
+
+    tasks.forEach(task => {
+      if (!assigned.get(String(task.id)).has(student.id)) return;
+
+      const sub = submissions.get(`${task.id}:${student.id}`);
+      const assessment = sub ? effectiveAssessment(sub) : null;
+      if (assessment) {
+        row[`task_${task.id}`] = score(assessment.overall_score);
+        scores.push(row[`task_${task.id}`]);
+      }
+
+      const deadline = deadlineOf(task);
+      if (!sub && deadline && deadline < now) missing++;
+    });
+
+    row.average = scores.length
+      ? Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10) / 10
+      : null;
+    row.graded = scores.length;
+    row.missing = missing;
+    return row;
+  });
+
+  return {
+    title: cls.name,
+    columns: [
+      { key: 'student_name', header: 'الطالب / Student' },
+      { key: 'email', header: 'البريد / Email' },
+      ...tasks.map(task => ({
+        key: `task_${task.id}`,
+        header: task.due_date ? `${task.title} (${String(task.due_date).slice(0, 10)})` : task.title,
+        numeric: true
+      })),
+      { key: 'average', header: 'المعدل / Average', numeric: true },
+      { key: 'graded', header: 'المهام المقيّمة / Graded', numeric: true },
+      { key: 'missing', header: 'مهام متأخرة بلا حل / Missing', numeric: true }
+    ],
+    rows: rows.sort(byName)
+  };
+}
+
+// ==========================================
+// الكتابة بالصيغة المطلوبة
+// ==========================================
+// الخلايا النصية التي تبدأ بـ = + - @ قد ينفذها برنامج الجداول كمعادلات
+function safeText(value) {
+  const text = String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'number' ? value : safeText(value);
+}
+
+// CSV بترميز UTF-8 مع BOM حتى يعرض Excel الحروف العربية بشكل صحيح
+function toCsv({ columns, rows }) {
+  const escape = (value) => {
+    const text = String(cellValue(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    columns.map(c => escape(c.header)).join(','),
+    ...rows.map(row => columns.map(c => escape(row[c.key])).join(','))
+  ];
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+// اسم الورقة في Excel لا يتجاوز 31 حرفاً ولا يقبل بعض الرموز
+function sheetName(title) {
+  return (String(title || 'Gradebook').replace(/[\[\]:*?/\\]/g, ' ').trim() || 'Gradebook').slice(0, 31);
+}
+
+async function toXlsx({ title, columns, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(sheetName(title), {
+    views: [{ rightToLeft: true, state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = columns.map(c => ({
+    key: c.key,
+    header: c.header,
+    width: Math.min(40, Math.max(12, c.header.length + 2)),
+    style: c.numeric ? { numFmt: '0.0' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    sheet.addRow(Object.fromEntries(columns.map(c => {
+      const value = cellValue(row[c.key]);
+      return [c.key, value === '' ? null : value];
+    })));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+async function renderGradebook(gradebook, format) {
+  return format === 'xlsx' ? toXlsx(gradebook) : toCsv(gradebook);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildTaskGradebook,
+  buildClassGradebook,
+  toCsv,
+  toXlsx,
+  renderGradebook
+};
@@ -0,0 +1,458 @@
+// ==========================================
+// gradingService.js - تقييم الحلول وحفظ نتائج التقييم
+// ==========================================
+const { autoGradeSubmission, gradeWithRubric } = require('./aiService');
+const { scoreRubric } = require('./rubricService');
+const { clampScore } = require('./aiSchemas');
+const { getSchoolSkills, topLevelSkills } = require('./skillService');
+const { applyLatePenalty, getSubmissionVersion, markGraded } = require('./submissionService');
+const { loadAttachmentTexts } = require('./fileService');
+const {
+  isObjective,
+  scoreObjectiveAnswers,
+  needsEssayGrading,
+  essayContent,
+  combineResults
+} = require('./questionService');
+
+const ASSESSMENT_STATUS = {
+  FINAL: 'final',
+  PENDING_REVIEW: 'pending_review',
+  REJECTED: 'rejected'
+};
+
+// ==========================================
+// التقييم بالذكاء الاصطناعي
+// ==========================================
+// submission يجب أن يحتوي على المهمة في submission.tasks وإجابات الأسئلة في submission.answers.
+// الأسئلة الموضوعية تُصحح آلياً، والمقالية فقط (مع نص الحل والمرفقات) تذهب للنموذج.
+// options: { provider, promptVersion } يمرر لـ aiService (المزود المقاس، ونسخة قالب غير الفعالة للمقارنة)
+// يرجع { overall_score, feedback, recommendations, criteria, skill_scores, questions?, generation? }
+// و generation سجل طلب النموذج (نسخة القالب والنموذج وإعداداته ومخرجه الخام)
+async function gradeSubmissionWithAI(supabase, submission, options = {}) {
+  const questions = submission.tasks.questions || [];
+  const answers = submission.answers || {};
+  const objective = scoreObjectiveAnswers(questions, answers);
+
+  if (!needsEssayGrading(questions)) return combineResults(questions, objective, null);
+
+  const { generation, ...essay } = await gradeEssayWithAI(supabase, {
+    ...submission,
+    tasks: { ...submission.tasks, questions: questions.filter(q => !isObjective(q)) },
+    content: essayContent(questions, answers, submission.content)
+  }, options);
+  return { ...combineResults(questions, objective, essay), generation };
+}
+
+async function gradeEssayWithAI(supabase, submission, options) {
+  const task = submission.tasks;
+
+  if (task.rubric) {
+    const grading = await gradeWithRubric(task, submission, options);
+    const scored = scoreRubric(task.rubric, grading.criteria.map(c => ({
+      criterion_id: c.criterionId,
+      level: c.level,
+      comment: c.comment
+    })));
+
+    return {
+      overall_score: scored.overall_score,
+      feedback: grading.feedback,
+      recommendations: grading.recommendations || [],
+      criteria: scored.criteria,
+      skill_scores: scored.skill_scores,
+      generation: grading.generation
+    };
+  }
+
+  // بدون معيار: النموذج يقيّم المهارات الرئيسية في إطار المدرسة بمفاتيحها
+  const skills = topLevelSkills(await getSchoolSkills(supabase, task.school_id));
+  if (skills.length === 0) throw new Error(`School ${task.school_id} has no active skills to grade`);
+
+  const grading = await autoGradeSubmission(task, submission, skills, options);
+  const skillScores = skills.map(skill => ({ skill_id: skill.id, score: grading.skillScores[skill.key] }));
+
+  return {
+    overall_score: grading.overallScore,
+    feedback: grading.feedback,
+    recommendations: grading.recommendations || [],
+    criteria: [],
+    skill_scores: skillScores,
+    generation: grading.generation
+  };
+}
+
+// ==========================================
+// تقييم المعلم
+// ==========================================
+// body: { criteria } للمهام ذات المعيار، أو { skill_scores, overall_score } لغيرها.
+// المعلم يقيّم الجزء المقالي فقط، ويُدمج مع تصحيح الأسئلة الموضوعية من answers (إجابات النسخة المقيّمة)
+// يرجع { result, errors }
+async function buildTeacherResult(supabase, task, body, answers = {}) {
+  const questions = task.questions || [];
+  const objective = scoreObjectiveAnswers(questions, answers);
+
+  if (!needsEssayGrading(questions)) {
+    const result = combineResults(questions, objective, null);
+    return { errors: [], result: { ...result, feedback: body.feedback || result.feedback } };
+  }
+
+  const { result, errors } = await buildEssayResult(supabase, task, body);
+  if (errors.length) return { errors };
+  return { errors: [], result: combineResults(questions, objective, result) };
+}
+
+async function buildEssayResult(supabase, task, body) {
+  const { criteria, skill_scores: skillInput, overall_score: overallInput, feedback } = body;
+
+  if (task.rubric) {
+    const scored = scoreRubric(task.rubric, criteria);
+    if (scored.errors.length) return { errors: scored.errors };
+
+    return {
+      errors: [],
+      result: {
+        overall_score: scored.overall_score,
+        feedback: feedback || null,
+        criteria: scored.criteria,
+        skill_scores: scored.skill_scores
+      }
+    };
+  }
+
+  if (!Array.isArray(skillInput) || skillInput.length === 0) {
+    return { errors: ['skill_scores must be a non-empty array'] };
+  }
+
+  const skills = await getSchoolSkills(supabase, task.school_id);
+  const validIds = skills.map(s => String(s.id));
+  const errors = [];
+
+  const skillScores = skillInput.map((item, i) => {
+    const score = Number(item.score);
+    if (!validIds.includes(String(item.skill_id))) errors.push(`skill_scores[${i}].skill_id is unknown`);
+    if (!Number.isFinite(score) || score < 0 || score > 100) errors.push(`skill_scores[${i}].score must be between 0 and 100`);
+    return { skill_id: item.skill_id, score: clampScore(score) };
+  });
+
+  let overallScore;
+  if (overallInput !== undefined && overallInput !== null) {
+    overallScore = Number(overallInput);
+    if (!Number.isFinite(overallScore) || overallScore < 0 || overallScore > 100) {
+      errors.push('overall_score must be between 0 and 100');
+    }
+  } else {
+    overallScore = skillScores.reduce((sum, s) => sum + s.score, 0) / skillScores.length;
+  }
+
+  if (errors.length) return { errors };
+
+  return {
+    errors: [],
+    result: {
+      overall_score: clampScore(overallScore),
+      feedback: feedback || null,
+      criteria: [],
+      skill_scores: skillScores
+    }
+  };
+}
+
+// ==========================================
+// حفظ التقييم
+// ==========================================
+async function insertScoreRows(supabase, assessmentId, result, aiScores = new Map()) {
+  if (result.criteria?.length) {
+    const { error } = await supabase
+      .from('criterion_assessments')
+      .insert(result.criteria.map(c => ({ assessment_id: assessmentId, ...c })));
+    if (error) throw error;
+  }
+
+  if (result.skill_scores?.length) {
+    const { error } = await supabase
+      .from('skill_assessments')
+      .insert(result.skill_scores.map(s => ({
+        assessment_id: assessmentId,
+        ...s,
+        ai_score: aiScores.get(String(s.skill_id)) ?? null
+      })));
+    if (error) throw error;
+  }
+
+  if (result.questions?.length) {
+    const { error } = await supabase
+      .from('question_assessments')
+      .insert(result.questions.map(q => ({ assessment_id: assessmentId, ...q })));
+    if (error) throw error;
+  }
+}
+
+// يحفظ التقييم ودرجات المعايير والمهارات.
+// التقييم النهائي يغير حالة الحل إلى graded، أما pending_review فينتظر مراجعة المعلم.
+// تقييمات الذكاء الاصطناعي تحتفظ بنسخة من النتيجة الأصلية في ai_result للمراجعة.
+// version رقم نسخة الحل المقيّمة، و latePenalty خصم التأخير المطبق على الدرجة الكلية.
+// result.generation (إن وجد) يُحفظ في أعمدة إعادة الإنتاج: نسخة القالب والنموذج وإعداداته ومخرجه الخام
+async function saveAssessment(supabase, submissionId, result, {
+  source = 'ai',
+  gradedBy = null,
+  status = ASSESSMENT_STATUS.FINAL,
+  version = null,
+  latePenalty = 0
+} = {}) {
+  const isAI = source === 'ai';
+  const { generation = null, ...scores } = result;
+
+  const { data: assessment, error } = await supabase
+    .from('assessments')
+    .insert({
+      submission_id: submissionId,
+      overall_score: scores.overall_score,
+      feedback: scores.feedback,
+      source,
+      status,
+      graded_by: gradedBy,
+      version,
+      late_penalty: latePenalty,
+      ai_result: isAI ? scores : null,
+      prompt_name: generation?.prompt ?? null,
+      prompt_version: generation?.prompt_version ?? null,
+      ai_provider: generation?.provider ?? null,
+      ai_model: generation?.model ?? null,
+      ai_params: generation?.params ?? null,
+      ai_raw_output: generation?.raw_output ?? null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const aiScores = isAI
+    ? new Map(scores.skill_scores.map(s => [String(s.skill_id), s.score]))
+    : new Map();
+  await insertScoreRows(supabase, assessment.id, scores, aiScores);
+
+  if (status === ASSESSMENT_STATUS.FINAL) {
+    await markGraded(supabase, submissionId, version);
+  }
+
+  return assessment;
+}
+
+// ==========================================
+// مراجعة المعلم لتقييم الذكاء الاصطناعي
+// ==========================================
+// action: accept (اعتماد كما هو) | edit (اعتماد مع تعديل finalResult) | reject
+// الدرجات الأصلية تبقى في ai_result و skill_assessments.ai_score
+async function reviewAssessment(supabase, assessment, { action, finalResult, reviewerId }) {
+  const reviewedAt = new Date().toISOString();
+
+  if (action === 'reject') {
+    const { data, error } = await supabase
+      .from('assessments')
+      .update({
+        status: ASSESSMENT_STATUS.REJECTED,
+        review_action: action,
+        reviewed_by: reviewerId,
+        reviewed_at: reviewedAt
+      })
+      .eq('id', assessment.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // خصم التأخير محفوظ في التقييم، فيطبق على درجات المعلم المعدلة أيضاً
+  const original = assessment.ai_result;
+  const final = action === 'edit'
+    ? applyLatePenalty({ ...finalResult, feedback: finalResult.feedback || original.feedback }, assessment.late_penalty)
+    : original;
+
+  const { data, error } = await supabase
+    .from('assessments')
+    .update({
+      overall_score: final.overall_score,
+      feedback: final.feedback,
+      status: ASSESSMENT_STATUS.FINAL,
+      review_action: action,
+      reviewed_by: reviewerId,
+      reviewed_at: reviewedAt
+    })
+    .eq('id', assessment.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (action === 'edit') {
+    await supabase.from('criterion_assessments').delete().eq('assessment_id', assessment.id);
+    await supabase.from('skill_assessments').delete().eq('assessment_id', assessment.id);
+    await supabase.from('question_assessments').delete().eq('assessment_id', assessment.id);
+    const aiScores = new Map((original.skill_scores || []).map(s => [String(s.skill_id), s.score]));
+    await insertScoreRows(supabase, assessment.id, final, aiScores);
+  }
+
+  await markGraded(supabase, assessment.submission_id, data.version);
+
+  return data;
+}
+
+// ==========================================
+// تقييم حل محدد بالذكاء الاصطناعي وحفظه
+// ==========================================
+// الحل بمحتوى النسخة المختارة، مع نصوص المرفقات إذا كان سيُرسل للنموذج
+async function gradingInput(supabase, submission, selected) {
+  return {
+    ...submission,
+    content: selected.content,
+    files: selected.files,
+    answers: selected.answers || {},
+    attachments: needsEssayGrading(submission.tasks.questions) ? await loadAttachmentTexts(supabase, selected.files) : []
+  };
+}
+
+// يستخدمه المسار المباشر وطابور المهام الخلفية.
+// version يحدد نسخة الحل المقيّمة، وبدونه تقيّم آخر نسخة، و provider المزود المقاس للطلب.
+// المهمة الموضوعية بالكامل تُحفظ كتقييم آلي (source: auto) نهائي بدون مراجعة
+async function gradeSubmissionById(supabase, submissionId, { review = false, version = null, provider } = {}) {
+  const { data: submission } = await supabase
+    .from('submissions')
+    .select('*, tasks(*)')
+    .eq('id', submissionId)
+    .single();
+
+  if (!submission) throw new Error(`Submission ${submissionId} not found`);
+
+  const selected = await getSubmissionVersion(supabase, submission, version);
+  if (!selected) throw new Error(`Submission ${submissionId} has no version ${version}`);
+
+  const usesAI = needsEssayGrading(submission.tasks.questions);
+  const aiGrading = await gradeSubmissionWithAI(supabase, await gradingInput(supabase, submission, selected), { provider });
+  const grading = applyLatePenalty(aiGrading, selected.late_penalty);
+
+  const assessment = await saveAssessment(supabase, submissionId, grading, {
+    source: usesAI ? 'ai' : 'auto',
+    status: review && usesAI ? ASSESSMENT_STATUS.PENDING_REVIEW : ASSESSMENT_STATUS.FINAL,
+    version: selected.version,
+    latePenalty: selected.late_penalty || 0
+  });
+
+  return { assessment, grading };
+}
+
+// ==========================================
+// إعادة التقييم بنسخة قالب أخرى ومقارنتها
+// ==========================================
+const round = (value) => Math.round(value * 10) / 10;
+
+// يعيد تقييم نسخة الحل التي قُيّمت في آخر تقييم نهائي، بدون حفظ شيء، ويقارن الدرجات به.
+// options: { provider, promptVersion }، والمزود المقاس يجب أن يكون بدون الاستجابات المخزنة (cache: false)
+// حتى يُستدعى النموذج فعلاً. يرجع null إذا لم يكن للحل تقييم نهائي
+// أو كانت مهمته موضوعية بالكامل (لا يدخلها النموذج فلا انحراف فيها)
+async function regradeAndCompare(supabase, submissionId, options = {}) {
+  const { data: submission } = await supabase
+    .from('submissions')
+    .select(`
+      *,
+      tasks(*),
+      assessments(
+        id, version, overall_score, late_penalty, status, source, prompt_version, created_at, reviewed_at,
+        skill_assessments(skill_id, score)
+      )
+    `)
+    .eq('id', submissionId)
+    .single();
+
+  if (!submission) throw new Error(`Submission ${submissionId} not found`);
+  if (!needsEssayGrading(submission.tasks.questions)) return null;
+
+  const baseline = (submission.assessments || [])
+    .filter(a => a.status === ASSESSMENT_STATUS.FINAL)
+    .sort((a, b) => new Date(b.reviewed_at || b.created_at) - new Date(a.reviewed_at || a.created_at))[0];
+  if (!baseline) return null;
+
+  const selected = await getSubmissionVersion(supabase, submission, baseline.version);
+  if (!selected) throw new Error(`Submission ${submissionId} has no version ${baseline.version}`);
+
+  const regraded = applyLatePenalty(
+    await gradeSubmissionWithAI(supabase, await gradingInput(supabase, submission, selected), options),
+    baseline.late_penalty
+  );
+
+  const baselineSkills = new Map((baseline.skill_assessments || []).map(s => [String(s.skill_id), parseFloat(s.score)]));
+  const baselineOverall = parseFloat(baseline.overall_score);
+
+  return {
+    submission_id: submission.id,
+    task_id: submission.task_id,
+    version: selected.version,
+    baseline: {
+      assessment_id: baseline.id,
+      source: baseline.source,
+      prompt_version: baseline.prompt_version || null,
+      overall_score: baselineOverall
+    },
+    regraded: {
+      prompt_version: regraded.generation?.prompt_version || null,
+      model: regraded.generation?.model || null,
+      overall_score: regraded.overall_score
+    },
+    overall_drift: round(regraded.overall_score - baselineOverall),
+    skill_drift: regraded.skill_scores
+      .filter(s => baselineSkills.has(String(s.skill_id)))
+      .map(s => ({
+        skill_id: s.skill_id,
+        baseline: baselineSkills.get(String(s.skill_id)),
+        regraded: s.score,
+        drift: round(s.score - baselineSkills.get(String(s.skill_id)))
+      }))
+  };
+}
+
+function driftStats(drifts) {
+  if (drifts.length === 0) return { compared: 0, mean_drift: null, mean_absolute_drift: null, max_absolute_drift: null };
+  return {
+    compared: drifts.length,
+    mean_drift: round(drifts.reduce((sum, d) => sum + d, 0) / drifts.length),
+    mean_absolute_drift: round(drifts.reduce((sum, d) => sum + Math.abs(d), 0) / drifts.length),
+    max_absolute_drift: round(Math.max(...drifts.map(Math.abs)))
+  };
+}
+
+// ملخص الانحراف لكل مهارة وللدرجة الكلية من نتائج regradeAndCompare.
+// الانحراف الموجب يعني أن النسخة الجديدة أكرم في الدرجات
+function summarizeDrift(comparisons) {
+  const bySkill = new Map();
+  comparisons.forEach(item => item.skill_drift.forEach(s => {
+    const entry = bySkill.get(String(s.skill_id)) || { skill_id: s.skill_id, baseline: [], regraded: [], drifts: [] };
+    entry.baseline.push(s.baseline);
+    entry.regraded.push(s.regraded);
+    entry.drifts.push(s.drift);
+    bySkill.set(String(s.skill_id), entry);
+  }));
+
+  const average = (values) => round(values.reduce((sum, v) => sum + v, 0) / values.length);
+
+  return {
+    overall: driftStats(comparisons.map(item => item.overall_drift)),
+    skills: [...bySkill.values()].map(entry => ({
+      skill_id: entry.skill_id,
+      baseline_average: average(entry.baseline),
+      regraded_average: average(entry.regraded),
+      ...driftStats(entry.drifts)
+    }))
+  };
+}
+
+module.exports = {
+  ASSESSMENT_STATUS,
+  gradeSubmissionWithAI,
+  gradeSubmissionById,
+  regradeAndCompare,
+  summarizeDrift,
+  buildTeacherResult,
+  saveAssessment,
+  reviewAssessment
+};
@@ -0,0 +1,257 @@
+// ==========================================
+// guardianService.js - أولياء الأمور وربطهم بالطلاب
+// ==========================================
+// المعلم أو المدير يصدر رمز ربط لطالب (صالح لمرة واحدة)، وولي الأمر يستخدمه
+// للتسجيل أو لإضافة طالب آخر لحسابه. ولي الأمر يرى بيانات أبنائه للقراءة فقط،
+// والحقول المتاحة له تحددها مدرسة الطالب في settings.guardian_visibility
+const { generateJoinCode, schoolSettings } = require('./schoolService');
+const { getStudentTasks } = require('./classService');
+const { effectiveAssessment } = require('./analyticsService');
+const { deadlineOf } = require('./submissionService');
+
+const GUARDIAN_CODE_TTL_DAYS = parseInt(process.env.GUARDIAN_CODE_TTL_DAYS || '14', 10);
+const MAX_RELATIONSHIP_LENGTH = 50;
+
+const LINK_CODE_FIELDS = 'id, school_id, student_id, code, expires_at, created_by, used_by, used_at, revoked_at, created_at';
+
+const score = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// ==========================================
+// رموز الربط
+// ==========================================
+async function createGuardianCode(supabase, student, createdBy) {
+  const expiresAt = new Date(Date.now() + GUARDIAN_CODE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  // الرمز فريد على مستوى المنصة، فنعيد المحاولة إذا تصادف رمز موجود
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data, error } = await supabase
+      .from('guardian_link_codes')
+      .insert({
+        school_id: student.school_id,
+        student_id: student.id,
+        code: generateJoinCode(),
+        expires_at: expiresAt,
+        created_by: createdBy
+      })
+      .select(LINK_CODE_FIELDS)
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+  }
+  throw new Error('Could not generate a unique guardian code');
+}
+
+// الرمز مع الطالب إذا كان صالحاً للاستخدام، وإلا null
+async function findUsableGuardianCode(supabase, code, now = new Date()) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+
+  const { data } = await supabase
+    .from('guardian_link_codes')
+    .select(`${LINK_CODE_FIELDS}, student:users!guardian_link_codes_student_id_fkey(id, full_name, role, school_id, status)`)
+    .eq('code', code.trim())
+    .maybeSingle();
+
+  if (!data || data.used_at || data.revoked_at || new Date(data.expires_at) <= now) return null;
+  if (!data.student || data.student.role !== 'student' || data.student.status === 'deactivated') return null;
+  return data;
+}
+
+function normalizeRelationship(relationship) {
+  if (relationship === undefined || relationship === null || relationship === '') return { value: null, error: null };
+  if (typeof relationship !== 'string' || relationship.trim().length > MAX_RELATIONSHIP_LENGTH) {
+    return { value: null, error: `relationship must be text of at most ${MAX_RELATIONSHIP_LENGTH} characters` };
+  }
+  return { value: relationship.trim(), error: null };
+}
+
+// يستهلك الرمز ويربط ولي الأمر بالطالب. يرجع الرابط، أو null إذا استُخدم
+// الرمز في طلب متزامن. الشرط على used_at يمنع استخدام الرمز مرتين
+async function redeemGuardianCode(supabase, linkCode, guardianId, relationship = null) {
+  const { data: used, error: useError } = await supabase
+    .from('guardian_link_codes')
+    .update({ used_by: guardianId, used_at: new Date().toISOString() })
+    .eq('id', linkCode.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (useError) throw useError;
+  if (!used || used.length === 0) return null;
+
+  const { data: link, error } = await supabase
+    .from('guardian_links')
+    .insert({
+      guardian_id: guardianId,
+      student_id: linkCode.student_id,
+      relationship,
+      created_by: linkCode.created_by
+    })
+    .select('id, guardian_id, student_id, relationship, created_at')
+    .single();
+
+  if (error) throw error;
+  return link;
+}
+
+async function isLinked(supabase, guardianId, studentId) {
+  const { data } = await supabase
+    .from('guardian_links')
+    .select('id')
+    .eq('guardian_id', guardianId)
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  return !!data;
+}
+
+// ==========================================
+// الروابط
+// ==========================================
+async function listGuardianStudents(supabase, guardianId) {
+  const { data, error } = await supabase
+    .from('guardian_links')
+    .select('relationship, created_at, student:users!guardian_links_student_id_fkey(id, full_name, school_id, status, schools(id, name, settings))')
+    .eq('guardian_id', guardianId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || [])
+    .filter(link => link.student && link.student.status !== 'deactivated')
+    .map(({ relationship, created_at, student }) => ({
+      id: student.id,
+      full_name: student.full_name,
+      school: student.schools ? { id: student.schools.id, name: student.schools.name } : null,
+      relationship,
+      linked_at: created_at,
+      visibility: schoolSettings(student.schools).guardian_visibility
+    }));
+}
+
+// أولياء أمور الطالب ورموز الربط التي لم تُستخدم بعد
+async function listStudentGuardians(supabase, studentId, now = new Date()) {
+  const [links, codes] = await Promise.all([
+    supabase
+      .from('guardian_links')
+      .select('relationship, created_at, guardian:users!guardian_links_guardian_id_fkey(id, full_name, email, status)')
+      .eq('student_id', studentId)
+      .order('created_at', { ascending: true }),
+    supabase
+      .from('guardian_link_codes')
+      .select(LINK_CODE_FIELDS)
+      .eq('student_id', studentId)
+      .is('used_at', null)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false })
+  ]);
+
+  if (links.error) throw links.error;
+  if (codes.error) throw codes.error;
+
+  return {
+    guardians: (links.data || []).filter(link => link.guardian).map(({ relationship, created_at, guardian }) => ({
+      ...guardian,
+      relationship,
+      linked_at: created_at
+    })),
+    codes: (codes.data || []).filter(code => new Date(code.expires_at) > now)
+  };
+}
+
+async function unlinkGuardian(supabase, studentId, guardianId) {
+  const { data, error } = await supabase
+    .from('guardian_links')
+    .delete()
+    .eq('student_id', studentId)
+    .eq('guardian_id', guardianId)
+    .select('id');
+
+  if (error) throw error;
+  return !!data && data.length > 0;
+}
+
+// يرجع { student, visibility } إذا كان ولي الأمر مرتبطاً بالطالب، وإلا null
+async function guardianAccess(supabase, guardian, studentId) {
+  if (guardian.role !== 'parent' || !await isLinked(supabase, guardian.id, studentId)) return null;
+
+  const { data: student } = await supabase
+    .from('users')
+    .select('id, full_name, school_id, status, schools(id, name, settings, is_active)')
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (!student || student.status === 'deactivated' || student.schools?.is_active === false) return null;
+
+  const { schools, ...rest } = student;
+  return {
+    student: { ...rest, school: schools ? { id: schools.id, name: schools.name } : null },
+    visibility: schoolSettings(schools).guardian_visibility
+  };
+}
+
+// ==========================================
+// عرض ولي الأمر
+// ==========================================
+// مهام الطالب مع حالة التسليم، والدرجة والمهارات والملاحظات حسب ما تتيحه المدرسة.
+// تظهر التقييمات المعتمدة فقط، فتقييم الذكاء الاصطناعي المنتظر للمراجعة لا يظهر
+async function buildGuardianTasks(supabase, student, visibility, now = new Date()) {
+  const tasks = await getStudentTasks(
+    supabase,
+    student.id,
+    student.school_id,
+    'id, title, due_date, status, created_at, teacher:users!tasks_teacher_id_fkey(full_name)'
+  );
+
+  const { data: submissions, error } = await supabase
+    .from('submissions')
+    .select(`
+      id,
+      task_id,
+      status,
+      submitted_at,
+      timeliness,
+      assessments(overall_score, feedback, status, created_at, reviewed_at, skill_assessments(score, skills(key, name_en, name_ar)))
+    `)
+    .eq('student_id', student.id);
+
+  if (error) throw error;
+  const byTask = new Map((submissions || []).map(sub => [String(sub.task_id), sub]));
+
+  return tasks.map(task => {
+    const sub = byTask.get(String(task.id));
+    const assessment = sub ? effectiveAssessment(sub) : null;
+    const deadline = deadlineOf(task);
+
+    const view = {
+      id: task.id,
+      title: task.title,
+      due_date: task.due_date,
+      teacher_name: task.teacher?.full_name || null,
+      submission_status: sub?.status || 'pending',
+      submitted_at: sub?.submitted_at || null,
+      timeliness: sub?.timeliness || null,
+      is_overdue: !sub && !!deadline && deadline < now
+    };
+
+    if (visibility.grades) view.score = score(assessment?.overall_score);
+    if (visibility.skill_scores) {
+      view.skill_scores = (assessment?.skill_assessments || [])
+        .filter(sa => sa.skills)
+        .map(sa => ({ key: sa.skills.key, name_en: sa.skills.name_en, name_ar: sa.skills.name_ar, score: score(sa.score) }));
+    }
+    if (visibility.feedback) view.feedback = assessment?.feedback || null;
+    return view;
+  });
+}
+
+module.exports = {
+  createGuardianCode,
+  findUsableGuardianCode,
+  normalizeRelationship,
+  redeemGuardianCode,
+  isLinked,
+  listGuardianStudents,
+  listStudentGuardians,
+  unlinkGuardian,
+  guardianAccess,
+  buildGuardianTasks
+};
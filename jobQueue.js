@@ -0,0 +1,264 @@
+// ==========================================
+// jobQueue.js - طابور مهام خلفية محفوظ في قاعدة البيانات
+// ==========================================
+// المهام تُحفظ في جدول jobs فتبقى بعد إعادة تشغيل الخادم.
+// الحالات: queued -> running -> completed | failed
+// عند الفشل تعاد المهمة للطابور مع تأخير متزايد حتى max_attempts.
+// كل مهمة قيد التنفيذ لها مهلة (locked_until) يمددها العامل دورياً ما دامت تعمل،
+// وإذا توقف الخادم قبل انتهائها تعاد للطابور عند انتهاء المهلة
+const os = require('os');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+function createJobQueue(supabase, {
+  concurrency = parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+  pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10),
+  maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+  backoffMs = parseInt(process.env.JOB_BACKOFF_MS || '5000', 10),
+  leaseMs = parseInt(process.env.JOB_LEASE_MS || '600000', 10)
+} = {}) {
+  const handlers = {};
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let running = 0;
+  let timer = null;
+  let stopped = true;
+  let polling = false;
+  let pollAgain = false;
+
+  function register(type, handler) {
+    handlers[type] = handler;
+  }
+
+  // ==========================================
+  // إضافة مهام
+  // ==========================================
+  // jobs: [{ type, payload, subject_id, school_id, created_by, batch_id }]
+  async function enqueueMany(jobs) {
+    if (jobs.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('jobs')
+      .insert(jobs.map(job => ({
+        type: job.type,
+        payload: job.payload || {},
+        subject_id: job.subject_id || null,
+        school_id: job.school_id || null,
+        created_by: job.created_by || null,
+        batch_id: job.batch_id || null,
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        max_attempts: job.max_attempts || maxAttempts,
+        run_at: now
+      })))
+      .select();
+
+    if (error) throw error;
+    schedule(0);
+    return data;
+  }
+
+  async function enqueue(job) {
+    const [created] = await enqueueMany([job]);
+    return created;
+  }
+
+  // المعرفات التي لديها مهمة من نفس النوع لم تنته بعد
+  async function findActiveSubjects(type, subjectIds) {
+    if (subjectIds.length === 0) return new Set();
+
+    const { data } = await supabase
+      .from('jobs')
+      .select('subject_id')
+      .eq('type', type)
+      .in('subject_id', subjectIds)
+      .in('status', ACTIVE_STATUSES);
+
+    return new Set((data || []).map(job => String(job.subject_id)));
+  }
+
+  // ==========================================
+  // تنفيذ المهام
+  // ==========================================
+  // نحجز المهمة بتحديث مشروط على الحالة حتى لا ينفذها عاملان معاً
+  async function claim(job) {
+    const { data } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.RUNNING,
+        attempts: job.attempts + 1,
+        locked_by: workerId,
+        locked_until: new Date(Date.now() + leaseMs).toISOString(),
+        started_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.QUEUED)
+      .select();
+
+    return data?.[0] || null;
+  }
+
+  async function finish(job, update) {
+    const { error } = await supabase
+      .from('jobs')
+      .update({ locked_by: null, locked_until: null, finished_at: new Date().toISOString(), ...update })
+      .eq('id', job.id);
+
+    if (error) console.error('❌ Failed to update job', job.id, error.message);
+  }
+
+  // تمديد المهلة كل ثلث مدتها حتى لا تُستعاد مهمة طويلة ما زالت تعمل
+  function keepLeased(job) {
+    const timer = setInterval(async () => {
+      const { error } = await supabase
+        .from('jobs')
+        .update({ locked_until: new Date(Date.now() + leaseMs).toISOString() })
+        .eq('id', job.id)
+        .eq('status', JOB_STATUS.RUNNING)
+        .eq('locked_by', workerId);
+
+      if (error) console.error('❌ Failed to extend job lease', job.id, error.message);
+    }, Math.max(1000, Math.floor(leaseMs / 3)));
+
+    return () => clearInterval(timer);
+  }
+
+  async function execute(job) {
+    const handler = handlers[job.type];
+    const release = keepLeased(job);
+
+    try {
+      if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+      const result = await handler(job.payload, job);
+      await finish(job, { status: JOB_STATUS.COMPLETED, result: result ?? null, last_error: null });
+    } catch (error) {
+      // retryable: false لأخطاء لن تحلها إعادة المحاولة (مثل تجاوز حد الاستخدام)
+      const canRetry = handler && error.retryable !== false && job.attempts < job.max_attempts;
+      console.error(`❌ Job ${job.id} (${job.type}) failed, attempt ${job.attempts}/${job.max_attempts}:`, error.message);
+
+      if (canRetry) {
+        // تأخير أسي مع عشوائية بسيطة: 5s, 10s, 20s...
+        const delay = backoffMs * 2 ** (job.attempts - 1) * (1 + Math.random() * 0.2);
+        await finish(job, {
+          status: JOB_STATUS.QUEUED,
+          last_error: error.message,
+          run_at: new Date(Date.now() + delay).toISOString(),
+          finished_at: null
+        });
+      } else {
+        await finish(job, { status: JOB_STATUS.FAILED, last_error: error.message });
+      }
+    } finally {
+      release();
+    }
+  }
+
+  // مهام انتهت مهلتها لأن الخادم الذي حجزها توقف
+  async function recoverExpired() {
+    const { data: expired } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('status', JOB_STATUS.RUNNING)
+      .lt('locked_until', new Date().toISOString());
+
+    for (const job of expired || []) {
+      const exhausted = job.attempts >= job.max_attempts;
+      await supabase
+        .from('jobs')
+        .update({
+          status: exhausted ? JOB_STATUS.FAILED : JOB_STATUS.QUEUED,
+          last_error: 'worker stopped before the job finished',
+          locked_by: null,
+          locked_until: null,
+          finished_at: exhausted ? new Date().toISOString() : null
+        })
+        .eq('id', job.id)
+        .eq('status', JOB_STATUS.RUNNING);
+    }
+  }
+
+  async function poll() {
+    timer = null;
+    if (stopped) return;
+    polling = true;
+    pollAgain = false;
+
+    try {
+      await recoverExpired();
+
+      const free = concurrency - running;
+      if (free > 0) {
+        const { data: due } = await supabase
+          .from('jobs')
+          .select('*')
+          .eq('status', JOB_STATUS.QUEUED)
+          .lte('run_at', new Date().toISOString())
+          .order('run_at', { ascending: true })
+          .limit(free);
+
+        for (const candidate of due || []) {
+          const job = await claim(candidate);
+          if (!job) continue;
+
+          running++;
+          execute(job).finally(() => {
+            running--;
+            schedule(0);
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll failed:', error.message);
+    }
+
+    polling = false;
+    schedule(pollAgain ? 0 : pollIntervalMs);
+  }
+
+  // جولة واحدة فقط في كل وقت حتى لا يتجاوز التنفيذ حد التوازي
+  function schedule(delay) {
+    if (stopped) return;
+    if (polling) {
+      if (delay === 0) pollAgain = true;
+      return;
+    }
+    if (timer && delay > 0) return;
+    clearTimeout(timer);
+    timer = setTimeout(poll, delay);
+  }
+
+  // ==========================================
+  // التشغيل والإيقاف
+  // ==========================================
+  function start() {
+    stopped = false;
+    schedule(0);
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    register,
+    enqueue,
+    enqueueMany,
+    findActiveSubjects,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  createJobQueue
+};
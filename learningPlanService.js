@@ -0,0 +1,422 @@
+// ==========================================
+// learningPlanService.js - خطط التعلم الشخصية
+// ==========================================
+// توصيات الذكاء الاصطناعي لمهارة ضعيفة تُحفظ كخطة للطالب: تشخيص وأنشطة
+// ومصادر وخطة أسبوع وشهر. الطالب يعلّم الأنشطة المنجزة والمعلم يعدل الخطة،
+// وكل تقييم معتمد جديد في نفس المهارة يعيد حساب نتيجة الخطة مقارنة بدرجة البداية
+const { DEFAULT_THRESHOLDS } = require('./analyticsService');
+
+const PLAN_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  ARCHIVED: 'archived'
+};
+
+// pending: لا يوجد تقييم بعد إنشاء الخطة
+const PLAN_OUTCOME = {
+  PENDING: 'pending',
+  IMPROVED: 'improved',
+  NO_CHANGE: 'no_change',
+  DECLINED: 'declined',
+  TARGET_REACHED: 'target_reached'
+};
+
+// فرق الدرجات (بالنقاط) الذي يعتبر تحسناً أو تراجعاً
+const IMPROVEMENT_MARGIN = parseFloat(process.env.LEARNING_PLAN_IMPROVEMENT_MARGIN || '5');
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_ITEMS = 30;
+
+const PLAN_FIELDS = `
+  id, school_id, student_id, skill_id, source_task_id, created_by, status,
+  diagnosis, resources, week_plan, month_plan, notes,
+  baseline_score, target_score, latest_score, latest_assessed_at, outcome,
+  updated_by, created_at, updated_at
+`;
+const PLAN_SELECT = `
+  ${PLAN_FIELDS},
+  skills(id, key, name_en, name_ar),
+  learning_plan_activities(id, position, description, completed_at, completed_by),
+  learning_plan_progress(submission_id, assessment_id, task_id, score, assessed_at)
+`;
+
+const score = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const round = (value) => Math.round(value * 10) / 10;
+
+// ==========================================
+// النتيجة
+// ==========================================
+function planOutcome(baseline, latest, target) {
+  if (latest === null) return PLAN_OUTCOME.PENDING;
+  if (target !== null && latest >= target) return PLAN_OUTCOME.TARGET_REACHED;
+  if (baseline === null) return PLAN_OUTCOME.NO_CHANGE;
+  if (latest - baseline >= IMPROVEMENT_MARGIN) return PLAN_OUTCOME.IMPROVED;
+  if (baseline - latest >= IMPROVEMENT_MARGIN) return PLAN_OUTCOME.DECLINED;
+  return PLAN_OUTCOME.NO_CHANGE;
+}
+
+function presentPlan(plan) {
+  const { skills, learning_plan_activities: activities, learning_plan_progress: progress, ...rest } = plan;
+  const sortedActivities = [...(activities || [])].sort((a, b) => a.position - b.position);
+  const sortedProgress = [...(progress || [])]
+    .map(p => ({ ...p, score: score(p.score) }))
+    .sort((a, b) => new Date(a.assessed_at) - new Date(b.assessed_at));
+
+  const baseline = score(rest.baseline_score);
+  const latest = score(rest.latest_score);
+
+  return {
+    ...rest,
+    baseline_score: baseline,
+    target_score: score(rest.target_score),
+    latest_score: latest,
+    skill: skills || null,
+    activities: sortedActivities,
+    progress: sortedProgress,
+    summary: {
+      activities_total: sortedActivities.length,
+      activities_done: sortedActivities.filter(a => a.completed_at).length,
+      assessments: sortedProgress.length,
+      change: baseline !== null && latest !== null ? round(latest - baseline) : null
+    }
+  };
+}
+
+// ==========================================
+// التحقق من المدخلات
+// ==========================================
+function textList(value, name, errors) {
+  if (!Array.isArray(value) || value.length > MAX_ITEMS) {
+    errors.push(`${name} must be an array of at most ${MAX_ITEMS} items`);
+    return null;
+  }
+  const items = value.map(item => (typeof item === 'string' ? item.trim() : item));
+  if (items.some(item => typeof item !== 'string' || !item || item.length > MAX_TEXT_LENGTH)) {
+    errors.push(`${name} items must be non-empty text of at most ${MAX_TEXT_LENGTH} characters`);
+    return null;
+  }
+  return items;
+}
+
+function optionalText(value, name, errors) {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_TEXT_LENGTH) {
+    errors.push(`${name} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+    return undefined;
+  }
+  return value.trim();
+}
+
+// تعديل المعلم: { diagnosis, notes, week_plan, month_plan, resources, target_score, status, activities }
+// activities تستبدل القائمة: [{ id?, description }] والعناصر ذات id تحتفظ بحالة إنجازها.
+// يرجع { updates, activities, errors } حيث activities تكون null إذا لم تُرسل
+function normalizePlanUpdate(input) {
+  const errors = [];
+  const updates = {};
+  let activities = null;
+
+  if (input.diagnosis !== undefined) updates.diagnosis = optionalText(input.diagnosis, 'diagnosis', errors);
+  if (input.notes !== undefined) updates.notes = optionalText(input.notes, 'notes', errors);
+  if (input.week_plan !== undefined) updates.week_plan = textList(input.week_plan, 'week_plan', errors);
+  if (input.month_plan !== undefined) updates.month_plan = textList(input.month_plan, 'month_plan', errors);
+
+  if (input.resources !== undefined) {
+    const valid = Array.isArray(input.resources)
+      && input.resources.length <= MAX_ITEMS
+      && input.resources.every(r => r && typeof r === 'object' && typeof r.title === 'string' && r.title.trim());
+    if (valid) {
+      updates.resources = input.resources.map(({ title, type, url, duration }) => ({
+        title: title.trim(),
+        type: typeof type === 'string' ? type : null,
+        url: typeof url === 'string' ? url : null,
+        duration: typeof duration === 'string' ? duration : null
+      }));
+    } else {
+      errors.push(`resources must be an array of at most ${MAX_ITEMS} objects with a title`);
+    }
+  }
+
+  if (input.target_score !== undefined) {
+    const target = input.target_score === null ? null : Number(input.target_score);
+    if (target !== null && (!Number.isFinite(target) || target < 0 || target > 100)) {
+      errors.push('target_score must be between 0 and 100');
+    } else {
+      updates.target_score = target;
+    }
+  }
+
+  if (input.status !== undefined) {
+    if (!Object.values(PLAN_STATUS).includes(input.status)) {
+      errors.push(`status must be one of: ${Object.values(PLAN_STATUS).join(', ')}`);
+    } else {
+      updates.status = input.status;
+    }
+  }
+
+  if (input.activities !== undefined) {
+    if (!Array.isArray(input.activities) || input.activities.length === 0 || input.activities.length > MAX_ITEMS) {
+      errors.push(`activities must be a non-empty array of at most ${MAX_ITEMS} items`);
+    } else {
+      activities = input.activities.map((item, i) => {
+        const description = typeof item?.description === 'string' ? item.description.trim() : '';
+        if (!description || description.length > MAX_TEXT_LENGTH) {
+          errors.push(`activities[${i}].description must be non-empty text of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+        return { id: item?.id || null, description };
+      });
+    }
+  }
+
+  return { updates, activities, errors };
+}
+
+// ==========================================
+// إنشاء الخطط
+// ==========================================
+// recommendation: ناتج generateRecommendations مع skill_id و currentLevel.
+// الخطة الجديدة تؤرشف الخطة الفعالة السابقة لنفس المهارة
+async function createLearningPlan(supabase, student, recommendation, { taskId = null, createdBy = null } = {}) {
+  const { error: archiveError } = await supabase
+    .from('learning_plans')
+    .update({ status: PLAN_STATUS.ARCHIVED, updated_at: new Date().toISOString() })
+    .eq('student_id', student.id)
+    .eq('skill_id', recommendation.skill_id)
+    .eq('status', PLAN_STATUS.ACTIVE);
+
+  if (archiveError) throw archiveError;
+
+  const { data: plan, error } = await supabase
+    .from('learning_plans')
+    .insert({
+      school_id: student.school_id,
+      student_id: student.id,
+      skill_id: recommendation.skill_id,
+      source_task_id: taskId,
+      created_by: createdBy,
+      status: PLAN_STATUS.ACTIVE,
+      diagnosis: recommendation.diagnosis,
+      resources: recommendation.resources || [],
+      week_plan: recommendation.developmentPlan?.week || [],
+      month_plan: recommendation.developmentPlan?.month || [],
+      baseline_score: recommendation.currentLevel,
+      target_score: DEFAULT_THRESHOLDS.weakness,
+      outcome: PLAN_OUTCOME.PENDING
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  const { error: activitiesError } = await supabase
+    .from('learning_plan_activities')
+    .insert(recommendation.activities.map((description, position) => ({ plan_id: plan.id, position, description })));
+
+  if (activitiesError) throw activitiesError;
+  return getLearningPlan(supabase, plan.id);
+}
+
+// ==========================================
+// القراءة والتعديل
+// ==========================================
+async function getLearningPlan(supabase, planId) {
+  const { data } = await supabase
+    .from('learning_plans')
+    .select(PLAN_SELECT)
+    .eq('id', planId)
+    .maybeSingle();
+
+  return data ? presentPlan(data) : null;
+}
+
+// الخطة الفعالة للطالب في المهارة أو null
+async function findActivePlan(supabase, studentId, skillId) {
+  const { data } = await supabase
+    .from('learning_plans')
+    .select(PLAN_SELECT)
+    .eq('student_id', studentId)
+    .eq('skill_id', skillId)
+    .eq('status', PLAN_STATUS.ACTIVE)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  return data?.[0] ? presentPlan(data[0]) : null;
+}
+
+// الخطة بشكل ناتج generateRecommendations، فتطابق التوصيات المعروضة خطط الطالب
+function planRecommendation(plan) {
+  return {
+    plan_id: plan.id,
+    diagnosis: plan.diagnosis,
+    activities: plan.activities.map(activity => activity.description),
+    resources: plan.resources || [],
+    developmentPlan: { week: plan.week_plan || [], month: plan.month_plan || [] }
+  };
+}
+
+// الخطط غير المؤرشفة افتراضياً، و status لتحديد حالة واحدة
+async function listStudentPlans(supabase, studentId, { status = null } = {}) {
+  let query = supabase
+    .from('learning_plans')
+    .select(PLAN_SELECT)
+    .eq('student_id', studentId)
+    .order('created_at', { ascending: false });
+  query = status ? query.eq('status', status) : query.neq('status', PLAN_STATUS.ARCHIVED);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(presentPlan);
+}
+
+async function updateLearningPlan(supabase, plan, { updates, activities }, userId) {
+  if (updates.status === PLAN_STATUS.ACTIVE && plan.status !== PLAN_STATUS.ACTIVE) {
+    // إعادة تفعيل خطة قديمة تؤرشف الخطة الفعالة الحالية لنفس المهارة
+    const { error } = await supabase
+      .from('learning_plans')
+      .update({ status: PLAN_STATUS.ARCHIVED, updated_at: new Date().toISOString() })
+      .eq('student_id', plan.student_id)
+      .eq('skill_id', plan.skill_id)
+      .eq('status', PLAN_STATUS.ACTIVE);
+    if (error) throw error;
+  }
+
+  const changes = { ...updates, updated_by: userId, updated_at: new Date().toISOString() };
+  if (updates.target_score !== undefined) {
+    changes.outcome = planOutcome(plan.baseline_score, plan.latest_score, updates.target_score);
+  }
+
+  const { error } = await supabase
+    .from('learning_plans')
+    .update(changes)
+    .eq('id', plan.id);
+
+  if (error) throw error;
+  if (activities) await replaceActivities(supabase, plan, activities);
+
+  return getLearningPlan(supabase, plan.id);
+}
+
+// الأنشطة غير المرسلة تُحذف، والمرسلة تأخذ ترتيبها في القائمة.
+// المعرفات يجب أن تكون من أنشطة الخطة (unknownActivityIds)
+async function replaceActivities(supabase, plan, activities) {
+  const kept = new Set(activities.filter(a => a.id).map(a => String(a.id)));
+  const removed = plan.activities.filter(a => !kept.has(String(a.id))).map(a => a.id);
+
+  if (removed.length) {
+    const { error } = await supabase.from('learning_plan_activities').delete().in('id', removed);
+    if (error) throw error;
+  }
+
+  for (const [position, activity] of activities.entries()) {
+    const { error } = activity.id
+      ? await supabase
+        .from('learning_plan_activities')
+        .update({ position, description: activity.description })
+        .eq('id', activity.id)
+      : await supabase
+        .from('learning_plan_activities')
+        .insert({ plan_id: plan.id, position, description: activity.description });
+    if (error) throw error;
+  }
+}
+
+// المعرفات المرسلة التي لا تنتمي للخطة
+function unknownActivityIds(plan, activities) {
+  const ids = new Set(plan.activities.map(a => String(a.id)));
+  return activities.filter(a => a.id && !ids.has(String(a.id))).map(a => a.id);
+}
+
+// يرجع النشاط بعد التحديث، أو null إذا لم يكن ضمن الخطة
+async function setActivityDone(supabase, planId, activityId, done, userId) {
+  const { data, error } = await supabase
+    .from('learning_plan_activities')
+    .update(done
+      ? { completed_at: new Date().toISOString(), completed_by: userId }
+      : { completed_at: null, completed_by: null })
+    .eq('id', activityId)
+    .eq('plan_id', planId)
+    .select('id, position, description, completed_at, completed_by');
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// ==========================================
+// إعادة التقييم
+// ==========================================
+// تُستدعى بعد اعتماد أي تقييم: تسجل درجات مهاراته في خطط الطالب غير المؤرشفة
+// لنفس المهارات، ثم تعيد حساب أحدث درجة والنتيجة. حل المهمة التي أُنشئت منها
+// الخطة لا يُحسب، فدرجته هي درجة البداية. يرجع عدد الخطط التي تغيرت
+async function reevaluateLearningPlans(supabase, assessment) {
+  const [{ data: submission }, { data: skillScores, error: scoresError }] = await Promise.all([
+    supabase.from('submissions').select('id, student_id, task_id').eq('id', assessment.submission_id).maybeSingle(),
+    supabase.from('skill_assessments').select('skill_id, score').eq('assessment_id', assessment.id)
+  ]);
+
+  if (scoresError) throw scoresError;
+  if (!submission || !skillScores || skillScores.length === 0) return 0;
+
+  const { data: plans, error } = await supabase
+    .from('learning_plans')
+    .select('id, skill_id, source_task_id, baseline_score, target_score')
+    .eq('student_id', submission.student_id)
+    .in('skill_id', skillScores.map(s => s.skill_id))
+    .neq('status', PLAN_STATUS.ARCHIVED);
+
+  if (error) throw error;
+
+  const bySkill = new Map(skillScores.map(s => [String(s.skill_id), score(s.score)]));
+  const assessedAt = assessment.reviewed_at || assessment.created_at || new Date().toISOString();
+  const affected = (plans || []).filter(plan => String(plan.source_task_id) !== String(submission.task_id));
+
+  for (const plan of affected) {
+    const { error: progressError } = await supabase
+      .from('learning_plan_progress')
+      .upsert({
+        plan_id: plan.id,
+        submission_id: submission.id,
+        assessment_id: assessment.id,
+        task_id: submission.task_id,
+        score: bySkill.get(String(plan.skill_id)),
+        assessed_at: assessedAt
+      }, { onConflict: 'plan_id,submission_id' });
+
+    if (progressError) throw progressError;
+
+    const { data: latest } = await supabase
+      .from('learning_plan_progress')
+      .select('score, assessed_at')
+      .eq('plan_id', plan.id)
+      .order('assessed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const latestScore = score(latest?.score);
+    const { error: updateError } = await supabase
+      .from('learning_plans')
+      .update({
+        latest_score: latestScore,
+        latest_assessed_at: latest?.assessed_at || null,
+        outcome: planOutcome(score(plan.baseline_score), latestScore, score(plan.target_score))
+      })
+      .eq('id', plan.id);
+
+    if (updateError) throw updateError;
+  }
+
+  return affected.length;
+}
+
+module.exports = {
+  PLAN_STATUS,
+  PLAN_OUTCOME,
+  normalizePlanUpdate,
+  unknownActivityIds,
+  createLearningPlan,
+  getLearningPlan,
+  findActivePlan,
+  planRecommendation,
+  listStudentPlans,
+  updateLearningPlan,
+  setActivityDone,
+  reevaluateLearningPlans
+};
@@ -0,0 +1,20 @@
+-- ==========================================
+-- 002 - معايير التقييم (Rubrics) ونتائجها
+-- ==========================================
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rubric JSONB;
+
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'ai';
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS graded_by UUID REFERENCES users(id);
+
+CREATE TABLE IF NOT EXISTS criterion_assessments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  criterion_id TEXT NOT NULL,
+  level TEXT NOT NULL,
+  points NUMERIC NOT NULL,
+  score NUMERIC NOT NULL,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS criterion_assessments_assessment_id_idx ON criterion_assessments(assessment_id);
@@ -0,0 +1,13 @@
+-- ==========================================
+-- 003 - التقييم اليدوي ومراجعة تقييمات الذكاء الاصطناعي
+-- ==========================================
+-- status: final | pending_review | rejected
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'final';
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS ai_result JSONB;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS review_action TEXT;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id);
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+ALTER TABLE skill_assessments ADD COLUMN IF NOT EXISTS ai_score NUMERIC;
+
+CREATE INDEX IF NOT EXISTS assessments_status_idx ON assessments(status);
@@ -0,0 +1,28 @@
+-- ==========================================
+-- 004 - طابور المهام الخلفية
+-- ==========================================
+-- status: queued | running | completed | failed
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  subject_id UUID,
+  batch_id UUID,
+  school_id UUID REFERENCES schools(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS jobs_batch_id_idx ON jobs(batch_id);
+CREATE INDEX IF NOT EXISTS jobs_subject_idx ON jobs(type, subject_id);
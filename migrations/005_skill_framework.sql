@@ -0,0 +1,22 @@
+-- ==========================================
+-- 005 - إطار المهارات لكل مدرسة مع مهارات فرعية ومستويات
+-- ==========================================
+-- school_id = NULL يعني مهارة في الإطار الافتراضي العام
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS key TEXT;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id) ON DELETE CASCADE;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES skills(id) ON DELETE SET NULL;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS levels JSONB;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE skills ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+-- مفاتيح المهارات الموجودة: "Critical Thinking" => critical_thinking
+UPDATE skills
+SET key = lower(regexp_replace(trim(name_en), '[^A-Za-z0-9]+', '_', 'g'))
+WHERE key IS NULL;
+
+ALTER TABLE skills ALTER COLUMN key SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS skills_school_key_idx
+  ON skills (COALESCE(school_id, '00000000-0000-0000-0000-000000000000'::uuid), key);
+CREATE INDEX IF NOT EXISTS skills_parent_id_idx ON skills(parent_id);
@@ -0,0 +1,43 @@
+-- ==========================================
+-- 006 - الفصول والشعب وتسجيل الطلاب وتوزيع المهام
+-- ==========================================
+CREATE TABLE IF NOT EXISTS classes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  grade_level TEXT,
+  section TEXT,
+  academic_year TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS classes_school_id_idx ON classes(school_id);
+
+-- role: teacher | student
+CREATE TABLE IF NOT EXISTS class_members (
+  class_id UUID NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('teacher', 'student')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (class_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS class_members_user_id_idx ON class_members(user_id);
+
+-- audience = school: المهمة لكل طلاب المدرسة (سلوك المهام الموجودة)
+-- audience = assigned: للفصول والطلاب في task_assignments فقط
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS audience TEXT NOT NULL DEFAULT 'school';
+
+-- كل صف يستهدف فصلاً أو طالباً واحداً
+CREATE TABLE IF NOT EXISTS task_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  class_id UUID REFERENCES classes(id) ON DELETE CASCADE,
+  student_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  CHECK ((class_id IS NULL) <> (student_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS task_assignments_task_id_idx ON task_assignments(task_id);
+CREATE INDEX IF NOT EXISTS task_assignments_class_id_idx ON task_assignments(class_id);
+CREATE INDEX IF NOT EXISTS task_assignments_student_id_idx ON task_assignments(student_id);
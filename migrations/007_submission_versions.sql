@@ -0,0 +1,66 @@
+-- ==========================================
+-- 007 - المواعيد النهائية وسياسات التأخير ونسخ الحلول
+-- ==========================================
+-- late_policy: { mode: accept | penalty | reject, grace_hours, penalty_per_day, max_penalty }
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS late_policy JSONB NOT NULL
+  DEFAULT '{"mode": "accept", "grace_hours": 0, "penalty_per_day": 0, "max_penalty": 100}';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS max_resubmissions INTEGER NOT NULL DEFAULT 0;
+
+-- timeliness: on_time | grace | late
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS timeliness TEXT NOT NULL DEFAULT 'on_time';
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS late_penalty NUMERIC NOT NULL DEFAULT 0;
+
+-- version: نسخة الحل التي قُيّمت
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS version INTEGER;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS late_penalty NUMERIC NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS submission_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content TEXT,
+  files JSONB NOT NULL DEFAULT '[]',
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  timeliness TEXT NOT NULL DEFAULT 'on_time',
+  late_penalty NUMERIC NOT NULL DEFAULT 0,
+  UNIQUE (submission_id, version)
+);
+
+-- الحلول المكررة لنفس الطالب والمهمة تصبح نسخاً من أحدثها
+CREATE TEMP TABLE submission_merge AS
+SELECT
+  s.id,
+  first_value(s.id) OVER (
+    PARTITION BY s.task_id, s.student_id ORDER BY s.submitted_at DESC, s.id DESC
+  ) AS keeper_id,
+  row_number() OVER (
+    PARTITION BY s.task_id, s.student_id ORDER BY s.submitted_at ASC, s.id ASC
+  ) AS version,
+  CASE WHEN s.submitted_at::date > t.due_date::date THEN 'late' ELSE 'on_time' END AS timeliness
+FROM submissions s
+JOIN tasks t ON t.id = s.task_id;
+
+INSERT INTO submission_versions (submission_id, version, content, files, submitted_at, timeliness)
+SELECT m.keeper_id, m.version, s.content, COALESCE(s.files, '[]'), s.submitted_at, m.timeliness
+FROM submission_merge m
+JOIN submissions s ON s.id = m.id
+ON CONFLICT (submission_id, version) DO NOTHING;
+
+UPDATE assessments a
+SET submission_id = m.keeper_id, version = m.version
+FROM submission_merge m
+WHERE a.submission_id = m.id;
+
+UPDATE submissions s
+SET current_version = m.version, timeliness = m.timeliness
+FROM submission_merge m
+WHERE s.id = m.id AND m.id = m.keeper_id;
+
+DELETE FROM submissions s
+USING submission_merge m
+WHERE s.id = m.id AND m.id <> m.keeper_id;
+
+DROP TABLE submission_merge;
+
+CREATE UNIQUE INDEX IF NOT EXISTS submissions_task_student_idx ON submissions(task_id, student_id);
@@ -0,0 +1,24 @@
+-- ==========================================
+-- 008 - ملفات الحلول المرفوعة
+-- ==========================================
+-- الملف نفسه في التخزين (قرص محلي أو Supabase Storage) تحت storage_key،
+-- و extracted_text هو نص ملفات PDF و DOCX المرسل للتقييم
+CREATE TABLE IF NOT EXISTS submission_files (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  uploaded_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  storage_key TEXT NOT NULL UNIQUE,
+  storage_driver TEXT NOT NULL,
+  original_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  extracted_text TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS submission_files_uploaded_by_idx ON submission_files(uploaded_by);
+
+-- Supabase Storage: الحاوية خاصة، والتحميل عبر روابط موقعة فقط
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('submission-files', 'submission-files', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,333 @@
+-- ==========================================
+-- 009 - لوحات أداء الفصول والمدرسة
+-- ==========================================
+-- التجميع يتم في قاعدة البيانات، والخادم يستدعي الدوال عبر supabase.rpc
+-- p_class_ids = NULL يعني المدرسة كلها
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS submissions_task_id_idx ON submissions(task_id);
+CREATE INDEX IF NOT EXISTS submissions_student_id_idx ON submissions(student_id);
+CREATE INDEX IF NOT EXISTS assessments_submission_id_idx ON assessments(submission_id);
+CREATE INDEX IF NOT EXISTS skill_assessments_assessment_id_idx ON skill_assessments(assessment_id);
+
+-- آخر تقييم معتمد لكل حل (نفس قاعدة analyticsService.effectiveAssessment)
+CREATE OR REPLACE VIEW effective_assessments AS
+SELECT DISTINCT ON (a.submission_id)
+  a.id,
+  a.submission_id,
+  a.overall_score,
+  COALESCE(a.reviewed_at, a.created_at) AS graded_at
+FROM assessments a
+WHERE a.status = 'final'
+ORDER BY a.submission_id, COALESCE(a.reviewed_at, a.created_at) DESC;
+
+-- الطلاب المطلوب منهم حل كل مهمة (نفس قاعدة classService.resolveAssignedStudents)
+CREATE OR REPLACE VIEW task_students AS
+SELECT t.id AS task_id, u.id AS student_id
+FROM tasks t
+JOIN users u ON u.school_id = t.school_id AND u.role = 'student'
+WHERE t.audience = 'school'
+UNION
+SELECT ta.task_id, ta.student_id
+FROM task_assignments ta
+WHERE ta.student_id IS NOT NULL
+UNION
+SELECT ta.task_id, cm.user_id
+FROM task_assignments ta
+JOIN class_members cm ON cm.class_id = ta.class_id AND cm.role = 'student';
+
+-- طلاب مجموعة فصول، أو كل طلاب المدرسة
+CREATE OR REPLACE FUNCTION dashboard_scope_students(p_school_id UUID, p_class_ids UUID[])
+RETURNS TABLE (student_id UUID)
+LANGUAGE sql STABLE AS $$
+  SELECT u.id
+  FROM users u
+  WHERE u.school_id = p_school_id
+    AND u.role = 'student'
+    AND (
+      p_class_ids IS NULL
+      OR u.id IN (
+        SELECT cm.user_id FROM class_members cm
+        WHERE cm.class_id = ANY (p_class_ids) AND cm.role = 'student'
+      )
+    );
+$$;
+
+-- ==========================================
+-- توزيع درجات مهمة
+-- ==========================================
+CREATE OR REPLACE FUNCTION dashboard_task_distribution(p_task_id UUID, p_bucket_size INTEGER DEFAULT 10)
+RETURNS TABLE (bucket_start INTEGER, bucket_end INTEGER, students BIGINT)
+LANGUAGE sql STABLE AS $$
+  WITH scores AS (
+    SELECT ea.overall_score AS score
+    FROM submissions s
+    JOIN effective_assessments ea ON ea.submission_id = s.id
+    WHERE s.task_id = p_task_id
+  )
+  SELECT
+    b AS bucket_start,
+    LEAST(b + p_bucket_size, 100) AS bucket_end,
+    (
+      SELECT count(*) FROM scores
+      -- الفئة الأخيرة تشمل الدرجة 100
+      WHERE score >= b AND (score < b + p_bucket_size OR (b + p_bucket_size >= 100 AND score <= 100))
+    ) AS students
+  FROM generate_series(0, 99, p_bucket_size) AS b
+  ORDER BY b;
+$$;
+
+CREATE OR REPLACE FUNCTION dashboard_task_stats(p_task_id UUID)
+RETURNS TABLE (
+  graded BIGINT,
+  average NUMERIC,
+  median NUMERIC,
+  std_dev NUMERIC,
+  min_score NUMERIC,
+  max_score NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    count(*),
+    round(avg(ea.overall_score), 1),
+    round(percentile_cont(0.5) WITHIN GROUP (ORDER BY ea.overall_score)::numeric, 1),
+    round(stddev_pop(ea.overall_score), 1),
+    min(ea.overall_score),
+    max(ea.overall_score)
+  FROM submissions s
+  JOIN effective_assessments ea ON ea.submission_id = s.id
+  WHERE s.task_id = p_task_id;
+$$;
+
+-- ==========================================
+-- متوسط كل مهارة
+-- ==========================================
+CREATE OR REPLACE FUNCTION dashboard_skill_averages(
+  p_school_id UUID,
+  p_class_ids UUID[] DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  skill_key TEXT,
+  name_en TEXT,
+  name_ar TEXT,
+  average NUMERIC,
+  min_score NUMERIC,
+  max_score NUMERIC,
+  assessments BIGINT,
+  students BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    sk.key,
+    min(sk.name_en),
+    min(sk.name_ar),
+    round(avg(sa.score), 1),
+    min(sa.score),
+    max(sa.score),
+    count(*),
+    count(DISTINCT s.student_id)
+  FROM submissions s
+  JOIN tasks t ON t.id = s.task_id
+  JOIN effective_assessments ea ON ea.submission_id = s.id
+  JOIN skill_assessments sa ON sa.assessment_id = ea.id
+  JOIN skills sk ON sk.id = sa.skill_id
+  WHERE t.school_id = p_school_id
+    AND s.student_id IN (SELECT student_id FROM dashboard_scope_students(p_school_id, p_class_ids))
+    AND (p_from IS NULL OR s.submitted_at >= p_from)
+    AND (p_to IS NULL OR s.submitted_at <= p_to)
+  GROUP BY sk.key
+  ORDER BY sk.key;
+$$;
+
+-- ==========================================
+-- نسب التسليم لكل مهمة
+-- ==========================================
+CREATE OR REPLACE FUNCTION dashboard_task_completion(
+  p_school_id UUID,
+  p_class_ids UUID[] DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  task_id UUID,
+  title TEXT,
+  due_date TEXT,
+  assigned BIGINT,
+  submitted BIGINT,
+  graded BIGINT,
+  late BIGINT,
+  completion_rate NUMERIC,
+  average NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    t.id,
+    t.title,
+    t.due_date::text,
+    count(*),
+    count(s.id),
+    count(ea.id),
+    count(s.id) FILTER (WHERE s.timeliness = 'late'),
+    round(100.0 * count(s.id) / count(*), 1),
+    round(avg(ea.overall_score), 1)
+  FROM task_students ts
+  JOIN tasks t ON t.id = ts.task_id
+  LEFT JOIN submissions s ON s.task_id = ts.task_id AND s.student_id = ts.student_id
+  LEFT JOIN effective_assessments ea ON ea.submission_id = s.id
+  WHERE t.school_id = p_school_id
+    AND t.status <> 'cancelled'
+    AND ts.student_id IN (SELECT student_id FROM dashboard_scope_students(p_school_id, p_class_ids))
+    AND (p_from IS NULL OR t.due_date >= p_from)
+    AND (p_to IS NULL OR t.due_date <= p_to)
+  GROUP BY t.id
+  ORDER BY t.due_date DESC;
+$$;
+
+-- ==========================================
+-- مقارنة الفصول
+-- ==========================================
+CREATE OR REPLACE FUNCTION dashboard_class_comparison(
+  p_school_id UUID,
+  p_class_ids UUID[] DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  class_id UUID,
+  name TEXT,
+  grade_level TEXT,
+  section TEXT,
+  students BIGINT,
+  assigned BIGINT,
+  submitted BIGINT,
+  graded BIGINT,
+  completion_rate NUMERIC,
+  average NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  WITH scoped_classes AS (
+    SELECT c.* FROM classes c
+    WHERE c.school_id = p_school_id
+      AND c.is_active
+      AND (p_class_ids IS NULL OR c.id = ANY (p_class_ids))
+  ),
+  expected AS (
+    SELECT cm.class_id, ts.task_id, ts.student_id
+    FROM class_members cm
+    JOIN scoped_classes c ON c.id = cm.class_id
+    JOIN task_students ts ON ts.student_id = cm.user_id
+    JOIN tasks t ON t.id = ts.task_id
+    WHERE cm.role = 'student'
+      AND t.status <> 'cancelled'
+      AND (p_from IS NULL OR t.due_date >= p_from)
+      AND (p_to IS NULL OR t.due_date <= p_to)
+  ),
+  progress AS (
+    SELECT e.class_id, s.id AS submission_id, ea.id AS assessment_id, ea.overall_score
+    FROM expected e
+    LEFT JOIN submissions s ON s.task_id = e.task_id AND s.student_id = e.student_id
+    LEFT JOIN effective_assessments ea ON ea.submission_id = s.id
+  )
+  SELECT
+    c.id,
+    c.name,
+    c.grade_level,
+    c.section,
+    (SELECT count(*) FROM class_members cm WHERE cm.class_id = c.id AND cm.role = 'student'),
+    count(p.class_id),
+    count(p.submission_id),
+    count(p.assessment_id),
+    CASE WHEN count(p.class_id) = 0 THEN NULL
+      ELSE round(100.0 * count(p.submission_id) / count(p.class_id), 1) END,
+    round(avg(p.overall_score), 1)
+  FROM scoped_classes c
+  LEFT JOIN progress p ON p.class_id = c.id
+  GROUP BY c.id, c.name, c.grade_level, c.section
+  ORDER BY c.name;
+$$;
+
+-- ==========================================
+-- الطلاب المعرضون للتعثر
+-- ==========================================
+-- الطالب يظهر إذا كان متوسطه أقل من p_threshold، أو درجاته تنخفض بمعدل
+-- p_decline_per_30_days نقطة أو أكثر، أو لديه p_min_missing مهام فات موعدها دون تسليم
+CREATE OR REPLACE FUNCTION dashboard_at_risk_students(
+  p_school_id UUID,
+  p_class_ids UUID[] DEFAULT NULL,
+  p_threshold NUMERIC DEFAULT 70,
+  p_decline_per_30_days NUMERIC DEFAULT 10,
+  p_min_missing INTEGER DEFAULT 2,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  student_id UUID,
+  full_name TEXT,
+  email TEXT,
+  graded BIGINT,
+  average NUMERIC,
+  last_score NUMERIC,
+  slope_per_30_days NUMERIC,
+  overdue_missing BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH scoped AS (
+    SELECT student_id FROM dashboard_scope_students(p_school_id, p_class_ids)
+  ),
+  scores AS (
+    SELECT s.student_id, s.submitted_at, ea.overall_score
+    FROM submissions s
+    JOIN tasks t ON t.id = s.task_id
+    JOIN effective_assessments ea ON ea.submission_id = s.id
+    WHERE t.school_id = p_school_id
+      AND s.student_id IN (SELECT student_id FROM scoped)
+      AND (p_from IS NULL OR s.submitted_at >= p_from)
+      AND (p_to IS NULL OR s.submitted_at <= p_to)
+  ),
+  summary AS (
+    SELECT
+      student_id,
+      count(*) AS graded,
+      round(avg(overall_score), 1) AS average,
+      (array_agg(overall_score ORDER BY submitted_at DESC))[1] AS last_score,
+      -- الميل يحتاج 3 درجات على الأقل
+      CASE WHEN count(*) >= 3
+        THEN round((regr_slope(overall_score, extract(epoch FROM submitted_at) / 86400) * 30)::numeric, 2)
+      END AS slope_per_30_days
+    FROM scores
+    GROUP BY student_id
+  ),
+  missing AS (
+    SELECT ts.student_id, count(*) AS overdue_missing
+    FROM task_students ts
+    JOIN tasks t ON t.id = ts.task_id
+    LEFT JOIN submissions s ON s.task_id = ts.task_id AND s.student_id = ts.student_id
+    WHERE t.school_id = p_school_id
+      AND t.status = 'active'
+      AND t.due_date::date < current_date
+      AND s.id IS NULL
+      AND ts.student_id IN (SELECT student_id FROM scoped)
+    GROUP BY ts.student_id
+  )
+  SELECT
+    u.id,
+    u.full_name,
+    u.email,
+    COALESCE(sm.graded, 0),
+    sm.average,
+    sm.last_score,
+    sm.slope_per_30_days,
+    COALESCE(m.overdue_missing, 0)
+  FROM users u
+  LEFT JOIN summary sm ON sm.student_id = u.id
+  LEFT JOIN missing m ON m.student_id = u.id
+  WHERE u.id IN (SELECT student_id FROM scoped)
+    AND (
+      sm.average < p_threshold
+      OR sm.slope_per_30_days <= -p_decline_per_30_days
+      OR COALESCE(m.overdue_missing, 0) >= p_min_missing
+    )
+  ORDER BY sm.average ASC NULLS LAST, m.overdue_missing DESC NULLS LAST;
+$$;
@@ -0,0 +1,18 @@
+-- ==========================================
+-- 010 - دعوات الحسابات المستوردة من قوائم المدرسة
+-- ==========================================
+-- الحساب المستورد ينشأ بدون كلمة مرور، ويحددها المستخدم عند قبول الدعوة.
+-- نخزن بصمة رمز الدعوة فقط كما في refresh_tokens
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_invitations_user_id_idx ON user_invitations(user_id);
@@ -0,0 +1,50 @@
+-- ==========================================
+-- 011 - إدارة المدرسة: الإعدادات وأكواد الانضمام وحالة الحسابات
+-- ==========================================
+-- كود المدرسة القديم (schools.code) كان يسمح بالتسجيل بأي دور.
+-- الآن لكل دور كود انضمام مستقل يمكن تدويره أو إيقافه أو تحديد صلاحيته،
+-- والكود القديم يُنقل ككود للطلاب فقط
+ALTER TABLE schools
+  ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+ALTER TABLE schools ALTER COLUMN code DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS school_join_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('student', 'teacher')),
+  code TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ,
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  uses INTEGER NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS school_join_codes_school_id_idx ON school_join_codes(school_id, role);
+
+INSERT INTO school_join_codes (school_id, role, code)
+SELECT id, 'student', code
+FROM schools
+WHERE code IS NOT NULL
+ON CONFLICT (code) DO NOTHING;
+
+-- ==========================================
+-- حالة الحساب
+-- ==========================================
+-- pending: معلم سجّل بنفسه وينتظر موافقة المدير
+-- deactivated: أوقفه المدير، فلا يستطيع الدخول وتُلغى جلساته
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_status_check;
+ALTER TABLE users ADD CONSTRAINT users_status_check
+  CHECK (status IN ('active', 'pending', 'deactivated'));
+
+CREATE INDEX IF NOT EXISTS users_school_status_idx ON users(school_id, status);
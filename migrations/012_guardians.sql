@@ -0,0 +1,31 @@
+-- ==========================================
+-- 012 - حسابات أولياء الأمور وربطها بالطلاب
+-- ==========================================
+-- المعلم أو المدير يصدر رمز ربط لطالب، وولي الأمر يستخدمه مرة واحدة
+-- لإنشاء حسابه أو لإضافة طالب آخر لحسابه الحالي
+CREATE TABLE IF NOT EXISTS guardian_link_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  used_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS guardian_link_codes_student_id_idx ON guardian_link_codes(student_id);
+
+CREATE TABLE IF NOT EXISTS guardian_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  guardian_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  relationship TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (guardian_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS guardian_links_student_id_idx ON guardian_links(student_id);
@@ -0,0 +1,58 @@
+-- ==========================================
+-- 014 - خطط التعلم من توصيات الذكاء الاصطناعي
+-- ==========================================
+-- خطة لكل طالب ومهارة ضعيفة. الدرجة عند إنشاء الخطة هي baseline_score،
+-- وكل تقييم معتمد لاحق في نفس المهارة يُسجل في learning_plan_progress
+-- حتى يظهر أثر الخطة على درجات الطالب
+CREATE TABLE IF NOT EXISTS learning_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  skill_id UUID NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  source_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'archived')),
+  diagnosis TEXT,
+  resources JSONB NOT NULL DEFAULT '[]',
+  week_plan JSONB NOT NULL DEFAULT '[]',
+  month_plan JSONB NOT NULL DEFAULT '[]',
+  notes TEXT,
+  baseline_score NUMERIC(5,2),
+  target_score NUMERIC(5,2),
+  latest_score NUMERIC(5,2),
+  latest_assessed_at TIMESTAMPTZ,
+  -- pending | improved | no_change | declined | target_reached
+  outcome TEXT NOT NULL DEFAULT 'pending',
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS learning_plans_student_idx ON learning_plans(student_id, skill_id, status);
+
+-- خطة فعالة واحدة لكل طالب ومهارة، والخطة الجديدة تؤرشف السابقة
+CREATE UNIQUE INDEX IF NOT EXISTS learning_plans_one_active_idx
+  ON learning_plans(student_id, skill_id) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS learning_plan_activities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  plan_id UUID NOT NULL REFERENCES learning_plans(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  completed_at TIMESTAMPTZ,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS learning_plan_activities_plan_idx ON learning_plan_activities(plan_id, position);
+
+-- درجة واحدة لكل حل، وإعادة تقييم الحل تستبدلها
+CREATE TABLE IF NOT EXISTS learning_plan_progress (
+  plan_id UUID NOT NULL REFERENCES learning_plans(id) ON DELETE CASCADE,
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  score NUMERIC(5,2) NOT NULL,
+  assessed_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (plan_id, submission_id)
+);
@@ -0,0 +1,44 @@
+-- ==========================================
+-- 015 - بنك الأسئلة وقوالب المهام
+-- ==========================================
+-- أسئلة المدرسة مصنفة بالمهارات والصعوبة والمادة. المهمة تنسخ نص السؤال
+-- عند إنشائها، فتعديل السؤال في البنك لا يغير المهام السابقة
+CREATE TABLE IF NOT EXISTS question_bank (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  text TEXT NOT NULL,
+  subject TEXT,
+  difficulty TEXT CHECK (difficulty IN ('easy', 'medium', 'hard')),
+  skill_ids UUID[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS question_bank_school_idx ON question_bank(school_id, subject, difficulty) WHERE is_active;
+CREATE INDEX IF NOT EXISTS question_bank_skill_ids_idx ON question_bank USING GIN (skill_ids);
+
+-- قالب مهمة قابل لإعادة الاستخدام. shared يجعله متاحاً لكل معلمي المدرسة،
+-- والمهمة المنشأة منه تحمل template_id
+CREATE TABLE IF NOT EXISTS task_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  description TEXT NOT NULL,
+  subject TEXT,
+  questions JSONB NOT NULL DEFAULT '[]',
+  rubric JSONB,
+  late_policy JSONB,
+  max_resubmissions INTEGER NOT NULL DEFAULT 0,
+  shared BOOLEAN NOT NULL DEFAULT false,
+  uses INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS task_templates_school_idx ON task_templates(school_id, created_by) WHERE is_active;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES task_templates(id) ON DELETE SET NULL;
@@ -0,0 +1,22 @@
+-- ==========================================
+-- 016 - أنواع الأسئلة وإجابات الطلاب والتصحيح الآلي
+-- ==========================================
+-- أسئلة المهمة تبقى في tasks.questions، وكل سؤال له type ومفتاح إجابة.
+-- إجابات الطالب لكل سؤال تحفظ مع الحل ومع كل نسخة منه
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS answers JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE submission_versions ADD COLUMN IF NOT EXISTS answers JSONB NOT NULL DEFAULT '{}';
+
+-- نتيجة كل سؤال موضوعي في التقييم (source: auto للمهام الموضوعية بالكامل)
+CREATE TABLE IF NOT EXISTS question_assessments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assessment_id UUID NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  question_id TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('mcq', 'multi_select', 'short_answer', 'numeric')),
+  points NUMERIC NOT NULL,
+  points_awarded NUMERIC NOT NULL,
+  score NUMERIC NOT NULL,
+  correct BOOLEAN NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS question_assessments_assessment_id_idx ON question_assessments(assessment_id);
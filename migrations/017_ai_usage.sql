@@ -0,0 +1,74 @@
+-- ==========================================
+-- 017 - قياس استخدام الذكاء الاصطناعي وحدود المدارس وتخزين الاستجابات
+-- ==========================================
+-- حدود المدرسة يضبطها مشغّل المنصة: { daily_requests, daily_tokens, monthly_requests, monthly_tokens }
+-- و NULL يعني الحدود الافتراضية من متغيرات البيئة
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS ai_quota JSONB;
+
+-- كل طلب للنموذج، والطلبات المخزنة (cached) لا تستهلك رموزاً ولا تحسب من الحدود
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  endpoint TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cached BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_school_created_idx ON ai_usage(school_id, created_at);
+
+-- key: بصمة SHA-256 للمزود والنموذج ونص الطلب
+CREATE TABLE IF NOT EXISTS ai_cache (
+  key TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  text TEXT NOT NULL,
+  usage JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS ai_cache_expires_at_idx ON ai_cache(expires_at);
+
+-- ==========================================
+-- التجميع في قاعدة البيانات (الخادم يستدعي الدوال عبر supabase.rpc)
+-- ==========================================
+-- استخدام المدرسة منذ بداية اليوم وبداية الشهر، بدون الطلبات المخزنة
+CREATE OR REPLACE FUNCTION ai_usage_totals(p_school_id UUID, p_day_start TIMESTAMPTZ, p_month_start TIMESTAMPTZ)
+RETURNS TABLE (daily_requests BIGINT, daily_tokens BIGINT, monthly_requests BIGINT, monthly_tokens BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    count(*) FILTER (WHERE created_at >= p_day_start),
+    COALESCE(sum(input_tokens + output_tokens) FILTER (WHERE created_at >= p_day_start), 0),
+    count(*),
+    COALESCE(sum(input_tokens + output_tokens), 0)
+  FROM ai_usage
+  WHERE school_id = p_school_id
+    AND NOT cached
+    AND created_at >= LEAST(p_day_start, p_month_start);
+$$;
+
+-- تقرير الاستخدام بين p_from و p_to مجمعاً حسب p_group_by: endpoint | user | day
+CREATE OR REPLACE FUNCTION ai_usage_report(p_school_id UUID, p_from TIMESTAMPTZ, p_to TIMESTAMPTZ, p_group_by TEXT)
+RETURNS TABLE (key TEXT, requests BIGINT, cached_requests BIGINT, input_tokens BIGINT, output_tokens BIGINT)
+LANGUAGE sql STABLE AS $$
+  SELECT
+    CASE p_group_by
+      WHEN 'user' THEN u.user_id::TEXT
+      WHEN 'day' THEN to_char(u.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')
+      ELSE u.endpoint
+    END AS group_key,
+    count(*) FILTER (WHERE NOT u.cached),
+    count(*) FILTER (WHERE u.cached),
+    COALESCE(sum(u.input_tokens), 0),
+    COALESCE(sum(u.output_tokens), 0)
+  FROM ai_usage u
+  WHERE u.school_id = p_school_id
+    AND u.created_at >= p_from
+    AND u.created_at < p_to
+  GROUP BY group_key;
+$$;
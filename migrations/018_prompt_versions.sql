@@ -0,0 +1,14 @@
+-- ==========================================
+-- 018 - سجل إعادة إنتاج تقييمات الذكاء الاصطناعي
+-- ==========================================
+-- كل تقييم من النموذج يحفظ قالب الطلب ونسخته (aiPrompts.js) والمزود والنموذج
+-- وإعدادات التوليد والمخرج الخام كما أعاده النموذج قبل التحقق والتحويل
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS prompt_name TEXT;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS ai_provider TEXT;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS ai_model TEXT;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS ai_params JSONB;
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS ai_raw_output TEXT;
+
+CREATE INDEX IF NOT EXISTS assessments_prompt_version_idx ON assessments(prompt_name, prompt_version)
+  WHERE prompt_version IS NOT NULL;
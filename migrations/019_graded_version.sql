@@ -0,0 +1,17 @@
+-- ==========================================
+-- 019 - آخر نسخة مقيّمة من الحل
+-- ==========================================
+-- إعادة التسليم تعيد status إلى submitted حتى تُقيّم النسخة الجديدة، و graded_version
+-- يبقى على آخر نسخة لها تقييم معتمد فتظل نتيجتها في التحليلات وبطاقات التقرير
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS graded_version INTEGER;
+
+UPDATE submissions s
+SET graded_version = (
+  SELECT COALESCE(max(a.version), 1)
+  FROM assessments a
+  WHERE a.submission_id = s.id AND a.status = 'final'
+)
+WHERE s.graded_version IS NULL
+  AND (s.status = 'graded' OR EXISTS (
+    SELECT 1 FROM assessments a WHERE a.submission_id = s.id AND a.status = 'final'
+  ));
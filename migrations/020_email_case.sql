@@ -0,0 +1,13 @@
+-- ==========================================
+-- 020 - توحيد البريد الإلكتروني بأحرف صغيرة
+-- ==========================================
+-- التسجيل والدخول واستيراد القوائم تطابق البريد بعد authService.normalizeEmail،
+-- فنحول البريد المخزن بأحرف كبيرة. البريد الذي يتكرر بعد التحويل لحسابين مختلفين
+-- يبقى كما هو ويحتاج دمجاً يدوياً
+UPDATE users u
+SET email = lower(trim(u.email))
+WHERE u.email <> lower(trim(u.email))
+  AND NOT EXISTS (
+    SELECT 1 FROM users other
+    WHERE other.id <> u.id AND lower(trim(other.email)) = lower(trim(u.email))
+  );
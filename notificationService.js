@@ -0,0 +1,436 @@
+// ==========================================
+// notificationService.js - الإشعارات داخل التطبيق وعبر البريد
+// ==========================================
+// كل إشعار يُحفظ في صندوق المستخدم (notifications) إذا فعّل in_app لنوعه،
+// ويُرسل عبر القنوات الأخرى كمهمة خلفية في jobQueue حتى يُعاد إرساله
+// عند الفشل ولا يؤخر الطلب الذي أطلقه.
+// كل قناة توفر نفس الواجهة: { name, driver, send({ to, subject, text }) }
+// وقناة البريد تُختار عبر EMAIL_DRIVER: smtp | log | none.
+// للتجربة محلياً يكفي خادم SMTP وهمي (مثل MailHog أو smtp4dev):
+//   EMAIL_DRIVER=smtp SMTP_HOST=localhost SMTP_PORT=1025
+const nodemailer = require('nodemailer');
+const { resolveAssignedStudents } = require('./classService');
+const { deadlineOf } = require('./submissionService');
+
+const NOTIFICATION_TYPES = {
+  TASK_CREATED: 'task_created',
+  DEADLINE_REMINDER: 'deadline_reminder',
+  SUBMISSION_RECEIVED: 'submission_received',
+  GRADING_COMPLETED: 'grading_completed',
+  REVIEW_REQUIRED: 'review_required'
+};
+
+const NOTIFICATION_DELIVERY_JOB = 'deliver-notification';
+
+// بريد المعلم لكل حل يصله مزعج، فيبقى داخل التطبيق فقط حتى يفعّله
+const DEFAULT_PREFERENCES = {
+  task_created: { in_app: true, email: true },
+  deadline_reminder: { in_app: true, email: true },
+  grading_completed: { in_app: true, email: true },
+  submission_received: { in_app: true, email: false },
+  review_required: { in_app: true, email: false }
+};
+
+const MAX_PAGE_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+// ==========================================
+// نصوص الإشعارات
+// ==========================================
+function formatDue(dueDate) {
+  if (!dueDate) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) return dueDate;
+  const date = new Date(dueDate);
+  return Number.isNaN(date.getTime()) ? String(dueDate) : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+const MESSAGES = {
+  task_created: (d) => ({
+    title: `مهمة جديدة: ${d.task_title}`,
+    body: d.due_date ? `موعد التسليم ${formatDue(d.due_date)}` : 'لديك مهمة جديدة'
+  }),
+  deadline_reminder: (d) => ({
+    title: `اقترب موعد التسليم: ${d.task_title}`,
+    body: `آخر موعد لتسليم الحل ${formatDue(d.due_date)}`
+  }),
+  submission_received: (d) => ({
+    title: `حل جديد: ${d.task_title}`,
+    body: d.version > 1
+      ? `سلّم ${d.student_name} النسخة ${d.version} من حله`
+      : `سلّم ${d.student_name} حله`
+  }),
+  grading_completed: (d) => ({
+    title: `تم تقييم حلك: ${d.task_title}`,
+    body: d.score === null || d.score === undefined ? 'نتيجة التقييم متاحة الآن' : `الدرجة: ${d.score}`
+  }),
+  review_required: (d) => ({
+    title: `تقييم بانتظار المراجعة: ${d.task_title}`,
+    body: `قيّم الذكاء الاصطناعي حل ${d.student_name} وينتظر اعتمادك`
+  })
+};
+
+function emailText(body) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${body}\n\n${base}/notifications`;
+}
+
+// ==========================================
+// تفضيلات المستخدم
+// ==========================================
+// { type: { channel: boolean } } مدموجة مع القيم الافتراضية
+function resolvePreferences(stored) {
+  return Object.fromEntries(Object.entries(DEFAULT_PREFERENCES).map(([type, channels]) => [
+    type,
+    { ...channels, ...(stored?.[type] || {}) }
+  ]));
+}
+
+// تعديل جزئي: { task_created: { email: false } } ويرجع { preferences, errors }
+function normalizePreferences(input, current) {
+  const errors = [];
+  const preferences = resolvePreferences(current);
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { preferences, errors: ['preferences must be an object'] };
+  }
+
+  Object.entries(input).forEach(([type, channels]) => {
+    if (!DEFAULT_PREFERENCES[type]) {
+      errors.push(`${type} is not a notification type`);
+      return;
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      errors.push(`${type} must be an object of channels`);
+      return;
+    }
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (!(channel in DEFAULT_PREFERENCES[type])) {
+        errors.push(`${type}.${channel} is not a delivery channel`);
+      } else if (typeof enabled !== 'boolean') {
+        errors.push(`${type}.${channel} must be true or false`);
+      } else {
+        preferences[type][channel] = enabled;
+      }
+    });
+  });
+
+  return { preferences, errors };
+}
+
+// Map من معرف المستخدم إلى تفضيلاته الكاملة
+async function loadPreferences(supabase, userIds) {
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('user_id, preferences')
+    .in('user_id', userIds);
+
+  if (error) throw error;
+  const stored = new Map((data || []).map(row => [String(row.user_id), row.preferences]));
+  return new Map(userIds.map(id => [String(id), resolvePreferences(stored.get(String(id)))]));
+}
+
+async function getNotificationPreferences(supabase, userId) {
+  const preferences = await loadPreferences(supabase, [userId]);
+  return preferences.get(String(userId));
+}
+
+async function saveNotificationPreferences(supabase, userId, preferences) {
+  const { error } = await supabase
+    .from('notification_preferences')
+    .upsert({ user_id: userId, preferences, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+  return preferences;
+}
+
+// ==========================================
+// صندوق الإشعارات
+// ==========================================
+// الأحدث أولاً. before (ISO) للصفحة التالية، و unreadOnly لغير المقروءة فقط
+async function listNotifications(supabase, userId, { unreadOnly = false, limit = 20, before = null } = {}) {
+  let query = supabase
+    .from('notifications')
+    .select('id, type, title, body, data, read_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Math.max(limit, 1), MAX_PAGE_SIZE));
+  if (unreadOnly) query = query.is('read_at', null);
+  if (before) query = query.lt('created_at', before);
+
+  const { count: unread, error: countError } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (countError) throw countError;
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return { notifications: data || [], unread_count: unread || 0 };
+}
+
+// يعلّم إشعارات المستخدم كمقروءة: كلها، أو المعرفات المحددة فقط. يرجع عدد ما تغيّر
+async function markNotificationsRead(supabase, userId, ids = null) {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null);
+  if (ids) query = query.in('id', ids);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// ==========================================
+// قنوات التوصيل
+// ==========================================
+function createSmtpChannel(env) {
+  if (!env.SMTP_HOST) throw new Error('SMTP_HOST is required for EMAIL_DRIVER=smtp');
+
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || '587', 10),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  const from = env.EMAIL_FROM || 'Skills Platform <no-reply@skills-platform.local>';
+
+  return {
+    name: 'email',
+    driver: 'smtp',
+    async send({ to, subject, text }) {
+      await transport.sendMail({ from, to, subject, text });
+    }
+  };
+}
+
+// للتطوير: يطبع الرسالة بدلاً من إرسالها
+function createLogChannel() {
+  return {
+    name: 'email',
+    driver: 'log',
+    async send({ to, subject }) {
+      console.log(`📧 Email to ${to}: ${subject}`);
+    }
+  };
+}
+
+// يرجع قناة البريد أو null إذا كان البريد معطلاً
+function createEmailChannel(env = process.env) {
+  const driver = (env.EMAIL_DRIVER || (env.SMTP_HOST ? 'smtp' : 'none')).toLowerCase();
+
+  switch (driver) {
+    case 'smtp':
+      return createSmtpChannel(env);
+    case 'log':
+      return createLogChannel();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown EMAIL_DRIVER "${driver}" (expected smtp | log | none)`);
+  }
+}
+
+// ==========================================
+// إرسال الإشعارات
+// ==========================================
+// channels: القنوات الخارجية (مثل البريد)، والصندوق داخل التطبيق مدمج دائماً
+function createNotifier(supabase, { jobQueue, channels = [] }) {
+  const external = new Map(channels.filter(Boolean).map(channel => [channel.name, channel]));
+
+  jobQueue.register(NOTIFICATION_DELIVERY_JOB, async ({ channel, user_id, title, body }) => {
+    const sender = external.get(channel);
+    if (!sender) throw new Error(`Notification channel "${channel}" is not configured`);
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, status')
+      .eq('id', user_id)
+      .maybeSingle();
+
+    // الحساب أوقف أو حُذف بعد إنشاء الإشعار
+    if (!user || !user.email || user.status !== 'active') return { skipped: true };
+
+    await sender.send({ to: user.email, subject: title, text: emailText(body) });
+    return { sent_to: user.email };
+  });
+
+  // الإشعارات لا تُفشل الطلب الذي أطلقها: الأخطاء تُسجل فقط. يرجع عدد المستلمين
+  async function notify(userIds, type, data = {}) {
+    try {
+      const ids = [...new Set(userIds.map(String))];
+      if (ids.length === 0) return 0;
+
+      const { title, body } = MESSAGES[type](data);
+      const [{ data: users, error }, preferences] = await Promise.all([
+        supabase.from('users').select('id, school_id, status').in('id', ids),
+        loadPreferences(supabase, ids)
+      ]);
+
+      if (error) throw error;
+      const recipients = (users || []).filter(user => user.status === 'active');
+      const enabled = (user, channel) => preferences.get(String(user.id))[type][channel];
+
+      const inbox = recipients
+        .filter(user => enabled(user, 'in_app'))
+        .map(user => ({ user_id: user.id, school_id: user.school_id, type, title, body, data }));
+
+      if (inbox.length) {
+        const { error: insertError } = await supabase.from('notifications').insert(inbox);
+        if (insertError) throw insertError;
+      }
+
+      const deliveries = [];
+      external.forEach((channel, name) => {
+        recipients.filter(user => enabled(user, name)).forEach(user => deliveries.push({
+          type: NOTIFICATION_DELIVERY_JOB,
+          payload: { channel: name, user_id: user.id, notification_type: type, title, body },
+          subject_id: user.id,
+          school_id: user.school_id
+        }));
+      });
+      await jobQueue.enqueueMany(deliveries);
+
+      return recipients.length;
+    } catch (error) {
+      console.error(`❌ Notification "${type}" failed:`, error.message);
+      return 0;
+    }
+  }
+
+  return {
+    channels: ['in_app', ...external.keys()],
+    notify
+  };
+}
+
+// ==========================================
+// تذكير بمواعيد التسليم
+// ==========================================
+// فحص دوري للمهام التي يحل موعدها خلال windowHours، وتذكير الطلاب المستهدفين
+// الذين لم يسلموا. جدول deadline_reminders يضمن تذكيراً واحداً لكل طالب ومهمة
+// حتى مع أكثر من خادم، ويُمسح عند تغيير موعد المهمة
+function createDeadlineReminders(supabase, notifier, {
+  intervalMs = parseInt(process.env.REMINDER_INTERVAL_MS || '900000', 10),
+  windowHours = parseInt(process.env.REMINDER_WINDOW_HOURS || '24', 10)
+} = {}) {
+  let timer = null;
+  let stopped = true;
+
+  async function runOnce(now = new Date()) {
+    const until = new Date(now.getTime() + windowHours * HOUR_MS);
+
+    // due_date قد يكون تاريخاً فقط أو وقتاً كاملاً، فنجلب بهامش يوم ثم نحسب الموعد بدقة
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('id, title, due_date, school_id, audience')
+      .eq('status', 'active')
+      .gte('due_date', new Date(now.getTime() - 24 * HOUR_MS).toISOString().slice(0, 10))
+      .lte('due_date', until.toISOString());
+
+    if (error) throw error;
+    const tasks = (data || []).filter(task => {
+      const deadline = deadlineOf(task);
+      return deadline && deadline > now && deadline <= until;
+    });
+    if (tasks.length === 0) return 0;
+
+    const bySchool = new Map();
+    tasks.forEach(task => {
+      if (!bySchool.has(task.school_id)) bySchool.set(task.school_id, []);
+      bySchool.get(task.school_id).push(task);
+    });
+
+    const assigned = new Map();
+    for (const [schoolId, schoolTasks] of bySchool) {
+      (await resolveAssignedStudents(supabase, schoolTasks, schoolId)).forEach((students, taskId) => assigned.set(taskId, students));
+    }
+
+    const { data: submissions, error: submissionsError } = await supabase
+      .from('submissions')
+      .select('task_id, student_id')
+      .in('task_id', tasks.map(task => task.id));
+
+    if (submissionsError) throw submissionsError;
+    const submitted = new Set((submissions || []).map(sub => `${sub.task_id}:${sub.student_id}`));
+
+    let reminded = 0;
+    for (const task of tasks) {
+      const pending = [...(assigned.get(String(task.id)) || [])].filter(id => !submitted.has(`${task.id}:${id}`));
+      if (pending.length === 0) continue;
+
+      // الصفوف الموجودة تُتجاهل، فالراجع هو من لم يُذكَّر بعد فقط
+      const { data: inserted, error: insertError } = await supabase
+        .from('deadline_reminders')
+        .upsert(pending.map(studentId => ({ task_id: task.id, student_id: studentId })), {
+          onConflict: 'task_id,student_id',
+          ignoreDuplicates: true
+        })
+        .select('student_id');
+
+      if (insertError) throw insertError;
+      const studentIds = (inserted || []).map(row => row.student_id);
+      if (studentIds.length === 0) continue;
+
+      reminded += await notifier.notify(studentIds, NOTIFICATION_TYPES.DEADLINE_REMINDER, {
+        task_id: task.id,
+        task_title: task.title,
+        due_date: task.due_date
+      });
+    }
+
+    if (reminded) console.log(`⏰ Deadline reminders sent to ${reminded} students`);
+    return reminded;
+  }
+
+  async function tick() {
+    timer = null;
+    try {
+      await runOnce();
+    } catch (error) {
+      console.error('❌ Deadline reminders failed:', error.message);
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  }
+
+  // REMINDER_INTERVAL_MS=0 يعطل التذكير على هذا الخادم
+  function start() {
+    if (intervalMs <= 0) return;
+    stopped = false;
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+// تغيير موعد المهمة يسمح بتذكير جديد قبل الموعد الجديد
+async function resetDeadlineReminders(supabase, taskId) {
+  const { error } = await supabase
+    .from('deadline_reminders')
+    .delete()
+    .eq('task_id', taskId);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  normalizePreferences,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  listNotifications,
+  markNotificationsRead,
+  createEmailChannel,
+  createNotifier,
+  createDeadlineReminders,
+  resetDeadlineReminders
+};
@@ -0,0 +1,349 @@
+// ==========================================
+// questionBankService.js - بنك الأسئلة وقوالب المهام
+// ==========================================
+// بنك الأسئلة على مستوى المدرسة، وكل سؤال مصنف بالمادة والصعوبة والمهارات.
+// المهمة أو القالب يشير لسؤال من البنك بـ { bank_question_id } فيُنسخ نصه وتصنيفه.
+// القالب ملك لمن أنشأه، و shared يتيحه لبقية معلمي المدرسة للعرض والنسخ
+const { normalizeLatePolicy, normalizeMaxResubmissions } = require('./submissionService');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_PAGE_SIZE = 100;
+
+const QUESTION_FIELDS = 'id, school_id, created_by, text, subject, difficulty, skill_ids, created_at, updated_at';
+const TEMPLATE_FIELDS = `
+  id, school_id, created_by, title, description, subject, questions, rubric,
+  late_policy, max_resubmissions, shared, uses, created_at, updated_at
+`;
+
+// % و _ لها معنى في ilike، فتُهرّب في نص البحث
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+
+function normalizeSubject(value, errors) {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.trim().length > MAX_SUBJECT_LENGTH) {
+    errors.push(`subject must be text of at most ${MAX_SUBJECT_LENGTH} characters`);
+    return undefined;
+  }
+  return value.trim();
+}
+
+// ==========================================
+// الأسئلة
+// ==========================================
+// { text, subject, difficulty, skill_ids } => { question, errors }
+// partial للتعديل: الحقول غير المرسلة لا تتغير
+function normalizeQuestionInput(input, validSkillIds, { partial = false } = {}) {
+  const errors = [];
+  const question = {};
+
+  if (!partial || input.text !== undefined) {
+    if (typeof input.text !== 'string' || !input.text.trim() || input.text.trim().length > MAX_TEXT_LENGTH) {
+      errors.push(`text must be non-empty text of at most ${MAX_TEXT_LENGTH} characters`);
+    } else {
+      question.text = input.text.trim();
+    }
+  }
+
+  if (input.subject !== undefined) question.subject = normalizeSubject(input.subject, errors);
+
+  if (input.difficulty !== undefined) {
+    if (input.difficulty !== null && !DIFFICULTIES.includes(input.difficulty)) {
+      errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    } else {
+      question.difficulty = input.difficulty;
+    }
+  }
+
+  if (input.skill_ids !== undefined) {
+    if (!Array.isArray(input.skill_ids)) {
+      errors.push('skill_ids must be an array');
+    } else {
+      const valid = validSkillIds.map(String);
+      input.skill_ids.forEach(id => {
+        if (!valid.includes(String(id))) errors.push(`skill_ids contains unknown skill "${id}"`);
+      });
+      question.skill_ids = [...new Set(input.skill_ids.map(String))];
+    }
+  }
+
+  return { question, errors };
+}
+
+// q للبحث في النص، و subject و difficulty و skill_id و created_by للتصفية
+async function searchQuestions(supabase, schoolId, {
+  q = null,
+  subject = null,
+  difficulty = null,
+  skillId = null,
+  createdBy = null,
+  limit = 20,
+  offset = 0
+} = {}) {
+  const size = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  let query = supabase
+    .from('question_bank')
+    .select(QUESTION_FIELDS, { count: 'exact' })
+    .eq('school_id', schoolId)
+    .eq('is_active', true);
+
+  if (q) query = query.ilike('text', likePattern(q));
+  if (subject) query = query.eq('subject', subject);
+  if (difficulty) query = query.eq('difficulty', difficulty);
+  if (skillId) query = query.contains('skill_ids', [skillId]);
+  if (createdBy) query = query.eq('created_by', createdBy);
+
+  const { data, count, error } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + size - 1);
+
+  if (error) throw error;
+  return { questions: data || [], total: count ?? (data || []).length };
+}
+
+async function getQuestion(supabase, schoolId, questionId) {
+  const { data } = await supabase
+    .from('question_bank')
+    .select(QUESTION_FIELDS)
+    .eq('id', questionId)
+    .eq('school_id', schoolId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return data;
+}
+
+async function createQuestion(supabase, user, question) {
+  const { data, error } = await supabase
+    .from('question_bank')
+    .insert({
+      skill_ids: [],
+      subject: null,
+      difficulty: null,
+      ...question,
+      school_id: user.school_id,
+      created_by: user.id,
+      is_active: true
+    })
+    .select(QUESTION_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateQuestion(supabase, questionId, updates) {
+  const { data, error } = await supabase
+    .from('question_bank')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', questionId)
+    .select(QUESTION_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// الحذف يعطل السؤال فقط، والمهام التي نسخته تحتفظ بنصه
+async function archiveQuestion(supabase, questionId) {
+  const { error } = await supabase
+    .from('question_bank')
+    .update({ is_active: false, updated_at: new Date().toISOString() })
+    .eq('id', questionId);
+
+  if (error) throw error;
+}
+
+// يستبدل عناصر { bank_question_id } بنسخة من السؤال، وبقية العناصر تبقى كما هي.
+// حقول العنصر الأخرى (type و points ومفتاح الإجابة) تبقى، فيمكن استخدام سؤال البنك كسؤال موضوعي.
+// يرجع { questions, errors }
+async function resolveQuestions(supabase, schoolId, questions) {
+  if (questions === undefined || questions === null) return { questions: [], errors: [] };
+  if (!Array.isArray(questions)) return { questions: [], errors: ['questions must be an array'] };
+
+  const ids = questions.filter(q => q && typeof q === 'object' && q.bank_question_id).map(q => String(q.bank_question_id));
+  if (ids.length === 0) return { questions, errors: [] };
+
+  const { data, error } = await supabase
+    .from('question_bank')
+    .select(QUESTION_FIELDS)
+    .eq('school_id', schoolId)
+    .eq('is_active', true)
+    .in('id', [...new Set(ids)]);
+
+  if (error) throw error;
+  const bank = new Map((data || []).map(q => [String(q.id), q]));
+
+  const errors = [];
+  const resolved = questions.map((item, i) => {
+    if (!item || typeof item !== 'object' || !item.bank_question_id) return item;
+
+    const source = bank.get(String(item.bank_question_id));
+    if (!source) {
+      errors.push(`questions[${i}].bank_question_id "${item.bank_question_id}" is not in the question bank`);
+      return item;
+    }
+    return {
+      ...item,
+      text: source.text,
+      subject: source.subject,
+      difficulty: source.difficulty,
+      skill_ids: source.skill_ids || [],
+      bank_question_id: source.id
+    };
+  });
+
+  return { questions: resolved, errors };
+}
+
+// ==========================================
+// قوالب المهام
+// ==========================================
+// { title, description, subject, questions, rubric, late_policy, max_resubmissions, shared }
+// => { template, errors }. الأسئلة ومعيار التقييم يتحقق منهما المستدعي
+// (resolveQuestions و normalizeRubric) لأنهما يحتاجان بيانات المدرسة
+function normalizeTemplateInput(input, { partial = false } = {}) {
+  const errors = [];
+  const template = {};
+
+  ['title', 'description'].forEach(field => {
+    if (partial && input[field] === undefined) return;
+    if (typeof input[field] !== 'string' || !input[field].trim() || input[field].trim().length > MAX_TEXT_LENGTH) {
+      errors.push(`${field} must be non-empty text of at most ${MAX_TEXT_LENGTH} characters`);
+    } else {
+      template[field] = input[field].trim();
+    }
+  });
+
+  if (input.subject !== undefined) template.subject = normalizeSubject(input.subject, errors);
+
+  if (input.shared !== undefined) {
+    if (typeof input.shared !== 'boolean') {
+      errors.push('shared must be true or false');
+    } else {
+      template.shared = input.shared;
+    }
+  }
+
+  if (input.late_policy !== undefined) {
+    const { policy, errors: policyErrors } = normalizeLatePolicy(input.late_policy);
+    errors.push(...policyErrors);
+    template.late_policy = policy;
+  }
+
+  if (input.max_resubmissions !== undefined) {
+    const { value, errors: resubmitErrors } = normalizeMaxResubmissions(input.max_resubmissions);
+    errors.push(...resubmitErrors);
+    template.max_resubmissions = value;
+  }
+
+  return { template, errors };
+}
+
+// القوالب التي يراها المستخدم: قوالبه والقوالب المشتركة في مدرسته.
+// scope: all | mine | shared
+async function listTemplates(supabase, user, { q = null, subject = null, scope = 'all' } = {}) {
+  let query = supabase
+    .from('task_templates')
+    .select(TEMPLATE_FIELDS)
+    .eq('school_id', user.school_id)
+    .eq('is_active', true);
+
+  if (scope === 'mine') query = query.eq('created_by', user.id);
+  else if (scope === 'shared') query = query.eq('shared', true);
+  else query = query.or(`created_by.eq.${user.id},shared.eq.true`);
+
+  if (q) query = query.ilike('title', likePattern(q));
+  if (subject) query = query.eq('subject', subject);
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+async function getTemplate(supabase, schoolId, templateId) {
+  const { data } = await supabase
+    .from('task_templates')
+    .select(TEMPLATE_FIELDS)
+    .eq('id', templateId)
+    .eq('school_id', schoolId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return data;
+}
+
+async function createTemplate(supabase, user, template) {
+  const { data, error } = await supabase
+    .from('task_templates')
+    .insert({
+      subject: null,
+      questions: [],
+      rubric: null,
+      late_policy: null,
+      max_resubmissions: 0,
+      shared: false,
+      ...template,
+      school_id: user.school_id,
+      created_by: user.id,
+      uses: 0,
+      is_active: true
+    })
+    .select(TEMPLATE_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateTemplate(supabase, templateId, updates) {
+  const { data, error } = await supabase
+    .from('task_templates')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', templateId)
+    .select(TEMPLATE_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// الحذف يعطل القالب فقط، والمهام المنشأة منه تبقى كما هي
+async function archiveTemplate(supabase, templateId) {
+  const { error } = await supabase
+    .from('task_templates')
+    .update({ is_active: false, updated_at: new Date().toISOString() })
+    .eq('id', templateId);
+
+  if (error) throw error;
+}
+
+// عداد تقريبي لعدد المهام المنشأة من القالب (للعرض فقط)
+async function recordTemplateUse(supabase, template) {
+  const { error } = await supabase
+    .from('task_templates')
+    .update({ uses: (template.uses || 0) + 1 })
+    .eq('id', template.id);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  normalizeQuestionInput,
+  searchQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  archiveQuestion,
+  resolveQuestions,
+  normalizeTemplateInput,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  recordTemplateUse
+};
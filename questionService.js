@@ -0,0 +1,350 @@
+// ==========================================
+// questionService.js - أنواع الأسئلة والتصحيح الآلي
+// ==========================================
+// شكل السؤال المخزن في tasks.questions:
+// {
+//   "id": "q1",
+//   "type": "mcq" | "multi_select" | "short_answer" | "numeric" | "essay",
+//   "text": "نص السؤال",
+//   "points": 1,
+//   "skill_ids": ["<skill uuid>"],
+//   "options": [{ "id": "a", "text": "..." }],        // mcq و multi_select
+//   "correct": "a" | ["a", "c"],                      // mcq | multi_select
+//   "accepted_answers": ["..."], "case_sensitive": false, // short_answer
+//   "answer": 42, "tolerance": 0.5                    // numeric
+// }
+// وإجابات الطالب في submissions.answers: { "q1": "a", "q2": ["a", "c"], "q3": "نص", "q4": 42 }
+// الأسئلة الموضوعية تُصحح هنا بدون ذكاء اصطناعي، والمقالية فقط تذهب للنموذج.
+// المهام القديمة (نصوص أو { text } بدون type) تعامل كأسئلة مقالية
+const { clampScore } = require('./aiSchemas');
+
+const QUESTION_TYPES = {
+  MCQ: 'mcq',
+  MULTI_SELECT: 'multi_select',
+  SHORT_ANSWER: 'short_answer',
+  NUMERIC: 'numeric',
+  ESSAY: 'essay'
+};
+
+const OBJECTIVE_TYPES = [QUESTION_TYPES.MCQ, QUESTION_TYPES.MULTI_SELECT, QUESTION_TYPES.SHORT_ANSWER, QUESTION_TYPES.NUMERIC];
+
+// حقول مفتاح الإجابة التي لا تظهر للطالب قبل التقييم
+const ANSWER_KEY_FIELDS = ['correct', 'accepted_answers', 'case_sensitive', 'answer', 'tolerance'];
+
+const MAX_QUESTIONS = 100;
+const MAX_OPTIONS = 10;
+const MAX_ANSWER_LENGTH = 20000;
+
+const questionType = (q) => (q && typeof q === 'object' && q.type ? q.type : QUESTION_TYPES.ESSAY);
+const isObjective = (q) => OBJECTIVE_TYPES.includes(questionType(q));
+const questionText = (q) => (typeof q === 'string' ? q : q?.text || '');
+const questionPoints = (q) => (q && typeof q === 'object' && Number(q.points) > 0 ? Number(q.points) : 1);
+
+// ==========================================
+// التحقق من الأسئلة
+// ==========================================
+// سؤال واحد، و path لرسائل الخطأ (مثل questions[0]). يرجع { question, errors }
+function normalizeQuestion(input, path, validSkillIds = []) {
+  const errors = [];
+  const source = typeof input === 'string' ? { text: input } : input;
+
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { question: null, errors: [`${path} must be text or an object`] };
+  }
+
+  const type = source.type || QUESTION_TYPES.ESSAY;
+  if (!Object.values(QUESTION_TYPES).includes(type)) {
+    errors.push(`${path}.type must be one of: ${Object.values(QUESTION_TYPES).join(', ')}`);
+  }
+
+  const text = typeof source.text === 'string' ? source.text.trim() : '';
+  if (!text) errors.push(`${path}.text is required`);
+
+  const points = source.points === undefined ? 1 : Number(source.points);
+  if (!Number.isFinite(points) || points <= 0) errors.push(`${path}.points must be a positive number`);
+
+  const skillIds = Array.isArray(source.skill_ids) ? source.skill_ids.map(String) : [];
+  if (source.skill_ids !== undefined && !Array.isArray(source.skill_ids)) {
+    errors.push(`${path}.skill_ids must be an array`);
+  }
+  skillIds.forEach(id => {
+    if (!validSkillIds.map(String).includes(id)) errors.push(`${path}.skill_ids contains unknown skill "${id}"`);
+  });
+
+  const question = { type, text, points, skill_ids: [...new Set(skillIds)] };
+  if (source.id !== undefined) question.id = String(source.id);
+  ['bank_question_id', 'subject', 'difficulty'].forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) question[field] = source[field];
+  });
+
+  if (type === QUESTION_TYPES.MCQ || type === QUESTION_TYPES.MULTI_SELECT) {
+    const options = Array.isArray(source.options) ? source.options : [];
+    if (options.length < 2 || options.length > MAX_OPTIONS) {
+      errors.push(`${path}.options must have between 2 and ${MAX_OPTIONS} options`);
+    }
+
+    question.options = options.map((option, j) => {
+      const optionText = typeof option === 'string' ? option : option?.text;
+      if (typeof optionText !== 'string' || !optionText.trim()) errors.push(`${path}.options[${j}].text is required`);
+      return {
+        id: String(option?.id ?? String.fromCharCode(97 + j)),
+        text: typeof optionText === 'string' ? optionText.trim() : ''
+      };
+    });
+
+    const optionIds = question.options.map(o => o.id);
+    if (new Set(optionIds).size !== optionIds.length) errors.push(`${path}.options ids must be unique`);
+
+    if (type === QUESTION_TYPES.MCQ) {
+      if (!optionIds.includes(String(source.correct))) {
+        errors.push(`${path}.correct must be one of the option ids`);
+      }
+      question.correct = String(source.correct);
+    } else {
+      const correct = Array.isArray(source.correct) ? [...new Set(source.correct.map(String))] : [];
+      if (correct.length === 0 || correct.some(id => !optionIds.includes(id))) {
+        errors.push(`${path}.correct must be a non-empty array of option ids`);
+      }
+      question.correct = correct;
+    }
+  }
+
+  if (type === QUESTION_TYPES.SHORT_ANSWER) {
+    const accepted = Array.isArray(source.accepted_answers)
+      ? source.accepted_answers.filter(a => typeof a === 'string' && a.trim()).map(a => a.trim())
+      : [];
+    if (accepted.length === 0) errors.push(`${path}.accepted_answers must be a non-empty array of text`);
+    if (source.case_sensitive !== undefined && typeof source.case_sensitive !== 'boolean') {
+      errors.push(`${path}.case_sensitive must be true or false`);
+    }
+    question.accepted_answers = accepted;
+    question.case_sensitive = source.case_sensitive === true;
+  }
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const answer = Number(source.answer);
+    const tolerance = source.tolerance === undefined ? 0 : Number(source.tolerance);
+    if (source.answer === undefined || source.answer === null || source.answer === '' || !Number.isFinite(answer)) {
+      errors.push(`${path}.answer must be a number`);
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) errors.push(`${path}.tolerance must be a number >= 0`);
+    question.answer = answer;
+    question.tolerance = tolerance;
+  }
+
+  return { question, errors };
+}
+
+// قائمة أسئلة المهمة أو القالب، مع معرفات فريدة (q1، q2، ...) للأسئلة التي بدونها.
+// يرجع { questions, errors }
+function normalizeQuestions(input, validSkillIds = []) {
+  if (input === undefined || input === null) return { questions: [], errors: [] };
+  if (!Array.isArray(input)) return { questions: [], errors: ['questions must be an array'] };
+  if (input.length > MAX_QUESTIONS) return { questions: [], errors: [`questions must have at most ${MAX_QUESTIONS} items`] };
+
+  const errors = [];
+  const questions = input.map((item, i) => {
+    const result = normalizeQuestion(item, `questions[${i}]`, validSkillIds);
+    errors.push(...result.errors);
+    return result.question;
+  });
+
+  const used = new Set(questions.filter(q => q?.id).map(q => q.id));
+  if (used.size !== questions.filter(q => q?.id).length) errors.push('questions ids must be unique');
+
+  let next = 1;
+  questions.forEach(q => {
+    if (!q || q.id) return;
+    while (used.has(`q${next}`)) next++;
+    q.id = `q${next}`;
+    used.add(q.id);
+  });
+
+  return { questions: errors.length ? [] : questions, errors };
+}
+
+// الأسئلة كما يراها الطالب: بدون مفاتيح الإجابة
+function publicQuestions(questions) {
+  return (questions || []).map(q => {
+    if (!q || typeof q !== 'object') return q;
+    const visible = { ...q };
+    ANSWER_KEY_FIELDS.forEach(field => delete visible[field]);
+    return visible;
+  });
+}
+
+// ==========================================
+// إجابات الطالب
+// ==========================================
+// answers: { [question_id]: إجابة } والأسئلة غير المجابة مسموحة (درجتها صفر).
+// يرجع { answers, errors } بعد تحويل كل إجابة لنوع سؤالها
+function normalizeAnswers(questions, input) {
+  if (input === undefined || input === null) return { answers: {}, errors: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { answers: {}, errors: ['answers must be an object of question id to answer'] };
+  }
+
+  const byId = new Map((questions || []).filter(q => q && typeof q === 'object' && q.id).map(q => [String(q.id), q]));
+  const errors = [];
+  const answers = {};
+
+  Object.entries(input).forEach(([id, value]) => {
+    const question = byId.get(id);
+    const path = `answers.${id}`;
+    if (!question) {
+      errors.push(`${path} is not a question of this task`);
+      return;
+    }
+    if (value === null || value === '') return;
+
+    switch (questionType(question)) {
+      case QUESTION_TYPES.MCQ:
+        if (!question.options.some(o => o.id === String(value))) errors.push(`${path} must be one of the option ids`);
+        else answers[id] = String(value);
+        break;
+      case QUESTION_TYPES.MULTI_SELECT: {
+        const ids = Array.isArray(value) ? [...new Set(value.map(String))] : null;
+        if (!ids || ids.some(optionId => !question.options.some(o => o.id === optionId))) {
+          errors.push(`${path} must be an array of option ids`);
+        } else {
+          answers[id] = ids;
+        }
+        break;
+      }
+      case QUESTION_TYPES.NUMERIC: {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) errors.push(`${path} must be a number`);
+        else answers[id] = number;
+        break;
+      }
+      default:
+        if (typeof value !== 'string' || value.length > MAX_ANSWER_LENGTH) {
+          errors.push(`${path} must be text of at most ${MAX_ANSWER_LENGTH} characters`);
+        } else {
+          answers[id] = value;
+        }
+    }
+  });
+
+  return { answers, errors };
+}
+
+// ==========================================
+// التصحيح الآلي
+// ==========================================
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+// نسبة الإجابة الصحيحة من 0 إلى 1
+function answerCredit(question, answer) {
+  if (answer === undefined || answer === null) return 0;
+
+  switch (questionType(question)) {
+    case QUESTION_TYPES.MCQ:
+      return String(answer) === String(question.correct) ? 1 : 0;
+    case QUESTION_TYPES.MULTI_SELECT: {
+      // كل خيار خاطئ يلغي خياراً صحيحاً، فاختيار كل الخيارات لا يعطي الدرجة
+      const correct = new Set(question.correct.map(String));
+      const selected = answer.map(String);
+      const right = selected.filter(id => correct.has(id)).length;
+      const wrong = selected.length - right;
+      return Math.max(0, (right - wrong) / correct.size);
+    }
+    case QUESTION_TYPES.SHORT_ANSWER: {
+      const given = normalizeText(answer, question.case_sensitive);
+      return question.accepted_answers.some(a => normalizeText(a, question.case_sensitive) === given) ? 1 : 0;
+    }
+    case QUESTION_TYPES.NUMERIC:
+      return Math.abs(Number(answer) - Number(question.answer)) <= Number(question.tolerance || 0) ? 1 : 0;
+    default:
+      return 0;
+  }
+}
+
+// يرجع نتيجة كل سؤال موضوعي: { question_id, type, points, points_awarded, score, correct }
+function scoreObjectiveAnswers(questions, answers = {}) {
+  return (questions || []).filter(isObjective).map(question => {
+    const credit = answerCredit(question, answers[question.id]);
+    const points = questionPoints(question);
+    return {
+      question_id: question.id,
+      type: question.type,
+      points,
+      points_awarded: Math.round(points * credit * 100) / 100,
+      score: clampScore(credit * 100),
+      correct: credit === 1,
+      skill_ids: question.skill_ids || []
+    };
+  });
+}
+
+// المهمة بدون أسئلة أو فيها سؤال مقالي تحتاج تقييم النموذج أو المعلم،
+// والمهمة الموضوعية بالكامل تُصحح آلياً فور التسليم
+function needsEssayGrading(questions) {
+  const items = questions || [];
+  return items.length === 0 || items.some(q => !isObjective(q));
+}
+
+// الأسئلة المقالية مع إجاباتها، تضاف لنص الحل المرسل للنموذج
+function essayContent(questions, answers = {}, content = '') {
+  const essays = (questions || []).filter(q => !isObjective(q) && q && typeof q === 'object' && q.id);
+  const answered = essays
+    .filter(q => typeof answers[q.id] === 'string' && answers[q.id].trim())
+    .map(q => `### ${questionText(q)}\n${answers[q.id]}`);
+
+  return [content, ...answered].filter(text => text && text.trim()).join('\n\n');
+}
+
+// يدمج نتيجة الجزء المقالي (من النموذج أو المعلم) مع الأسئلة الموضوعية بنسبة النقاط.
+// essayResult: { overall_score, feedback, criteria, skill_scores } أو null إذا لم يوجد جزء مقالي.
+// درجة كل مهارة تجمع نقاط الأسئلة الموضوعية المرتبطة بها مع الجزء المقالي بوزنه
+function combineResults(questions, objective, essayResult) {
+  if (objective.length === 0) return essayResult;
+
+  const essayPoints = essayResult
+    ? Math.max((questions || []).filter(q => !isObjective(q)).reduce((sum, q) => sum + questionPoints(q), 0), 1)
+    : 0;
+  const objectivePoints = objective.reduce((sum, q) => sum + q.points, 0);
+  const objectiveAwarded = objective.reduce((sum, q) => sum + q.points_awarded, 0);
+  const essayAwarded = essayResult ? essayPoints * (essayResult.overall_score / 100) : 0;
+
+  const skills = new Map();
+  const add = (skillId, awarded, possible) => {
+    const entry = skills.get(String(skillId)) || { skill_id: skillId, awarded: 0, possible: 0 };
+    entry.awarded += awarded;
+    entry.possible += possible;
+    skills.set(String(skillId), entry);
+  };
+  objective.forEach(q => q.skill_ids.forEach(skillId => add(skillId, q.points_awarded, q.points)));
+  (essayResult?.skill_scores || []).forEach(s => add(s.skill_id, essayPoints * (s.score / 100), essayPoints));
+
+  const correct = objective.filter(q => q.correct).length;
+  const summary = `أجبت إجابة صحيحة عن ${correct} من ${objective.length} من الأسئلة الموضوعية`;
+
+  return {
+    overall_score: clampScore(((objectiveAwarded + essayAwarded) / (objectivePoints + essayPoints)) * 100),
+    feedback: essayResult?.feedback ? `${essayResult.feedback}\n\n${summary}` : summary,
+    recommendations: essayResult?.recommendations || [],
+    criteria: essayResult?.criteria || [],
+    skill_scores: [...skills.values()].map(({ skill_id, awarded, possible }) => ({
+      skill_id,
+      score: clampScore((awarded / possible) * 100)
+    })),
+    questions: objective.map(({ skill_ids, ...q }) => q)
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  isObjective,
+  normalizeQuestion,
+  normalizeQuestions,
+  publicQuestions,
+  normalizeAnswers,
+  scoreObjectiveAnswers,
+  needsEssayGrading,
+  essayContent,
+  combineResults
+};
@@ -0,0 +1,585 @@
+// ==========================================
+// reportService.js - بطاقة تقرير الطالب بصيغة PDF
+// ==========================================
+// البطاقة ثنائية اللغة (عربي/إنجليزي) واتجاهها من اليمين لليسار،
+// وتُبنى من نفس بيانات /api/performance/student/:studentId
+// مع ملاحظات وتوصيات آخر التقييمات.
+//
+// pdfkit لا يدعم الاتجاه الثنائي (bidi)، فنقسم كل سطر إلى مقاطع عربية ولاتينية
+// ونرتبها بصرياً بأنفسنا؛ المقطع العربي يُشكَّل ويُعكس داخل fontkit
+const PDFDocument = require('pdfkit');
+const { effectiveAssessment } = require('./analyticsService');
+
+const FONT_FILES = {
+  arabic: process.env.REPORT_ARABIC_FONT
+    || require.resolve('@fontsource/noto-naskh-arabic/files/noto-naskh-arabic-arabic-400-normal.woff'),
+  arabicBold: process.env.REPORT_ARABIC_BOLD_FONT
+    || require.resolve('@fontsource/noto-naskh-arabic/files/noto-naskh-arabic-arabic-700-normal.woff')
+};
+
+// عدد التقييمات الأخيرة التي تظهر ملاحظاتها في البطاقة
+const REPORT_FEEDBACK_LIMIT = parseInt(process.env.REPORT_FEEDBACK_LIMIT || '3', 10);
+
+const PAGE_MARGIN = 40;
+
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  border: '#d1d5db',
+  header: '#1e3a8a',
+  headerBg: '#eff6ff',
+  score: '#1d4ed8',
+  average: '#f59e0b',
+  band: '#dbeafe',
+  strength: '#059669',
+  weakness: '#dc2626'
+};
+
+const TREND_LABELS = {
+  up: { ar: 'صاعد', en: 'Improving' },
+  down: { ar: 'هابط', en: 'Declining' },
+  stable: { ar: 'مستقر', en: 'Stable' }
+};
+
+// ==========================================
+// الاتجاه الثنائي للنص
+// ==========================================
+// الأرقام العربية الهندية مستثناة من الحروف لأنها تُكتب من اليسار لليمين
+const ARABIC_LETTER = /[\u0600-\u065F\u066A-\u06EF\u06FA-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const ARABIC_CHAR = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const LATIN_LETTER = /[A-Za-z\u00C0-\u024F]/;
+const DIGIT = /[0-9\u0660-\u0669\u06F0-\u06F9]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}', '«': '»' };
+
+// rtl | ltr | null للرموز المحايدة. الأرقام تُكتب دائماً من اليسار لليمين
+function charDirection(ch) {
+  if (ARABIC_LETTER.test(ch)) return 'rtl';
+  if (LATIN_LETTER.test(ch) || DIGIT.test(ch)) return 'ltr';
+  return null;
+}
+
+// اتجاه الفقرة من أول حرف (لا رقم) فيها. النص الرقمي فقط (مثل +5.0) من اليسار لليمين،
+// وما عدا ذلك عربي افتراضياً
+function baseDirection(text) {
+  for (const ch of text) {
+    if (ARABIC_LETTER.test(ch)) return 'rtl';
+    if (LATIN_LETTER.test(ch)) return 'ltr';
+  }
+  return DIGIT.test(text) ? 'ltr' : 'rtl';
+}
+
+// القوسان المتقابلان يأخذان اتجاهاً واحداً: اتجاه الفقرة إذا كان بينهما نص بنفس
+// الاتجاه، وإلا الاتجاه المعاكس إذا كان هو اتجاه النص بينهما وقبلهما (نسخة مبسطة من قاعدة Unicode N0،
+// والأرقام فيها تُعامل كنص عربي)
+function resolveBrackets(chars, types, base) {
+  const contextOf = (j) => (DIGIT.test(chars[j]) ? 'rtl' : types[j]);
+  const stack = [];
+  chars.forEach((ch, i) => {
+    if (OPENING_BRACKETS[ch]) {
+      stack.push(i);
+      return;
+    }
+    const openIndex = stack.length ? stack[stack.length - 1] : -1;
+    if (openIndex < 0 || OPENING_BRACKETS[chars[openIndex]] !== ch) return;
+    stack.pop();
+
+    const inside = [];
+    for (let j = openIndex + 1; j < i; j++) if (types[j]) inside.push(contextOf(j));
+    if (inside.length === 0) return;
+
+    let direction = base;
+    if (!inside.includes(base)) {
+      let before = base;
+      for (let j = openIndex - 1; j >= 0; j--) {
+        if (types[j]) {
+          before = contextOf(j);
+          break;
+        }
+      }
+      direction = before === base ? base : before;
+    }
+    types[openIndex] = direction;
+    types[i] = direction;
+  });
+}
+
+// يقسم السطر إلى مقاطع متتالية بنفس الاتجاه: [{ direction, text }]
+// الرمز المحايد يأخذ اتجاه ما حوله إذا تطابق الطرفان، وإلا اتجاه الفقرة؛
+// و % بعد رقم تلتصق به
+function directionalRuns(text, base) {
+  const chars = [...text];
+  const types = chars.map(charDirection);
+  resolveBrackets(chars, types, base);
+
+  const resolved = types.map((type, i) => {
+    if (type) return type;
+    if (chars[i] === '%' && i > 0 && DIGIT.test(chars[i - 1])) return 'ltr';
+
+    let prev = null;
+    for (let j = i - 1; j >= 0 && !prev; j--) prev = types[j];
+    let next = null;
+    for (let j = i + 1; j < types.length && !next; j++) next = types[j];
+    return prev && prev === next ? prev : base;
+  });
+
+  const runs = [];
+  chars.forEach((ch, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.direction === resolved[i]) last.text += ch;
+    else runs.push({ direction: resolved[i], text: ch });
+  });
+  return runs;
+}
+
+// يقسم المقطع حسب الخط: الحروف العربية بالخط العربي وما عداها (ومنه المسافات) بالخط اللاتيني.
+// عرض المسافة في الخط العربي المضمّن لا يُحترم داخل الكلمات المشكّلة، فتختفي أحياناً
+function fontSegments(text) {
+  const segments = [];
+  [...text].forEach(ch => {
+    const last = segments[segments.length - 1];
+    const arabic = ARABIC_CHAR.test(ch);
+    if (last && last.arabic === arabic) last.text += ch;
+    else segments.push({ arabic, text: ch });
+  });
+  return segments;
+}
+
+// القطع بالترتيب البصري من اليسار لليمين: [{ text, arabic }]
+function visualPieces(text, base = baseDirection(text)) {
+  const runs = directionalRuns(text, base);
+  if (base === 'rtl') runs.reverse();
+
+  return runs.flatMap(run => {
+    if (run.direction === 'ltr') return [{ text: run.text, arabic: false }];
+
+    // داخل المقطع العربي: القطع تنعكس، والرموز اللاتينية تنعكس حروفها وأقواسها
+    return fontSegments(run.text).reverse().map(segment => (segment.arabic ? segment : {
+      arabic: false,
+      text: [...segment.text].reverse().map(ch => MIRRORED[ch] || ch).join('')
+    }));
+  });
+}
+
+// ==========================================
+// الكتابة على الصفحة
+// ==========================================
+// كاتب بسيط يحفظ موضع السطر الحالي (y) وينتقل لصفحة جديدة عند الحاجة
+function createPdfWriter(doc) {
+  const left = PAGE_MARGIN;
+  const right = doc.page.width - PAGE_MARGIN;
+  const bottom = () => doc.page.height - PAGE_MARGIN;
+
+  const fontFor = (piece, bold) => {
+    if (piece.arabic) return bold ? 'arabic-bold' : 'arabic';
+    return bold ? 'Helvetica-Bold' : 'Helvetica';
+  };
+
+  const measure = (pieces, { size, bold }) => pieces.reduce((sum, piece) => {
+    doc.font(fontFor(piece, bold)).fontSize(size);
+    return sum + doc.widthOfString(piece.text);
+  }, 0);
+
+  const writer = {
+    left,
+    right,
+    width: right - left,
+    y: PAGE_MARGIN,
+
+    ensureSpace(height) {
+      if (writer.y + height <= bottom()) return false;
+      doc.addPage();
+      writer.y = PAGE_MARGIN;
+      return true;
+    },
+
+    measure(text, { size = 10, bold = false } = {}) {
+      return measure(visualPieces(String(text ?? '')), { size, bold });
+    },
+
+    // يكتب سطراً واحداً بدون التفاف. y هو أعلى السطر، والمحاذاة حسب اتجاه النص
+    // (أو direction الفقرة التي ينتمي لها السطر) ما لم تحدد align (left | right | center)
+    line(text, {
+      x = left, y = writer.y, width = right - x, size = 10, bold = false, color = COLORS.text, align, direction
+    } = {}) {
+      const value = String(text ?? '');
+      const base = direction || baseDirection(value);
+      const pieces = visualPieces(value, base);
+      const total = measure(pieces, { size, bold });
+      const alignment = align || (base === 'rtl' ? 'right' : 'left');
+
+      let cursor = x;
+      if (alignment === 'right') cursor = x + width - total;
+      if (alignment === 'center') cursor = x + (width - total) / 2;
+
+      // الخطان مختلفان في الارتفاع، فنثبت خط القاعدة لكل القطع
+      const baseline = y + size * 1.15;
+      pieces.forEach(piece => {
+        doc.font(fontFor(piece, bold)).fontSize(size).fillColor(color)
+          .text(piece.text, cursor, baseline, { lineBreak: false, baseline: 'alphabetic' });
+        cursor += doc.widthOfString(piece.text);
+      });
+      return total;
+    },
+
+    // يقسم النص إلى أسطر بعرض width حسب عرض الكلمات الفعلي: [{ text, direction }]
+    // كل أسطر الفقرة الواحدة تأخذ اتجاهها حتى لو بدأ السطر بكلمة بلغة أخرى
+    wrap(text, { width = right - left, size = 10, bold = false } = {}) {
+      const lines = [];
+      String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+        const direction = baseDirection(paragraph);
+        const words = paragraph.split(/\s+/).filter(Boolean);
+        let current = '';
+        words.forEach(word => {
+          const candidate = current ? `${current} ${word}` : word;
+          if (current && measure(visualPieces(candidate, direction), { size, bold }) > width) {
+            lines.push({ text: current, direction });
+            current = word;
+          } else {
+            current = candidate;
+          }
+        });
+        if (current) lines.push({ text: current, direction });
+      });
+      return lines;
+    },
+
+    // فقرة ملتفة تنتقل لصفحة جديدة عند امتلاء الصفحة
+    paragraph(text, { x = left, width = right - x, size = 10, bold = false, color = COLORS.text, gap = 4 } = {}) {
+      const lineHeight = size * 1.7;
+      writer.wrap(text, { width, size, bold }).forEach(line => {
+        writer.ensureSpace(lineHeight);
+        writer.line(line.text, { x, width, size, bold, color, direction: line.direction });
+        writer.y += lineHeight;
+      });
+      writer.y += gap;
+    },
+
+    // عنوان ثنائي اللغة: العربي يميناً والإنجليزي يساراً على نفس السطر
+    bilingual(ar, en, { size = 12, bold = true, color = COLORS.header, x = left, width = right - x } = {}) {
+      writer.line(ar, { x, width, size, bold, color, align: 'right' });
+      writer.line(en, { x, width, size, bold, color, align: 'left' });
+    },
+
+    section(ar, en) {
+      writer.ensureSpace(60);
+      writer.y += 8;
+      writer.bilingual(ar, en, { size: 13 });
+      writer.y += 13 * 1.8;
+      doc.moveTo(left, writer.y - 4).lineTo(right, writer.y - 4)
+        .lineWidth(0.8).strokeColor(COLORS.header).stroke();
+      writer.y += 4;
+    }
+  };
+
+  return writer;
+}
+
+// ==========================================
+// الرسوم البيانية
+// ==========================================
+const formatDate = (iso) => (iso ? String(iso).slice(0, 10) : '');
+const formatScore = (value) => (value === null || value === undefined ? '—' : Number(value).toFixed(1));
+const formatChange = (value) => {
+  if (value === null || value === undefined) return '—';
+  return `${value > 0 ? '+' : ''}${Number(value).toFixed(1)}`;
+};
+
+// منحنى الدرجات عبر الزمن مع المتوسط المتحرك وخط الانحدار ونطاق ثقته.
+// محور الزمن من اليسار لليمين (الأقدم يساراً) كما في الرسوم المعتادة
+function drawTrendChart(doc, writer, { x, y, width, height, series, thresholds }) {
+  const plot = { left: x + 22, right: x + width - 6, top: y + 6, bottom: y + height - 16 };
+  const yFor = (score) => plot.bottom - (Math.max(0, Math.min(100, score)) / 100) * (plot.bottom - plot.top);
+
+  doc.save();
+  doc.rect(x, y, width, height).lineWidth(0.5).strokeColor(COLORS.border).stroke();
+
+  [0, 50, 100].forEach(value => {
+    doc.moveTo(plot.left, yFor(value)).lineTo(plot.right, yFor(value)).lineWidth(0.3).strokeColor(COLORS.border).stroke();
+    writer.line(String(value), { x: x + 2, y: yFor(value) - 5, width: 17, size: 6, color: COLORS.muted, align: 'right' });
+  });
+
+  if (thresholds) {
+    [[thresholds.strength, COLORS.strength], [thresholds.weakness, COLORS.weakness]].forEach(([value, color]) => {
+      doc.moveTo(plot.left, yFor(value)).lineTo(plot.right, yFor(value))
+        .lineWidth(0.5).dash(2, { space: 2 }).strokeColor(color).stroke().undash();
+    });
+  }
+
+  if (series.length === 0) {
+    doc.restore();
+    return;
+  }
+
+  const times = series.map(p => new Date(p.date).getTime());
+  const span = times[times.length - 1] - times[0];
+  const xFor = (i) => (span === 0
+    ? (plot.left + plot.right) / 2
+    : plot.left + ((times[i] - times[0]) / span) * (plot.right - plot.left));
+
+  const polyline = (values, { color, lineWidth = 1, dashed = false }) => {
+    const points = values.map((value, i) => [xFor(i), value]).filter(([, value]) => value !== null);
+    if (points.length < 2) return;
+    points.forEach(([px, value], i) => (i === 0 ? doc.moveTo(px, yFor(value)) : doc.lineTo(px, yFor(value))));
+    if (dashed) doc.dash(3, { space: 2 });
+    doc.lineWidth(lineWidth).strokeColor(color).stroke();
+    if (dashed) doc.undash();
+  };
+
+  if (series[0].fitted !== null && series.length > 1) {
+    series.forEach((p, i) => (i === 0 ? doc.moveTo(xFor(i), yFor(p.upper)) : doc.lineTo(xFor(i), yFor(p.upper))));
+    for (let i = series.length - 1; i >= 0; i--) doc.lineTo(xFor(i), yFor(series[i].lower));
+    doc.closePath().fillOpacity(0.6).fill(COLORS.band).fillOpacity(1);
+    polyline(series.map(p => p.fitted), { color: COLORS.header, lineWidth: 0.8, dashed: true });
+  }
+
+  polyline(series.map(p => p.moving_average), { color: COLORS.average, lineWidth: 1 });
+  polyline(series.map(p => p.score), { color: COLORS.score, lineWidth: 1.2 });
+  series.forEach((p, i) => doc.circle(xFor(i), yFor(p.score), 1.8).fill(COLORS.score));
+
+  writer.line(formatDate(series[0].date), { x: plot.left, y: plot.bottom + 3, width: 60, size: 6, color: COLORS.muted, align: 'left' });
+  if (series.length > 1) {
+    writer.line(formatDate(series[series.length - 1].date), {
+      x: plot.right - 60, y: plot.bottom + 3, width: 60, size: 6, color: COLORS.muted, align: 'right'
+    });
+  }
+  doc.restore();
+}
+
+function drawLegend(doc, writer) {
+  const items = [
+    { color: COLORS.score, label: 'الدرجة Score' },
+    { color: COLORS.average, label: 'المتوسط المتحرك Moving average' },
+    { color: COLORS.header, label: 'خط الاتجاه Trend line', dashed: true }
+  ];
+
+  // العناصر من اليمين لليسار
+  let cursor = writer.right;
+  items.forEach(item => {
+    const labelWidth = writer.measure(item.label, { size: 7 });
+    cursor -= labelWidth;
+    writer.line(item.label, { x: cursor, width: labelWidth, size: 7, color: COLORS.muted, align: 'left' });
+    cursor -= 18;
+    doc.save();
+    if (item.dashed) doc.dash(3, { space: 2 });
+    doc.moveTo(cursor, writer.y + 6).lineTo(cursor + 14, writer.y + 6).lineWidth(1.2).strokeColor(item.color).stroke();
+    doc.restore();
+    cursor -= 14;
+  });
+  writer.y += 16;
+}
+
+// ==========================================
+// أقسام البطاقة
+// ==========================================
+function drawHeader(doc, writer, { student, school, analytics, generatedAt }) {
+  doc.rect(0, 0, doc.page.width, 100).fill(COLORS.headerBg);
+
+  writer.bilingual(school?.name || '', 'Student Report Card', { size: 11, color: COLORS.muted });
+  writer.y += 22;
+  writer.bilingual('بطاقة تقرير الطالب', student.full_name || '', { size: 18 });
+  writer.y += 34;
+
+  const range = `${formatDate(analytics.range.from) || '—'} – ${formatDate(analytics.range.to) || '—'}`;
+  writer.bilingual(`الفترة: ${range}`, `Generated: ${formatDate(generatedAt)}`, { size: 9, bold: false, color: COLORS.muted });
+  writer.y = 118;
+}
+
+function drawSummary(doc, writer, analytics) {
+  const trend = TREND_LABELS[analytics.overall.trend] || TREND_LABELS.stable;
+  const slope = analytics.overall.regression?.slope_per_30_days;
+  const cards = [
+    { ar: 'المعدل العام', en: 'Overall average', value: formatScore(analytics.total_tasks ? analytics.overall_average : null) },
+    { ar: 'المهام المقيّمة', en: 'Graded tasks', value: String(analytics.total_tasks) },
+    { ar: `الاتجاه: ${trend.ar}`, en: `Trend: ${trend.en}`, value: slope === undefined ? '—' : `${formatChange(slope)} / 30d` }
+  ];
+
+  const gap = 10;
+  const width = (writer.width - gap * (cards.length - 1)) / cards.length;
+  // البطاقة الأولى في أقصى اليمين
+  cards.forEach((card, i) => {
+    const x = writer.right - (i + 1) * width - i * gap;
+    doc.roundedRect(x, writer.y, width, 58, 4).lineWidth(0.6).strokeColor(COLORS.border).stroke();
+    writer.line(card.ar, { x: x + 6, y: writer.y + 4, width: width - 12, size: 9, bold: true, align: 'right' });
+    writer.line(card.en, { x: x + 6, y: writer.y + 18, width: width - 12, size: 7, color: COLORS.muted, align: 'right' });
+    writer.line(card.value, { x: x + 6, y: writer.y + 32, width: width - 12, size: 15, bold: true, color: COLORS.score, align: 'center' });
+  });
+  writer.y += 70;
+}
+
+// الأعمدة من اليمين لليسار
+const SKILL_COLUMNS = [
+  { ar: 'المهارة', en: 'Skill', share: 0.32, cell: s => [s.skill_ar, s.skill] },
+  { ar: 'المتوسط', en: 'Average', share: 0.14, cell: s => [formatScore(s.average), `${s.count} tasks`] },
+  { ar: 'المستوى', en: 'Level', share: 0.2, cell: s => [s.level_name_ar, s.level_name_en] },
+  { ar: 'الاتجاه', en: 'Trend', share: 0.16, cell: s => [(TREND_LABELS[s.trend] || TREND_LABELS.stable).ar, (TREND_LABELS[s.trend] || TREND_LABELS.stable).en] },
+  { ar: 'التغير', en: 'Change', share: 0.18, cell: s => [formatChange(s.growth?.change), s.growth ? `${formatChange(s.growth.fitted_change)} fitted` : ''] }
+];
+
+function drawSkillsTable(doc, writer, skills) {
+  const rowHeight = 30;
+  const drawRow = (cells, { header = false } = {}) => {
+    writer.ensureSpace(rowHeight);
+    if (header) doc.rect(writer.left, writer.y, writer.width, rowHeight).fill(COLORS.headerBg);
+
+    let x = writer.right;
+    SKILL_COLUMNS.forEach((column, i) => {
+      const width = writer.width * column.share;
+      x -= width;
+      const [main, sub] = cells[i];
+      writer.line(main, { x: x + 4, y: writer.y + 3, width: width - 8, size: 9, bold: header, align: 'center' });
+      writer.line(sub, { x: x + 4, y: writer.y + 16, width: width - 8, size: 7, color: COLORS.muted, align: 'center' });
+    });
+
+    writer.y += rowHeight;
+    doc.moveTo(writer.left, writer.y).lineTo(writer.right, writer.y).lineWidth(0.4).strokeColor(COLORS.border).stroke();
+  };
+
+  drawRow(SKILL_COLUMNS.map(c => [c.ar, c.en]), { header: true });
+  skills.forEach(skill => drawRow(SKILL_COLUMNS.map(c => c.cell(skill))));
+  writer.y += 10;
+}
+
+function drawStrengthsAndWeaknesses(doc, writer, analytics) {
+  const columnWidth = (writer.width - 20) / 2;
+  const lists = [
+    { ar: 'نقاط القوة', en: 'Strengths', items: analytics.strengths, color: COLORS.strength, x: writer.right - columnWidth },
+    { ar: 'مهارات تحتاج دعماً', en: 'Needs support', items: analytics.weaknesses, color: COLORS.weakness, x: writer.left }
+  ];
+  const rows = Math.max(1, ...lists.map(l => l.items.length));
+  writer.ensureSpace(24 + rows * 16);
+
+  const top = writer.y;
+  lists.forEach(list => {
+    writer.y = top;
+    writer.bilingual(list.ar, list.en, { x: list.x, width: columnWidth, size: 10, color: list.color });
+    writer.y += 20;
+    if (list.items.length === 0) {
+      writer.line('— None', { x: list.x, width: columnWidth, size: 8, color: COLORS.muted, align: 'right' });
+    }
+    list.items.forEach(skill => {
+      writer.line(`${skill.skill_ar} (${skill.skill}) ${formatScore(skill.average)}`, { x: list.x, width: columnWidth, size: 9, align: 'right' });
+      writer.y += 16;
+    });
+  });
+  writer.y = top + 24 + rows * 16;
+}
+
+function drawSkillCharts(doc, writer, analytics) {
+  const gap = 12;
+  const width = (writer.width - gap) / 2;
+  const height = 96;
+  const blockHeight = height + 22;
+
+  // مخططان في كل صف، الأول يميناً
+  for (let i = 0; i < analytics.skills_performance.length; i += 2) {
+    writer.ensureSpace(blockHeight);
+    analytics.skills_performance.slice(i, i + 2).forEach((skill, j) => {
+      const x = j === 0 ? writer.right - width : writer.left;
+      writer.bilingual(skill.skill_ar, skill.skill, { x, width, size: 9, color: COLORS.text });
+      drawTrendChart(doc, writer, { x, y: writer.y + 16, width, height, series: skill.series, thresholds: analytics.thresholds });
+    });
+    writer.y += blockHeight + 6;
+  }
+}
+
+function drawFeedback(doc, writer, feedback) {
+  if (feedback.length === 0) {
+    writer.paragraph('لا توجد ملاحظات بعد — No feedback yet', { size: 9, color: COLORS.muted });
+    return;
+  }
+
+  feedback.forEach(item => {
+    writer.ensureSpace(50);
+    writer.bilingual(item.task, `${formatDate(item.date)}  ·  ${formatScore(item.score)}`, { size: 10, color: COLORS.text });
+    writer.y += 20;
+    if (item.feedback) writer.paragraph(item.feedback, { size: 9 });
+
+    if (item.recommendations.length) {
+      writer.ensureSpace(20);
+      writer.bilingual('التوصيات', 'Recommendations', { size: 9, color: COLORS.muted });
+      writer.y += 16;
+      item.recommendations.forEach(rec => writer.paragraph(`• ${rec}`, { x: writer.left, width: writer.width - 10, size: 9, gap: 0 }));
+    }
+    writer.y += 10;
+  });
+}
+
+// ==========================================
+// بيانات البطاقة
+// ==========================================
+// ملاحظات وتوصيات آخر التقييمات في الفترة، الأحدث أولاً
+function recentFeedback(submissions, { from, to }, limit = REPORT_FEEDBACK_LIMIT) {
+  return submissions
+    .map(sub => ({ sub, date: new Date(sub.submitted_at), assessment: effectiveAssessment(sub) }))
+    .filter(({ date, assessment }) => assessment && (!from || date >= from) && (!to || date <= to))
+    .sort((a, b) => b.date - a.date)
+    .slice(0, limit)
+    .map(({ sub, date, assessment }) => ({
+      task: sub.tasks?.title || 'مهمة',
+      date: date.toISOString(),
+      score: assessment.overall_score === null ? null : parseFloat(assessment.overall_score),
+      feedback: assessment.feedback || '',
+      recommendations: Array.isArray(assessment.ai_result?.recommendations) ? assessment.ai_result.recommendations : []
+    }));
+}
+
+// ==========================================
+// إنشاء الملف
+// ==========================================
+// data: { student, school, analytics (من buildStudentAnalytics), feedback (من recentFeedback) }
+// يرجع Buffer بمحتوى ملف PDF
+function renderReportCard({ student, school, analytics, feedback, generatedAt = new Date() }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Report Card - ${student.full_name || student.id}`, Author: school?.name || '' }
+    });
+    doc.registerFont('arabic', FONT_FILES.arabic);
+    doc.registerFont('arabic-bold', FONT_FILES.arabicBold);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const writer = createPdfWriter(doc);
+      drawHeader(doc, writer, { student, school, analytics, generatedAt: generatedAt.toISOString() });
+      drawSummary(doc, writer, analytics);
+
+      writer.section('تطور الأداء العام', 'Overall progress');
+      drawLegend(doc, writer);
+      drawTrendChart(doc, writer, {
+        x: writer.left, y: writer.y, width: writer.width, height: 130,
+        series: analytics.performance_over_time, thresholds: analytics.thresholds
+      });
+      writer.y += 140;
+
+      writer.section('المهارات', 'Skills');
+      drawSkillsTable(doc, writer, analytics.skills_performance);
+      drawStrengthsAndWeaknesses(doc, writer, analytics);
+
+      if (analytics.skills_performance.length) {
+        writer.section('تطور المهارات', 'Skill trends');
+        drawSkillCharts(doc, writer, analytics);
+      }
+
+      writer.section('ملاحظات المعلم والذكاء الاصطناعي', 'Teacher & AI feedback');
+      drawFeedback(doc, writer, feedback);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  REPORT_FEEDBACK_LIMIT,
+  baseDirection,
+  visualPieces,
+  recentFeedback,
+  renderReportCard
+};
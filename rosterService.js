@@ -0,0 +1,369 @@
+// ==========================================
+// rosterService.js - استيراد قائمة طلاب ومعلمي المدرسة دفعة واحدة
+// ==========================================
+// الملف CSV أو XLSX بصف عناوين، وكل صف بعده مستخدم:
+//   email, full_name, role (student | teacher), classes (أسماء الفصول مفصولة بـ ;)
+// المستخدم الموجود بنفس البريد يُتجاوز (skip) أو تُحدَّث بياناته وفصوله (update)،
+// والفصول غير الموجودة تُنشأ. المعاينة (dry run) ترجع نفس التقرير بدون أي كتابة
+const ExcelJS = require('exceljs');
+const { normalizeEmail } = require('./authService');
+
+const ROSTER_MAX_ROWS = parseInt(process.env.ROSTER_MAX_ROWS || '5000', 10);
+const ROSTER_ROLES = ['student', 'teacher'];
+const DUPLICATE_MODES = ['skip', 'update'];
+
+// حجم الدفعة في الإدخال والاستعلام بـ in حتى لا يطول الطلب الواحد
+const BATCH_SIZE = 500;
+
+const ROW_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip',
+  ERROR: 'error'
+};
+
+// أسماء الأعمدة المقبولة بالعربية أو الإنجليزية
+const HEADER_ALIASES = {
+  email: ['email', 'e-mail', 'البريد', 'البريد الإلكتروني'],
+  full_name: ['full_name', 'full name', 'name', 'الاسم', 'الاسم الكامل'],
+  role: ['role', 'الدور'],
+  classes: ['classes', 'class', 'الفصول', 'الفصل']
+};
+
+const ROLE_ALIASES = {
+  student: 'student',
+  'طالب': 'student',
+  teacher: 'teacher',
+  'معلم': 'teacher'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const chunk = (items, size = BATCH_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const classKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// ==========================================
+// قراءة الملف
+// ==========================================
+// CSV حسب RFC 4180 مع دعم الفاصلة المنقوطة (Excel في بعض الإعدادات العربية)
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+
+    if (quoted) {
+      if (ch === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// قيمة الخلية كنص، بما فيها الروابط والنص المنسق ونتائج المعادلات
+function xlsxCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return xlsxCellText(value.text);
+  if (value.result !== undefined) return xlsxCellText(value.result);
+  return '';
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= row.cellCount; col++) values.push(xlsxCellText(row.getCell(col).value));
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, row => row || []);
+}
+
+function isXlsxFile(file) {
+  return /\.xlsx$/i.test(file.originalname || '')
+    || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+}
+
+// يرجع { entries: [{ row, email, full_name, role, classes }], errors }
+// حيث row رقم الصف في الملف (صف العناوين هو 1)
+async function readRosterFile(file) {
+  let table;
+  try {
+    table = isXlsxFile(file) ? await parseXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+  } catch (error) {
+    return { errors: ['file could not be parsed as CSV or XLSX'] };
+  }
+
+  const [header = [], ...body] = table;
+  const columns = {};
+  header.forEach((name, index) => {
+    const normalized = String(name).trim().toLowerCase();
+    const field = Object.keys(HEADER_ALIASES).find(key => HEADER_ALIASES[key].includes(normalized));
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+
+  const missing = ['email', 'full_name', 'role'].filter(field => columns[field] === undefined);
+  if (missing.length) {
+    return { errors: missing.map(field => `missing column "${field}"`) };
+  }
+
+  const entries = [];
+  body.forEach((values, i) => {
+    const cell = (field) => (columns[field] === undefined ? '' : String(values[columns[field]] ?? '').trim());
+    if (values.every(value => String(value ?? '').trim() === '')) return;
+
+    entries.push({
+      row: i + 2,
+      email: normalizeEmail(cell('email')),
+      full_name: cell('full_name'),
+      role: cell('role'),
+      classes: cell('classes').split(/[;|،]/).map(name => name.trim().replace(/\s+/g, ' ')).filter(Boolean)
+    });
+  });
+
+  if (entries.length === 0) return { errors: ['file has no rows'] };
+  if (entries.length > ROSTER_MAX_ROWS) return { errors: [`file has more than ${ROSTER_MAX_ROWS} rows`] };
+  return { entries, errors: [] };
+}
+
+// ==========================================
+// التحقق من الصفوف
+// ==========================================
+// يضيف لكل صف errors، ويوحد الدور إلى student | teacher
+function validateRosterEntries(entries) {
+  const seen = new Map();
+
+  return entries.map(entry => {
+    const errors = [];
+    const role = ROLE_ALIASES[entry.role.toLowerCase()];
+
+    if (!EMAIL_PATTERN.test(entry.email)) errors.push('email is invalid');
+    if (!entry.full_name) errors.push('full_name is required');
+    else if (entry.full_name.length > 200) errors.push('full_name must be at most 200 characters');
+    if (!role) errors.push(`role must be one of: ${ROSTER_ROLES.join(', ')}`);
+
+    if (entry.email && seen.has(entry.email)) errors.push(`email is duplicated in row ${seen.get(entry.email)}`);
+    else if (entry.email) seen.set(entry.email, entry.row);
+
+    return { ...entry, role: role || entry.role, errors };
+  });
+}
+
+// ==========================================
+// خطة الاستيراد
+// ==========================================
+async function loadUsersByEmail(supabase, emails) {
+  const users = new Map();
+  for (const batch of chunk(emails)) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, email, full_name, role, school_id')
+      .in('email', batch);
+    if (error) throw error;
+    (data || []).forEach(user => users.set(user.email.toLowerCase(), user));
+  }
+  return users;
+}
+
+// يحدد إجراء كل صف بدون أي كتابة.
+// يرجع { rows, classesToCreate, classes (Map اسم → فصل), users (Map بريد → مستخدم) }
+async function planRosterImport(supabase, schoolId, entries, { onDuplicate = 'skip' } = {}) {
+  const rows = validateRosterEntries(entries);
+  const valid = rows.filter(r => r.errors.length === 0);
+
+  const [users, { data: schoolClasses, error: classesError }] = await Promise.all([
+    loadUsersByEmail(supabase, valid.map(r => r.email)),
+    supabase.from('classes').select('id, name, is_active').eq('school_id', schoolId)
+  ]);
+  if (classesError) throw classesError;
+
+  const classes = new Map((schoolClasses || []).map(cls => [classKey(cls.name), cls]));
+  const classesToCreate = new Map();
+
+  rows.forEach(row => {
+    if (row.errors.length) {
+      row.action = ROW_ACTIONS.ERROR;
+      return;
+    }
+
+    const existing = users.get(row.email);
+    if (existing && existing.school_id !== schoolId) {
+      row.errors.push('email is registered in another school');
+    } else if (existing && existing.role !== row.role) {
+      row.errors.push(`email is already registered as ${existing.role}`);
+    }
+
+    row.classes.forEach(name => {
+      const cls = classes.get(classKey(name));
+      if (cls && cls.is_active === false) row.errors.push(`class "${name}" is archived`);
+    });
+
+    if (row.errors.length) {
+      row.action = ROW_ACTIONS.ERROR;
+    } else if (existing) {
+      row.action = onDuplicate === 'update' ? ROW_ACTIONS.UPDATE : ROW_ACTIONS.SKIP;
+    } else {
+      row.action = ROW_ACTIONS.CREATE;
+    }
+
+    if (row.action === ROW_ACTIONS.CREATE || row.action === ROW_ACTIONS.UPDATE) {
+      row.classes.forEach(name => {
+        if (!classes.has(classKey(name))) classesToCreate.set(classKey(name), name);
+      });
+    }
+  });
+
+  return { rows, classesToCreate: [...classesToCreate.values()], classes, users };
+}
+
+// ==========================================
+// تنفيذ الاستيراد
+// ==========================================
+// ينشئ الفصول والمستخدمين ويحدث الموجودين ويسجلهم في فصولهم.
+// يرجع { created: [{ id, email }], classesCreated }
+async function applyRosterImport(supabase, schoolId, plan) {
+  const { rows, classes } = plan;
+
+  const classesCreated = [];
+  if (plan.classesToCreate.length) {
+    const { data, error } = await supabase
+      .from('classes')
+      .insert(plan.classesToCreate.map(name => ({ school_id: schoolId, name, is_active: true })))
+      .select('id, name, is_active');
+    if (error) throw error;
+    (data || []).forEach(cls => {
+      classes.set(classKey(cls.name), cls);
+      classesCreated.push(cls);
+    });
+  }
+
+  const toCreate = rows.filter(r => r.action === ROW_ACTIONS.CREATE);
+  const userIds = new Map();
+  const created = [];
+
+  for (const batch of chunk(toCreate)) {
+    const { data, error } = await supabase
+      .from('users')
+      .insert(batch.map(r => ({ email: r.email, full_name: r.full_name, role: r.role, school_id: schoolId })))
+      .select('id, email');
+    if (error) throw error;
+    (data || []).forEach(user => {
+      userIds.set(user.email.toLowerCase(), user.id);
+      created.push(user);
+    });
+  }
+
+  const toUpdate = rows.filter(r => r.action === ROW_ACTIONS.UPDATE);
+  for (const row of toUpdate) {
+    const user = plan.users.get(row.email);
+    userIds.set(row.email, user.id);
+    if (user.full_name === row.full_name) continue;
+
+    const { error } = await supabase.from('users').update({ full_name: row.full_name }).eq('id', user.id);
+    if (error) throw error;
+  }
+
+  // التسجيل في الفصول، مع تجاهل العضويات الموجودة
+  const memberships = [...toCreate, ...toUpdate].flatMap(row => row.classes.map(name => ({
+    class_id: classes.get(classKey(name)).id,
+    user_id: userIds.get(row.email),
+    role: row.role
+  })));
+
+  if (memberships.length) {
+    const enrolled = new Set();
+    const classIds = [...new Set(memberships.map(m => m.class_id))];
+    for (const batch of chunk(classIds)) {
+      const { data, error } = await supabase
+        .from('class_members')
+        .select('class_id, user_id')
+        .in('class_id', batch);
+      if (error) throw error;
+      (data || []).forEach(m => enrolled.add(`${m.class_id}:${m.user_id}`));
+    }
+
+    const toEnroll = memberships.filter(m => {
+      const key = `${m.class_id}:${m.user_id}`;
+      if (enrolled.has(key)) return false;
+      enrolled.add(key);
+      return true;
+    });
+
+    for (const batch of chunk(toEnroll)) {
+      const { error } = await supabase.from('class_members').insert(batch);
+      if (error) throw error;
+    }
+  }
+
+  return { created, classesCreated };
+}
+
+// ملخص التقرير لكل الإجراءات
+function summarizeRoster(plan) {
+  const count = (action) => plan.rows.filter(r => r.action === action).length;
+  return {
+    total: plan.rows.length,
+    created: count(ROW_ACTIONS.CREATE),
+    updated: count(ROW_ACTIONS.UPDATE),
+    skipped: count(ROW_ACTIONS.SKIP),
+    errors: count(ROW_ACTIONS.ERROR),
+    classes_created: plan.classesToCreate.length
+  };
+}
+
+module.exports = {
+  ROSTER_MAX_ROWS,
+  ROSTER_ROLES,
+  DUPLICATE_MODES,
+  ROW_ACTIONS,
+  parseCsv,
+  readRosterFile,
+  validateRosterEntries,
+  planRosterImport,
+  applyRosterImport,
+  summarizeRoster
+};
@@ -0,0 +1,167 @@
+// ==========================================
+// rubricService.js - معايير التقييم (Rubrics)
+// ==========================================
+// شكل المعيار المخزن في tasks.rubric:
+// {
+//   "criteria": [
+//     {
+//       "id": "c1",
+//       "title": "تحليل المشكلة",
+//       "description": "...",
+//       "weight": 40,
+//       "skill_ids": ["<skill uuid>"],
+//       "levels": [
+//         { "label": "ممتاز", "points": 4, "descriptor": "..." },
+//         { "label": "مبتدئ", "points": 1, "descriptor": "..." }
+//       ]
+//     }
+//   ]
+// }
+const { clampScore } = require('./aiSchemas');
+
+// ==========================================
+// التحقق من المعيار وتنظيفه
+// ==========================================
+// يرجع { rubric, errors } حيث rubric نسخة منظفة جاهزة للتخزين
+function normalizeRubric(input, validSkillIds = []) {
+  const errors = [];
+
+  if (!input || !Array.isArray(input.criteria) || input.criteria.length === 0) {
+    return { rubric: null, errors: ['rubric.criteria must be a non-empty array'] };
+  }
+
+  const seenIds = new Set();
+  const criteria = input.criteria.map((criterion, i) => {
+    const path = `rubric.criteria[${i}]`;
+    const id = String(criterion.id || `c${i + 1}`);
+
+    if (seenIds.has(id)) errors.push(`${path}.id "${id}" is duplicated`);
+    seenIds.add(id);
+
+    if (!criterion.title || typeof criterion.title !== 'string') {
+      errors.push(`${path}.title is required`);
+    }
+
+    const weight = Number(criterion.weight ?? 1);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      errors.push(`${path}.weight must be a positive number`);
+    }
+
+    const skillIds = (criterion.skill_ids || []).map(String);
+    skillIds.forEach(skillId => {
+      if (!validSkillIds.map(String).includes(skillId)) {
+        errors.push(`${path}.skill_ids contains unknown skill "${skillId}"`);
+      }
+    });
+
+    const levels = Array.isArray(criterion.levels) ? criterion.levels : [];
+    if (levels.length < 2) errors.push(`${path}.levels must have at least 2 levels`);
+
+    const seenLabels = new Set();
+    levels.forEach((level, j) => {
+      if (!level.label || typeof level.label !== 'string') {
+        errors.push(`${path}.levels[${j}].label is required`);
+      } else if (/[|"]/.test(level.label)) {
+        // تُعرض المستويات للنموذج بصيغة "أ | ب"
+        errors.push(`${path}.levels[${j}].label must not contain | or "`);
+      }
+      if (seenLabels.has(level.label)) errors.push(`${path}.levels[${j}].label "${level.label}" is duplicated`);
+      seenLabels.add(level.label);
+      if (!Number.isFinite(Number(level.points)) || Number(level.points) < 0) {
+        errors.push(`${path}.levels[${j}].points must be a number >= 0`);
+      }
+    });
+
+    if (levels.length && Math.max(...levels.map(l => Number(l.points) || 0)) <= 0) {
+      errors.push(`${path}.levels must have at least one level with points > 0`);
+    }
+
+    return {
+      id,
+      title: criterion.title,
+      description: criterion.description || '',
+      weight,
+      skill_ids: skillIds,
+      levels: levels
+        .map(level => ({
+          label: level.label,
+          points: Number(level.points),
+          descriptor: level.descriptor || ''
+        }))
+        .sort((a, b) => b.points - a.points)
+    };
+  });
+
+  return { rubric: errors.length ? null : { criteria }, errors };
+}
+
+// ==========================================
+// حساب الدرجات من مستويات المعايير
+// ==========================================
+// results: [{ criterion_id, level, comment }] حيث level هو label المستوى
+// يرجع { errors } أو { overall_score, criteria, skill_scores }
+function scoreRubric(rubric, results) {
+  const errors = [];
+  const byId = new Map((results || []).map(r => [String(r.criterion_id), r]));
+
+  const criteria = rubric.criteria.map(criterion => {
+    const result = byId.get(criterion.id);
+    if (!result) {
+      errors.push(`criterion "${criterion.id}" has no level`);
+      return null;
+    }
+
+    const level = criterion.levels.find(l => l.label === result.level);
+    if (!level) {
+      errors.push(`criterion "${criterion.id}" has unknown level "${result.level}"`);
+      return null;
+    }
+
+    const maxPoints = Math.max(...criterion.levels.map(l => l.points));
+    return {
+      criterion_id: criterion.id,
+      level: level.label,
+      points: level.points,
+      score: clampScore((level.points / maxPoints) * 100),
+      comment: result.comment || null,
+      weight: criterion.weight,
+      skill_ids: criterion.skill_ids
+    };
+  });
+
+  if (errors.length) return { errors };
+
+  const weightedAverage = (items) => {
+    const totalWeight = items.reduce((sum, c) => sum + c.weight, 0);
+    return clampScore(items.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+  };
+
+  // درجة كل مهارة = متوسط موزون للمعايير المرتبطة بها
+  const skillIds = [...new Set(criteria.flatMap(c => c.skill_ids))];
+  const skillScores = skillIds.map(skillId => ({
+    skill_id: skillId,
+    score: weightedAverage(criteria.filter(c => c.skill_ids.includes(skillId)))
+  }));
+
+  return {
+    errors: [],
+    overall_score: weightedAverage(criteria),
+    criteria: criteria.map(({ weight, skill_ids, ...c }) => c),
+    skill_scores: skillScores
+  };
+}
+
+// نص المعيار كما يُعرض للنموذج في طلب التقييم
+function describeRubric(rubric) {
+  return rubric.criteria.map(criterion => [
+    `### [${criterion.id}] ${criterion.title} (الوزن: ${criterion.weight})`,
+    criterion.description,
+    ...criterion.levels.map(level => `- "${level.label}" (${level.points}): ${level.descriptor}`)
+  ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+module.exports = {
+  normalizeRubric,
+  scoreRubric,
+  describeRubric
+};
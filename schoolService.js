@@ -0,0 +1,242 @@
+// ==========================================
+// schoolService.js - إعدادات المدرسة وأكواد الانضمام
+// ==========================================
+// لكل دور (طالب أو معلم) كود انضمام مستقل في جدول school_join_codes.
+// الكود يمكن أن تكون له مدة صلاحية وعدد استخدامات أقصى، والتدوير يلغي
+// الأكواد الفعالة لنفس الدور وينشئ كوداً جديداً
+const crypto = require('crypto');
+
+const JOIN_CODE_ROLES = ['student', 'teacher'];
+const JOIN_CODE_LENGTH = 8;
+const MAX_JOIN_CODE_DAYS = 365;
+
+// بدون الحروف المتشابهة (O و 0 و I و 1) حتى يسهل نقل الكود شفهياً
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const JOIN_CODE_FIELDS = 'id, school_id, role, code, expires_at, max_uses, uses, revoked_at, created_by, created_at';
+
+const DEFAULT_SCHOOL_SETTINGS = {
+  allow_student_registration: true,
+  allow_teacher_registration: true,
+  require_teacher_approval: true,
+  // ما يراه ولي الأمر من بيانات الطالب المرتبط به
+  guardian_visibility: {
+    tasks: true,
+    grades: true,
+    skill_scores: true,
+    feedback: true,
+    performance: true,
+    recommendations: true
+  }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// ==========================================
+// الإعدادات
+// ==========================================
+// الإعدادات المخزنة مدموجة مع القيم الافتراضية، والمجموعات (مثل guardian_visibility) تُدمج مفتاحاً مفتاحاً
+function schoolSettings(school) {
+  const stored = isPlainObject(school?.settings) ? school.settings : {};
+  return Object.fromEntries(Object.entries(DEFAULT_SCHOOL_SETTINGS).map(([key, value]) => [
+    key,
+    isPlainObject(value) ? { ...value, ...(isPlainObject(stored[key]) ? stored[key] : {}) } : (stored[key] ?? value)
+  ]));
+}
+
+function applySettings(target, input, defaults, prefix, errors) {
+  Object.entries(input).forEach(([key, value]) => {
+    if (!(key in defaults)) {
+      errors.push(`${prefix}${key} is not a known setting`);
+    } else if (isPlainObject(defaults[key])) {
+      if (!isPlainObject(value)) {
+        errors.push(`${prefix}${key} must be an object`);
+      } else {
+        target[key] = { ...target[key] };
+        applySettings(target[key], value, defaults[key], `${prefix}${key}.`, errors);
+      }
+    } else if (typeof value !== 'boolean') {
+      errors.push(`${prefix}${key} must be true or false`);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+// يتحقق من تعديل جزئي على الإعدادات ويرجع { settings, errors }
+// حيث settings هي الإعدادات الكاملة بعد التعديل
+function normalizeSchoolSettings(input, current = {}) {
+  const errors = [];
+  const settings = schoolSettings({ settings: current });
+
+  if (!isPlainObject(input)) {
+    return { settings, errors: ['settings must be an object'] };
+  }
+
+  applySettings(settings, input, DEFAULT_SCHOOL_SETTINGS, 'settings.', errors);
+  return { settings, errors };
+}
+
+// ==========================================
+// أكواد الانضمام
+// ==========================================
+function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// active | revoked | expired | exhausted
+function joinCodeState(joinCode, now = new Date()) {
+  if (joinCode.revoked_at) return 'revoked';
+  if (joinCode.expires_at && new Date(joinCode.expires_at) <= now) return 'expired';
+  if (joinCode.max_uses && joinCode.uses >= joinCode.max_uses) return 'exhausted';
+  return 'active';
+}
+
+// { role, expires_in_days | expires_at, max_uses } => { options, errors }
+function normalizeJoinCodeInput(input, now = new Date()) {
+  const errors = [];
+  const options = { role: input.role, expiresAt: null, maxUses: null };
+
+  if (!JOIN_CODE_ROLES.includes(input.role)) {
+    errors.push(`role must be one of: ${JOIN_CODE_ROLES.join(', ')}`);
+  }
+
+  if (input.expires_in_days !== undefined && input.expires_at !== undefined) {
+    errors.push('send either expires_in_days or expires_at, not both');
+  } else if (input.expires_in_days !== undefined && input.expires_in_days !== null) {
+    const days = Number(input.expires_in_days);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_JOIN_CODE_DAYS) {
+      errors.push(`expires_in_days must be greater than 0 and at most ${MAX_JOIN_CODE_DAYS}`);
+    } else {
+      options.expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+  } else if (input.expires_at !== undefined && input.expires_at !== null) {
+    const expiresAt = new Date(input.expires_at);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+      errors.push('expires_at must be a future ISO date');
+    } else {
+      options.expiresAt = expiresAt.toISOString();
+    }
+  }
+
+  if (input.max_uses !== undefined && input.max_uses !== null) {
+    const maxUses = Number(input.max_uses);
+    if (!Number.isInteger(maxUses) || maxUses <= 0) {
+      errors.push('max_uses must be a positive integer');
+    } else {
+      options.maxUses = maxUses;
+    }
+  }
+
+  return { options, errors };
+}
+
+// الكود فريد على مستوى المنصة، فنعيد المحاولة إذا تصادف كود موجود
+async function createJoinCode(supabase, schoolId, { role, expiresAt = null, maxUses = null, createdBy = null, code = null }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data, error } = await supabase
+      .from('school_join_codes')
+      .insert({
+        school_id: schoolId,
+        role,
+        code: code || generateJoinCode(),
+        expires_at: expiresAt,
+        max_uses: maxUses,
+        uses: 0,
+        created_by: createdBy
+      })
+      .select(JOIN_CODE_FIELDS)
+      .single();
+
+    if (!error) return data;
+    if (error.code !== '23505' || code) throw error;
+  }
+  throw new Error('Could not generate a unique join code');
+}
+
+async function rotateJoinCode(supabase, schoolId, options) {
+  const { error } = await supabase
+    .from('school_join_codes')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('school_id', schoolId)
+    .eq('role', options.role)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+  return createJoinCode(supabase, schoolId, options);
+}
+
+async function revokeJoinCode(supabase, schoolId, codeId) {
+  const { data, error } = await supabase
+    .from('school_join_codes')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', codeId)
+    .eq('school_id', schoolId)
+    .is('revoked_at', null)
+    .select(JOIN_CODE_FIELDS);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+async function listJoinCodes(supabase, schoolId, { includeRevoked = false } = {}) {
+  let query = supabase
+    .from('school_join_codes')
+    .select(JOIN_CODE_FIELDS)
+    .eq('school_id', schoolId)
+    .order('created_at', { ascending: false });
+  if (!includeRevoked) query = query.is('revoked_at', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const now = new Date();
+  return (data || []).map(code => ({ ...code, state: joinCodeState(code, now) }));
+}
+
+// الكود مع مدرسته، أو null إذا لم يوجد
+async function findJoinCode(supabase, code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+
+  const { data } = await supabase
+    .from('school_join_codes')
+    .select(`${JOIN_CODE_FIELDS}, schools(id, name, settings, is_active)`)
+    .eq('code', code.trim())
+    .maybeSingle();
+
+  return data;
+}
+
+// الشرط على uses يمنع تجاوز max_uses عند تسجيلين متزامنين.
+// يرجع false إذا استُخدم الكود بين القراءة والتحديث
+async function consumeJoinCode(supabase, joinCode) {
+  const { data, error } = await supabase
+    .from('school_join_codes')
+    .update({ uses: joinCode.uses + 1 })
+    .eq('id', joinCode.id)
+    .eq('uses', joinCode.uses)
+    .select('id');
+
+  if (error) throw error;
+  return !!data && data.length > 0;
+}
+
+module.exports = {
+  JOIN_CODE_ROLES,
+  DEFAULT_SCHOOL_SETTINGS,
+  schoolSettings,
+  normalizeSchoolSettings,
+  generateJoinCode,
+  joinCodeState,
+  normalizeJoinCodeInput,
+  createJoinCode,
+  rotateJoinCode,
+  revokeJoinCode,
+  listJoinCodes,
+  findJoinCode,
+  consumeJoinCode
+};
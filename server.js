@@ -1,9 +1,189 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
 const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
+const auth = require('./authService');
+const { getAIProvider } = require('./aiProvider');
+const {
+  AIResponseError,
+  analyzeStudentPerformance,
+  generateRecommendations,
+  evaluateTaskQuality,
+  draftTask
+} = require('./aiService');
+const { PROMPTS, hasPromptVersion, listPrompts } = require('./aiPrompts');
+const { normalizeRubric } = require('./rubricService');
+const {
+  ASSESSMENT_STATUS,
+  gradeSubmissionById,
+  regradeAndCompare,
+  summarizeDrift,
+  buildTeacherResult,
+  saveAssessment,
+  reviewAssessment
+} = require('./gradingService');
+const {
+  SKILL_FIELDS,
+  getSchoolSkills,
+  buildSkillTree,
+  normalizeSkillInput,
+  importDefaultSkills
+} = require('./skillService');
+const {
+  ROLES,
+  STAFF_ROLES,
+  USER_STATUS,
+  accountBlockReason,
+  authenticate,
+  requirePlatformKey,
+  requireRole,
+  forbidden,
+  canAccessStudent,
+  canManageTask,
+  canViewTaskSubmissions,
+  canManageLibraryItem,
+  canUseTemplate
+} = require('./authMiddleware');
+const { createJobQueue } = require('./jobQueue');
+const {
+  MEMBER_ROLES,
+  getUserClassIds,
+  isClassTeacher,
+  getStudentTasks,
+  isTaskVisibleToStudent,
+  resolveAssignedStudents,
+  validateAssignments,
+  replaceTaskAssignments
+} = require('./classService');
+const {
+  normalizeLatePolicy,
+  normalizeMaxResubmissions,
+  evaluateDeadline,
+  remainingSubmissions,
+  applyLatePenalty,
+  recordSubmission,
+  getSubmissionVersion,
+  loadTaskSubmissions
+} = require('./submissionService');
+const { DEFAULT_LINK_TTL_SECONDS, createStorage } = require('./storageService');
+const {
+  DEFAULT_THRESHOLDS,
+  parseAnalyticsOptions,
+  effectiveAssessment,
+  loadGradedSubmissions,
+  buildStudentAnalytics
+} = require('./analyticsService');
+const {
+  resolveClassScope,
+  getTaskDistribution,
+  getSkillAverages,
+  getTaskCompletion,
+  getClassComparison,
+  getAtRiskStudents
+} = require('./dashboardService');
+const {
+  MAX_FILE_SIZE_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  FILE_FIELDS,
+  isAllowedType,
+  matchesSignature,
+  saveUploadedFile,
+  resolveSubmissionFiles
+} = require('./fileService');
+const { recentFeedback, renderReportCard } = require('./reportService');
+const {
+  DUPLICATE_MODES,
+  readRosterFile,
+  planRosterImport,
+  applyRosterImport,
+  summarizeRoster
+} = require('./rosterService');
+const {
+  JOIN_CODE_ROLES,
+  schoolSettings,
+  normalizeSchoolSettings,
+  joinCodeState,
+  normalizeJoinCodeInput,
+  createJoinCode,
+  rotateJoinCode,
+  revokeJoinCode,
+  listJoinCodes,
+  findJoinCode,
+  consumeJoinCode
+} = require('./schoolService');
+const {
+  createGuardianCode,
+  findUsableGuardianCode,
+  normalizeRelationship,
+  redeemGuardianCode,
+  isLinked,
+  listGuardianStudents,
+  listStudentGuardians,
+  unlinkGuardian,
+  guardianAccess,
+  buildGuardianTasks
+} = require('./guardianService');
+const {
+  PLAN_STATUS,
+  normalizePlanUpdate,
+  unknownActivityIds,
+  createLearningPlan,
+  getLearningPlan,
+  findActivePlan,
+  planRecommendation,
+  listStudentPlans,
+  updateLearningPlan,
+  setActivityDone,
+  reevaluateLearningPlans
+} = require('./learningPlanService');
+const {
+  DIFFICULTIES,
+  normalizeQuestionInput,
+  searchQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  archiveQuestion,
+  resolveQuestions,
+  normalizeTemplateInput,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  recordTemplateUse
+} = require('./questionBankService');
+const {
+  normalizeQuestions,
+  publicQuestions,
+  normalizeAnswers,
+  needsEssayGrading
+} = require('./questionService');
+const {
+  NOTIFICATION_TYPES,
+  normalizePreferences,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  listNotifications,
+  markNotificationsRead,
+  createEmailChannel,
+  createNotifier,
+  createDeadlineReminders,
+  resetDeadlineReminders
+} = require('./notificationService');
+const {
+  AIQuotaError,
+  schoolQuota,
+  normalizeQuota,
+  getQuotaStatus,
+  getUsageReport,
+  parseUsageQuery,
+  createAIUsage
+} = require('./aiUsageService');
+const { EXPORT_FORMATS, buildTaskGradebook, buildClassGradebook, renderGradebook } = require('./gradebookService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -45,7 +225,8 @@ app.use(cors({
   maxAge: 86400 // 24 hours
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// الملفات ترفع عبر /api/files وليس داخل JSON
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
 
 // ==========================================
 // 📦 Serve Static Files (Frontend)
@@ -56,15 +237,21 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // ==========================================
-// 🔌 Database & AI Setup
+// 🔌 Database, AI & Storage Setup
 // ==========================================
 let supabase;
-let model;
+let ai;
+let aiUsage;
+let storage;
+let emailChannel;
 
 try {
   if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
     throw new Error('❌ SUPABASE_URL and SUPABASE_KEY are required!');
   }
+  if (!process.env.JWT_SECRET) {
+    throw new Error('❌ JWT_SECRET is required!');
+  }
   
   supabase = createClient(
     process.env.SUPABASE_URL,
@@ -72,16 +259,133 @@ try {
   );
   console.log('✅ Supabase connected');
 
-  if (process.env.GOOGLE_AI_KEY) {
-    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_KEY);
-    model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-    console.log('✅ Google AI connected');
+  ai = getAIProvider();
+  if (ai) {
+    aiUsage = createAIUsage(supabase, ai);
+    console.log(`✅ AI provider: ${ai.name} (${ai.model})`);
+  } else {
+    console.warn('⚠️ No AI provider configured: set AI_PROVIDER or GOOGLE_AI_KEY, AI routes will return 503');
+  }
+
+  storage = createStorage(supabase);
+  console.log(`✅ File storage: ${storage.name}`);
+
+  emailChannel = createEmailChannel();
+  if (emailChannel) {
+    console.log(`✅ Email notifications: ${emailChannel.driver}`);
+  } else {
+    console.warn('⚠️ Email notifications disabled: set EMAIL_DRIVER or SMTP_HOST to enable them');
   }
 } catch (error) {
   console.error('❌ Initialization error:', error.message);
   process.exit(1);
 }
 
+const requireAuth = authenticate(supabase);
+
+// ==========================================
+// ⏳ Background Jobs
+// ==========================================
+const GRADE_SUBMISSION_JOB = 'grade-submission';
+const REGRADE_COMPARE_JOB = 'regrade-compare';
+
+const jobQueue = createJobQueue(supabase);
+const notifier = createNotifier(supabase, { jobQueue, channels: [emailChannel] });
+const deadlineReminders = createDeadlineReminders(supabase, notifier);
+
+// الطالب يُبلَّغ عند اعتماد تقييمه، والمعلم عند وصول تقييم آلي ينتظر مراجعته
+async function notifyGraded(assessment) {
+  if (![ASSESSMENT_STATUS.FINAL, ASSESSMENT_STATUS.PENDING_REVIEW].includes(assessment.status)) return;
+
+  const { data: submission } = await supabase
+    .from('submissions')
+    .select('id, student_id, tasks(id, title, teacher_id), student:users!submissions_student_id_fkey(full_name)')
+    .eq('id', assessment.submission_id)
+    .maybeSingle();
+
+  if (!submission?.tasks) return;
+  const data = { task_id: submission.tasks.id, task_title: submission.tasks.title, submission_id: submission.id };
+
+  if (assessment.status === ASSESSMENT_STATUS.FINAL) {
+    const score = assessment.overall_score === null || assessment.overall_score === undefined
+      ? null
+      : parseFloat(assessment.overall_score);
+    await notifier.notify([submission.student_id], NOTIFICATION_TYPES.GRADING_COMPLETED, { ...data, score });
+  } else {
+    await notifier.notify([submission.tasks.teacher_id], NOTIFICATION_TYPES.REVIEW_REQUIRED, {
+      ...data,
+      student_name: submission.student?.full_name || ''
+    });
+  }
+}
+
+// بعد حفظ أي تقييم أو مراجعته: الإشعارات، ثم تحديث خطط التعلم إذا اعتُمد.
+// الفشل هنا لا يلغي التقييم المحفوظ
+async function afterAssessment(assessment) {
+  await notifyGraded(assessment);
+  if (assessment.status !== ASSESSMENT_STATUS.FINAL) return;
+
+  try {
+    await reevaluateLearningPlans(supabase, assessment);
+  } catch (error) {
+    console.error('❌ Learning plan re-evaluation failed:', error.message);
+  }
+}
+
+// الاستخدام يُحسب على مدرسة المهمة ومن أضافها للطابور، و endpoint المسار الذي أضافها
+jobQueue.register(GRADE_SUBMISSION_JOB, async ({ submissionId, review, version, endpoint = GRADE_SUBMISSION_JOB }, job) => {
+  const provider = aiUsage?.forContext({ schoolId: job.school_id, userId: job.created_by, endpoint });
+  const { assessment, grading } = await gradeSubmissionById(supabase, submissionId, { review, version, provider });
+  await afterAssessment(assessment);
+  return { assessment_id: assessment.id, status: assessment.status, overall_score: grading.overall_score };
+});
+
+// إعادة تقييم حلول سابقة بنسخة قالب أخرى بدون حفظ، والتقرير في نتيجة المهمة (GET /api/jobs/:jobId).
+// فشل حل واحد لا يوقف البقية، أما تجاوز الحد فيوقف الباقي لأنه سيفشل أيضاً.
+// الاستجابات المخزنة لا تُستخدم، وإلا أعادت نفس نتيجة التقييم السابق بنفس النسخة بانحراف صفري
+jobQueue.register(REGRADE_COMPARE_JOB, async ({ submissionIds, promptVersion }, job) => {
+  const provider = aiUsage?.forContext({
+    schoolId: job.school_id,
+    userId: job.created_by,
+    endpoint: 'regrade-compare',
+    cache: false
+  });
+  const comparisons = [];
+  const failed = [];
+  let skipped = 0;
+
+  for (const [i, submissionId] of submissionIds.entries()) {
+    try {
+      const comparison = await regradeAndCompare(supabase, submissionId, { provider, promptVersion });
+      if (comparison) comparisons.push(comparison);
+      else skipped++;
+    } catch (error) {
+      if (error instanceof AIQuotaError) {
+        submissionIds.slice(i).forEach(id => failed.push({ submission_id: id, error: error.message }));
+        break;
+      }
+      failed.push({ submission_id: submissionId, error: error.message });
+    }
+  }
+
+  const skills = await getSchoolSkills(supabase, job.school_id, { includeInactive: true });
+  const byId = new Map(skills.map(skill => [String(skill.id), skill]));
+  const summary = summarizeDrift(comparisons);
+
+  return {
+    prompt_version: promptVersion,
+    compared: comparisons.length,
+    skipped,
+    failed,
+    overall: summary.overall,
+    skills: summary.skills.map(entry => {
+      const skill = byId.get(String(entry.skill_id));
+      return { ...entry, key: skill?.key || null, name_en: skill?.name_en || null, name_ar: skill?.name_ar || null };
+    }),
+    submissions: comparisons
+  };
+});
+
 // ==========================================
 // 🏠 API ROOT
 // ==========================================
@@ -94,7 +398,13 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: '/api/health',
       auth: '/api/auth/*',
+      schools: '/api/schools/*',
+      guardian: '/api/guardian/*',
+      notifications: '/api/notifications/*',
+      learningPlans: '/api/learning-plans/*',
       tasks: '/api/tasks/*',
+      questionBank: '/api/question-bank/*',
+      taskTemplates: '/api/task-templates/*',
       submissions: '/api/submissions/*',
       performance: '/api/performance/*',
       ai: '/api/ai/*'
@@ -107,483 +417,3441 @@ app.get('/api/health', (req, res) => {
     status: 'OK', 
     message: 'Server is running', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    ai: ai ? { provider: ai.name, model: ai.model } : null
   });
 });
 
 // ==========================================
 // 🏫 SCHOOLS API
 // ==========================================
-app.post('/api/schools', async (req, res) => {
+const SCHOOL_FIELDS = 'id, name, settings, ai_quota, is_active, created_at, updated_at';
+const SCHOOL_USER_FIELDS = 'id, email, full_name, role, status, created_at, last_login, approved_at, deactivated_at';
+
+function presentSchool(school) {
+  return { ...school, settings: schoolSettings(school), ai_quota: schoolQuota(school) };
+}
+
+// تقرير استخدام الذكاء الاصطناعي للمدرسة مع حدودها واستخدامها الحالي.
+// query: from, to (ISO)، group_by: endpoint | user | day
+async function sendAIUsageReport(req, res, school) {
+  const { options, errors } = parseUsageQuery(req.query);
+  if (errors.length) {
+    return res.status(400).json({ success: false, error: 'إعدادات التقرير غير صحيحة', details: errors });
+  }
+
+  const usage = await getUsageReport(supabase, school, options);
+  if (options.groupBy === 'user') {
+    const ids = usage.groups.map(group => group.key).filter(Boolean);
+    const { data: users } = ids.length
+      ? await supabase.from('users').select('id, full_name, role').in('id', ids)
+      : { data: [] };
+    const byId = new Map((users || []).map(user => [String(user.id), user]));
+    usage.groups = usage.groups.map(group => ({ ...group, user: byId.get(String(group.key)) || null }));
+  }
+
+  res.json({ success: true, usage, quota: await getQuotaStatus(supabase, school) });
+}
+
+async function findSchoolUser(userId, schoolId) {
+  const { data } = await supabase
+    .from('users')
+    .select(SCHOOL_USER_FIELDS)
+    .eq('id', userId)
+    .eq('school_id', schoolId)
+    .maybeSingle();
+
+  return data;
+}
+
+async function updateSchoolUser(userId, fields) {
+  const { data, error } = await supabase
+    .from('users')
+    .update(fields)
+    .eq('id', userId)
+    .select(SCHOOL_USER_FIELDS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// ------------------------------------------
+// مسارات مشغّل المنصة (X-Platform-Key)
+// ------------------------------------------
+// إنشاء مدرسة مع حساب مديرها الأول: { name, admin: { email, full_name }, settings?, code? }
+// المدير يحدد كلمة مروره عبر رابط الدعوة، و code اختياري ليصبح كود الطلاب
+app.post('/api/schools', requirePlatformKey, async (req, res) => {
   try {
     const { name, code } = req.body;
-    
-    if (!name || !code) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'اسم المدرسة والكود مطلوبان' 
+    const admin = req.body.admin ? { ...req.body.admin, email: auth.normalizeEmail(req.body.admin.email) } : null;
+
+    if (!name || !admin?.email || !admin?.full_name) {
+      return res.status(400).json({
+        success: false,
+        error: 'اسم المدرسة وبيانات المدير مطلوبة'
       });
     }
 
+    const { settings, errors } = normalizeSchoolSettings(req.body.settings || {});
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'إعدادات المدرسة غير صحيحة', details: errors });
+    }
+
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', admin.email)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'البريد الإلكتروني مسجل مسبقاً' });
+    }
+
+    const { data: school, error } = await supabase
+      .from('schools')
+      .insert({ name, settings, is_active: true })
+      .select(SCHOOL_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    const { data: adminUser, error: adminError } = await supabase
+      .from('users')
+      .insert({
+        email: admin.email,
+        full_name: admin.full_name,
+        role: ROLES.ADMIN,
+        school_id: school.id,
+        status: USER_STATUS.ACTIVE
+      })
+      .select(SCHOOL_USER_FIELDS)
+      .single();
+
+    if (adminError) throw adminError;
+
+    const joinCodes = await Promise.all(JOIN_CODE_ROLES.map(role => createJoinCode(supabase, school.id, {
+      role,
+      code: role === ROLES.STUDENT ? code : null
+    })));
+
+    const invitations = await auth.createInvitations(supabase, [adminUser.id], { schoolId: school.id, invitedBy: null });
+    const { token, expires_at } = invitations.get(String(adminUser.id));
+
+    console.log(`🏫 School created: ${school.name}`);
+    res.json({
+      success: true,
+      school: presentSchool(school),
+      admin: adminUser,
+      invitation: { invite_url: auth.invitationLink(token), expires_at },
+      join_codes: joinCodes
+    });
+  } catch (error) {
+    console.error('❌ School creation failed:', error.message);
+    res.status(500).json({ success: false, error: 'فشل في إنشاء المدرسة' });
+  }
+});
+
+app.get('/api/schools', requirePlatformKey, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('schools')
+      .select(SCHOOL_FIELDS)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json({ success: true, schools: (data || []).map(presentSchool) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب المدارس' });
+  }
+});
+
+// ------------------------------------------
+// مسارات مدير المدرسة (مدرسته فقط)
+// ------------------------------------------
+app.get('/api/schools/current', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: school } = await supabase
+      .from('schools')
+      .select(SCHOOL_FIELDS)
+      .eq('id', req.user.school_id)
+      .single();
+
+    if (!school) {
+      return res.status(404).json({ success: false, error: 'المدرسة غير موجودة' });
+    }
+
+    res.json({ success: true, school: presentSchool(school) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب بيانات المدرسة' });
+  }
+});
+
+// { name?, settings? } والإعدادات تعديل جزئي على الحالية
+app.patch('/api/schools/current', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: school } = await supabase
+      .from('schools')
+      .select(SCHOOL_FIELDS)
+      .eq('id', req.user.school_id)
+      .single();
+
+    if (!school) {
+      return res.status(404).json({ success: false, error: 'المدرسة غير موجودة' });
+    }
+
+    const updates = {};
+    const errors = [];
+
+    if (req.body.name !== undefined) {
+      if (typeof req.body.name !== 'string' || !req.body.name.trim()) {
+        errors.push('name is required');
+      } else {
+        updates.name = req.body.name.trim();
+      }
+    }
+
+    if (req.body.settings !== undefined) {
+      const result = normalizeSchoolSettings(req.body.settings, school.settings);
+      errors.push(...result.errors);
+      updates.settings = result.settings;
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات المدرسة غير صحيحة', details: errors });
+    }
+
     const { data, error } = await supabase
       .from('schools')
-      .insert({ name, code })
-      .select()
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', school.id)
+      .select(SCHOOL_FIELDS)
       .single();
-    
+
     if (error) throw error;
-    res.json({ success: true, school: data });
+    res.json({ success: true, school: presentSchool(data) });
   } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'فشل في تحديث بيانات المدرسة' });
+  }
+});
+
+app.get('/api/schools/current/ai-usage', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: school } = await supabase
+      .from('schools')
+      .select('id, ai_quota')
+      .eq('id', req.user.school_id)
+      .single();
+
+    if (!school) {
+      return res.status(404).json({ success: false, error: 'المدرسة غير موجودة' });
+    }
+
+    await sendAIUsageReport(req, res, school);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل تقرير الاستخدام' });
+  }
+});
+
+// الأكواد غير الملغاة مع حالتها (active | expired | exhausted)، و include_revoked=true لعرض الكل
+app.get('/api/schools/current/join-codes', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const joinCodes = await listJoinCodes(supabase, req.user.school_id, {
+      includeRevoked: req.query.include_revoked === 'true'
+    });
+    res.json({ success: true, join_codes: joinCodes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب أكواد الانضمام' });
+  }
+});
+
+// كود جديد لدور واحد يلغي أكواده الفعالة: { role, expires_in_days | expires_at, max_uses }
+app.post('/api/schools/current/join-codes/rotate', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { options, errors } = normalizeJoinCodeInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات الكود غير صحيحة', details: errors });
+    }
+
+    const joinCode = await rotateJoinCode(supabase, req.user.school_id, { ...options, createdBy: req.user.id });
+    res.json({ success: true, join_code: { ...joinCode, state: joinCodeState(joinCode) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء كود الانضمام' });
+  }
+});
+
+// إيقاف كود فوراً، والحسابات المسجلة به تبقى كما هي
+app.delete('/api/schools/current/join-codes/:codeId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const joinCode = await revokeJoinCode(supabase, req.user.school_id, req.params.codeId);
+    if (!joinCode) {
+      return res.status(404).json({ success: false, error: 'الكود غير موجود' });
+    }
+
+    res.json({ success: true, join_code: { ...joinCode, state: joinCodeState(joinCode) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إيقاف كود الانضمام' });
+  }
+});
+
+// مستخدمو المدرسة، مع role و status اختياريين (status=pending لطلبات المعلمين)
+app.get('/api/schools/current/users', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { role, status } = req.query;
+    if (role && !Object.values(ROLES).includes(role)) {
+      return res.status(400).json({ success: false, error: 'الدور غير صحيح' });
+    }
+    if (status && !Object.values(USER_STATUS).includes(status)) {
+      return res.status(400).json({ success: false, error: 'حالة الحساب غير صحيحة' });
+    }
+
+    let query = supabase
+      .from('users')
+      .select(SCHOOL_USER_FIELDS)
+      .eq('school_id', req.user.school_id)
+      .order('created_at', { ascending: false });
+    if (role) query = query.eq('role', role);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ success: true, users: data || [] });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب المستخدمين' });
+  }
+});
+
+// الموافقة على معلم سجّل بنفسه
+app.post('/api/schools/current/users/:userId/approve', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const user = await findSchoolUser(req.params.userId, req.user.school_id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'المستخدم غير موجود' });
+    }
+    if (user.status !== USER_STATUS.PENDING) {
+      return res.status(409).json({ success: false, error: 'الحساب ليس بانتظار الموافقة' });
+    }
+
+    const approved = await updateSchoolUser(user.id, {
+      status: USER_STATUS.ACTIVE,
+      approved_by: req.user.id,
+      approved_at: new Date().toISOString()
+    });
+    res.json({ success: true, user: approved });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في الموافقة على الحساب' });
+  }
+});
+
+// إيقاف حساب (ويُستخدم أيضاً لرفض طلب معلم): يلغي جلساته ودعواته فوراً
+app.post('/api/schools/current/users/:userId/deactivate', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (String(req.params.userId) === String(req.user.id)) {
+      return res.status(400).json({ success: false, error: 'لا يمكنك إيقاف حسابك' });
+    }
+
+    const user = await findSchoolUser(req.params.userId, req.user.school_id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'المستخدم غير موجود' });
+    }
+    if (user.status === USER_STATUS.DEACTIVATED) {
+      return res.status(409).json({ success: false, error: 'الحساب موقوف مسبقاً' });
+    }
+
+    const deactivated = await updateSchoolUser(user.id, {
+      status: USER_STATUS.DEACTIVATED,
+      deactivated_at: new Date().toISOString()
+    });
+    await auth.revokeUserSessions(supabase, user.id);
+
+    console.log(`🚫 User deactivated: ${user.email}`);
+    res.json({ success: true, user: deactivated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إيقاف الحساب' });
+  }
+});
+
+app.post('/api/schools/current/users/:userId/reactivate', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const user = await findSchoolUser(req.params.userId, req.user.school_id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'المستخدم غير موجود' });
+    }
+    if (user.status !== USER_STATUS.DEACTIVATED) {
+      return res.status(409).json({ success: false, error: 'الحساب ليس موقوفاً' });
+    }
+
+    const reactivated = await updateSchoolUser(user.id, { status: USER_STATUS.ACTIVE, deactivated_at: null });
+    res.json({ success: true, user: reactivated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إعادة تفعيل الحساب' });
+  }
+});
+
+// ترقية معلم إلى مدير أو العكس: { role: teacher | admin }
+app.patch('/api/schools/current/users/:userId/role', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: 'الدور غير صحيح' });
+    }
+    if (String(req.params.userId) === String(req.user.id)) {
+      return res.status(400).json({ success: false, error: 'لا يمكنك تغيير دورك' });
+    }
+
+    const user = await findSchoolUser(req.params.userId, req.user.school_id);
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      return res.status(404).json({ success: false, error: 'المستخدم غير موجود' });
+    }
+
+    const updated = await updateSchoolUser(user.id, { role });
+    res.json({ success: true, user: updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تغيير الدور' });
+  }
+});
+
+// تعديل مدرسة أو إعادة تفعيلها من مشغّل المنصة: { name?, is_active?, settings?, ai_quota? }
+// ai_quota تعديل جزئي على حدود الذكاء الاصطناعي، و null يعيدها للحدود الافتراضية
+app.patch('/api/schools/:schoolId', requirePlatformKey, async (req, res) => {
+  try {
+    const { data: school } = await supabase
+      .from('schools')
+      .select(SCHOOL_FIELDS)
+      .eq('id', req.params.schoolId)
+      .maybeSingle();
+
+    if (!school) {
+      return res.status(404).json({ success: false, error: 'المدرسة غير موجودة' });
+    }
+
+    const updates = {};
+    const errors = [];
+
+    if (req.body.name !== undefined) {
+      if (typeof req.body.name !== 'string' || !req.body.name.trim()) errors.push('name is required');
+      else updates.name = req.body.name.trim();
+    }
+    if (req.body.is_active !== undefined) {
+      if (typeof req.body.is_active !== 'boolean') errors.push('is_active must be true or false');
+      else updates.is_active = req.body.is_active;
+    }
+    if (req.body.settings !== undefined) {
+      const result = normalizeSchoolSettings(req.body.settings, school.settings);
+      errors.push(...result.errors);
+      updates.settings = result.settings;
+    }
+    if (req.body.ai_quota !== undefined) {
+      const result = normalizeQuota(req.body.ai_quota, school.ai_quota);
+      errors.push(...result.errors);
+      updates.ai_quota = result.quota;
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات المدرسة غير صحيحة', details: errors });
+    }
+
+    const { data, error } = await supabase
+      .from('schools')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', school.id)
+      .select(SCHOOL_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, school: presentSchool(data) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث المدرسة' });
+  }
+});
+
+app.get('/api/schools/:schoolId/ai-usage', requirePlatformKey, async (req, res) => {
+  try {
+    const { data: school } = await supabase
+      .from('schools')
+      .select('id, ai_quota')
+      .eq('id', req.params.schoolId)
+      .maybeSingle();
+
+    if (!school) {
+      return res.status(404).json({ success: false, error: 'المدرسة غير موجودة' });
+    }
+
+    await sendAIUsageReport(req, res, school);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل تقرير الاستخدام' });
+  }
+});
+
+// الحذف يعطل المدرسة فقط: لا دخول ولا تسجيل، وتبقى بياناتها محفوظة
+app.delete('/api/schools/:schoolId', requirePlatformKey, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('schools')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.schoolId)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'المدرسة غير موجودة' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تعطيل المدرسة' });
   }
 });
 
 // ==========================================
 // 🔐 AUTH API
 // ==========================================
+// الدور يحدده كود الانضمام (كود للطلاب وآخر للمعلمين)، و role اختياري
+// وإن أُرسل يجب أن يطابق الكود. المعلم ينتظر موافقة المدير إذا اشترطتها المدرسة
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { email, password, full_name, role, school_code } = req.body;
+    const { password, full_name, role, school_code } = req.body;
+    const email = auth.normalizeEmail(req.body.email);
 
-    if (!email || !full_name || !role || !school_code) {
+    if (!email || !password || !full_name || !school_code) {
       return res.status(400).json({ 
         success: false, 
         error: 'جميع الحقول مطلوبة' 
       });
     }
 
-    const { data: school } = await supabase
-      .from('schools')
-      .select('id, name')
-      .eq('code', school_code)
-      .single();
+    // حسابات المدير وولي الأمر لا تُنشأ بالتسجيل الذاتي
+    if (role !== undefined && !JOIN_CODE_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: 'الدور غير صحيح' });
+    }
+
+    const passwordError = auth.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, error: passwordError });
+    }
+
+    const joinCode = await findJoinCode(supabase, school_code);
+    const school = joinCode?.schools;
+
+    if (!joinCode || !school || !school.is_active || joinCodeState(joinCode) === 'revoked') {
+      return res.status(404).json({ success: false, error: 'كود المدرسة غير صحيح' });
+    }
+    if (joinCodeState(joinCode) !== 'active') {
+      return res.status(410).json({ success: false, error: 'انتهت صلاحية كود المدرسة، اطلب كوداً جديداً من إدارة المدرسة' });
+    }
+    if (role && role !== joinCode.role) {
+      return res.status(403).json({ success: false, error: 'هذا الكود لا يسمح بالتسجيل بهذا الدور' });
+    }
+
+    const settings = schoolSettings(school);
+    if (!settings[`allow_${joinCode.role}_registration`]) {
+      return res.status(403).json({ success: false, error: 'التسجيل الذاتي مغلق في هذه المدرسة' });
+    }
+
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'البريد الإلكتروني مسجل مسبقاً' });
+    }
+
+    const status = joinCode.role === ROLES.TEACHER && settings.require_teacher_approval
+      ? USER_STATUS.PENDING
+      : USER_STATUS.ACTIVE;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .insert({
+        email,
+        full_name,
+        role: joinCode.role,
+        school_id: school.id,
+        status,
+        password_hash: await auth.hashPassword(password)
+      })
+      .select('*, schools(name)')
+      .single();
+
+    if (error) throw error;
+
+    // الاستخدام يُحسب بعد إنشاء الحساب فلا يضيع إذا فشل الإنشاء،
+    // وإذا استُنفد الكود في طلب متزامن نحذف الحساب
+    if (!(await consumeJoinCode(supabase, joinCode))) {
+      await supabase.from('users').delete().eq('id', user.id);
+      return res.status(410).json({ success: false, error: 'انتهت صلاحية كود المدرسة، اطلب كوداً جديداً من إدارة المدرسة' });
+    }
+
+    res.json({ success: true, user: auth.sanitizeUser(user), pending_approval: status === USER_STATUS.PENDING });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// تسجيل ولي أمر برمز ربط يصدره المعلم أو المدير لطالب معين.
+// ولي الأمر المسجل مسبقاً يضيف أبناءه الآخرين عبر /api/guardian/links
+app.post('/api/auth/register-guardian', async (req, res) => {
+  try {
+    const { password, full_name, link_code } = req.body;
+    const email = auth.normalizeEmail(req.body.email);
+
+    if (!email || !password || !full_name || !link_code) {
+      return res.status(400).json({ success: false, error: 'جميع الحقول مطلوبة' });
+    }
+
+    const passwordError = auth.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, error: passwordError });
+    }
+
+    const { value: relationship, error: relationshipError } = normalizeRelationship(req.body.relationship);
+    if (relationshipError) {
+      return res.status(400).json({ success: false, error: 'صلة القرابة غير صحيحة', details: [relationshipError] });
+    }
+
+    const linkCode = await findUsableGuardianCode(supabase, link_code);
+    if (!linkCode) {
+      return res.status(400).json({ success: false, error: 'رمز الربط غير صالح أو منتهي الصلاحية' });
+    }
+
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ success: false, error: 'البريد الإلكتروني مسجل مسبقاً، سجّل الدخول وأضف الطالب من حسابك' });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .insert({
+        email,
+        full_name,
+        role: ROLES.PARENT,
+        school_id: linkCode.school_id,
+        status: USER_STATUS.ACTIVE,
+        password_hash: await auth.hashPassword(password)
+      })
+      .select('*, schools(name)')
+      .single();
+
+    if (error) throw error;
+
+    // الرمز استُخدم في طلب متزامن: لا نترك حساباً بلا طالب
+    const link = await redeemGuardianCode(supabase, linkCode, user.id, relationship);
+    if (!link) {
+      await supabase.from('users').delete().eq('id', user.id);
+      return res.status(400).json({ success: false, error: 'رمز الربط غير صالح أو منتهي الصلاحية' });
+    }
+
+    res.json({
+      success: true,
+      user: auth.sanitizeUser(user),
+      student: { id: linkCode.student.id, full_name: linkCode.student.full_name }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تسجيل ولي الأمر' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = auth.normalizeEmail(req.body.email);
+    
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'البريد الإلكتروني وكلمة المرور مطلوبان' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*, schools(name, is_active)')
+      .eq('email', email)
+      .single();
+
+    // نفس الرسالة للحالتين حتى لا نكشف وجود البريد
+    const valid = user && await auth.verifyPassword(password, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ success: false, error: 'البريد الإلكتروني أو كلمة المرور غير صحيحة' });
+    }
+
+    const blocked = accountBlockReason(user);
+    if (blocked) {
+      return res.status(403).json({ success: false, error: blocked });
+    }
+    
+    await supabase
+      .from('users')
+      .update({ last_login: new Date().toISOString() })
+      .eq('id', user.id);
+
+    const session = await auth.issueSession(supabase, user);
+    res.json({ success: true, user: auth.sanitizeUser(user), ...session });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'حدث خطأ في تسجيل الدخول' });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const record = await auth.findValidRefreshToken(supabase, refresh_token);
+    if (!record) {
+      return res.status(401).json({ success: false, error: 'الجلسة منتهية، يرجى تسجيل الدخول مجدداً' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, role, school_id, status, schools(is_active)')
+      .eq('id', record.user_id)
+      .single();
+
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'المستخدم غير موجود' });
+    }
+
+    const blocked = accountBlockReason(user);
+    if (blocked) {
+      return res.status(401).json({ success: false, error: blocked });
+    }
+
+    // كل توكن تجديد يُستخدم مرة واحدة فقط: إذا سبقنا طلب آخر بنفس التوكن نرفض
+    const revoked = await auth.revokeRefreshToken(supabase, refresh_token);
+    if (!revoked) {
+      return res.status(401).json({ success: false, error: 'الجلسة منتهية، يرجى تسجيل الدخول مجدداً' });
+    }
+
+    const session = await auth.issueSession(supabase, user);
+
+    res.json({ success: true, ...session });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تجديد الجلسة' });
+  }
+});
+
+// قبول دعوة حساب مستورد: تحديد كلمة المرور ثم بدء الجلسة
+app.post('/api/auth/accept-invitation', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, error: 'رمز الدعوة وكلمة المرور مطلوبان' });
+    }
+
+    const passwordError = auth.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, error: passwordError });
+    }
+
+    const user = await auth.acceptInvitation(supabase, token, password);
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'الدعوة غير صالحة أو منتهية الصلاحية' });
+    }
+
+    const blocked = accountBlockReason(user);
+    if (blocked) {
+      return res.status(403).json({ success: false, error: blocked });
+    }
+
+    const session = await auth.issueSession(supabase, user);
+    res.json({ success: true, user: auth.sanitizeUser(user), ...session });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في قبول الدعوة' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ success: false, error: 'توكن التجديد مطلوب' });
+    }
+
+    await auth.revokeRefreshToken(supabase, refresh_token);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تسجيل الخروج' });
+  }
+});
+
+// ==========================================
+// 🧩 SKILLS API
+// ==========================================
+// إطار المهارات للمدرسة على شكل شجرة (مهارات رئيسية وفرعية)
+app.get('/api/skills', requireAuth, async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true' && req.user.role === ROLES.ADMIN;
+    const skills = await getSchoolSkills(supabase, req.user.school_id, { includeInactive });
+
+    res.json({
+      success: true,
+      is_default: skills.length > 0 && skills.every(skill => !skill.school_id),
+      skills: buildSkillTree(skills)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل المهارات' });
+  }
+});
+
+// المهارة الأم يجب أن تكون مهارة رئيسية في نفس المدرسة (مستوى واحد من التفرع)
+async function validateParentSkill(parentId, schoolId) {
+  if (!parentId) return null;
+
+  const { data: parent } = await supabase
+    .from('skills')
+    .select('id, school_id, parent_id')
+    .eq('id', parentId)
+    .single();
+
+  if (!parent || parent.school_id !== schoolId) return 'المهارة الأم غير موجودة';
+  if (parent.parent_id) return 'لا يمكن إضافة مهارة فرعية تحت مهارة فرعية';
+  return null;
+}
+
+// المدرسة تعدل إطارها الخاص فقط، والإطار الافتراضي يُنسخ أولاً عبر import-defaults
+async function findSchoolSkill(skillId, schoolId) {
+  const { data: skill } = await supabase
+    .from('skills')
+    .select(SKILL_FIELDS)
+    .eq('id', skillId)
+    .single();
+
+  return skill && skill.school_id === schoolId ? skill : null;
+}
+
+app.post('/api/skills/import-defaults', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: existing } = await supabase
+      .from('skills')
+      .select('id')
+      .eq('school_id', req.user.school_id)
+      .limit(1);
+
+    if (existing?.length) {
+      return res.status(409).json({ success: false, error: 'المدرسة لديها إطار مهارات بالفعل' });
+    }
+
+    const skills = await importDefaultSkills(supabase, req.user.school_id);
+    res.json({ success: true, skills: buildSkillTree(skills) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في نسخ المهارات الافتراضية' });
+  }
+});
+
+app.post('/api/skills', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { skill, errors } = normalizeSkillInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات المهارة غير صحيحة', details: errors });
+    }
+
+    const parentError = await validateParentSkill(skill.parent_id, req.user.school_id);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
+
+    const { data: duplicate } = await supabase
+      .from('skills')
+      .select('id')
+      .eq('school_id', req.user.school_id)
+      .eq('key', skill.key)
+      .maybeSingle();
+
+    if (duplicate) {
+      return res.status(409).json({ success: false, error: 'مفتاح المهارة مستخدم بالفعل' });
+    }
+
+    const { data, error } = await supabase
+      .from('skills')
+      .insert({ ...skill, school_id: req.user.school_id, is_active: skill.is_active ?? true })
+      .select(SKILL_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, skill: data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء المهارة' });
+  }
+});
+
+app.patch('/api/skills/:skillId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existing = await findSchoolSkill(req.params.skillId, req.user.school_id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'المهارة غير موجودة' });
+    }
+
+    const { skill, errors } = normalizeSkillInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات المهارة غير صحيحة', details: errors });
+    }
+
+    if (skill.parent_id !== undefined) {
+      if (String(skill.parent_id) === String(existing.id)) {
+        return res.status(400).json({ success: false, error: 'لا يمكن أن تكون المهارة أماً لنفسها' });
+      }
+      const parentError = await validateParentSkill(skill.parent_id, req.user.school_id);
+      if (parentError) {
+        return res.status(400).json({ success: false, error: parentError });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('skills')
+      .update(skill)
+      .eq('id', existing.id)
+      .select(SKILL_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, skill: data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث المهارة' });
+  }
+});
+
+// الحذف يعطل المهارة ومهاراتها الفرعية فقط، حتى تبقى التقييمات السابقة مرتبطة بها
+app.delete('/api/skills/:skillId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const existing = await findSchoolSkill(req.params.skillId, req.user.school_id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'المهارة غير موجودة' });
+    }
+
+    await supabase.from('skills').update({ is_active: false }).eq('id', existing.id);
+    await supabase.from('skills').update({ is_active: false }).eq('parent_id', existing.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في حذف المهارة' });
+  }
+});
+
+// ==========================================
+// 🏫 CLASSES API
+// ==========================================
+const CLASS_FIELDS = 'id, school_id, name, grade_level, section, academic_year, is_active, created_at';
+
+async function findSchoolClass(classId, schoolId) {
+  const { data } = await supabase
+    .from('classes')
+    .select(CLASS_FIELDS)
+    .eq('id', classId)
+    .eq('school_id', schoolId)
+    .maybeSingle();
+
+  return data;
+}
+
+// المدير يدير كل فصول مدرسته، والمعلم يدير الفصول التي يدرّسها فقط
+async function canManageClass(user, cls) {
+  if (user.role === ROLES.ADMIN) return true;
+  return user.role === ROLES.TEACHER && isClassTeacher(supabase, cls.id, user.id);
+}
+
+function pickClassFields(body) {
+  const fields = {};
+  ['name', 'grade_level', 'section', 'academic_year'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field] === '' ? null : body[field];
+  });
+  return fields;
+}
+
+// المدير يرى كل فصول المدرسة، والمعلم والطالب يريان فصولهما
+app.get('/api/classes', requireAuth, async (req, res) => {
+  try {
+    let query = supabase
+      .from('classes')
+      .select(CLASS_FIELDS)
+      .eq('school_id', req.user.school_id)
+      .order('name', { ascending: true });
+
+    if (req.user.role !== ROLES.ADMIN) {
+      const classIds = await getUserClassIds(supabase, req.user.id);
+      if (classIds.length === 0) return res.json({ success: true, classes: [] });
+      query = query.in('id', classIds).eq('is_active', true);
+    } else if (req.query.include_inactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ success: true, classes: data || [] });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب الفصول' });
+  }
+});
+
+app.post('/api/classes', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const fields = pickClassFields(req.body);
+    if (!fields.name || typeof fields.name !== 'string') {
+      return res.status(400).json({ success: false, error: 'اسم الفصل مطلوب' });
+    }
+
+    const { data: cls, error } = await supabase
+      .from('classes')
+      .insert({ ...fields, school_id: req.user.school_id, is_active: true })
+      .select(CLASS_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    // المعلم الذي ينشئ الفصل يصبح معلمه
+    if (req.user.role === ROLES.TEACHER) {
+      await supabase
+        .from('class_members')
+        .insert({ class_id: cls.id, user_id: req.user.id, role: ROLES.TEACHER });
+    }
+
+    res.json({ success: true, class: cls });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء الفصل' });
+  }
+});
+
+app.get('/api/classes/:classId', requireAuth, async (req, res) => {
+  try {
+    const cls = await findSchoolClass(req.params.classId, req.user.school_id);
+    if (!cls) {
+      return res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    }
+
+    if (req.user.role !== ROLES.ADMIN) {
+      const classIds = (await getUserClassIds(supabase, req.user.id)).map(String);
+      if (!classIds.includes(String(cls.id))) return forbidden(res);
+    }
+
+    const { data: members, error } = await supabase
+      .from('class_members')
+      .select('user_id, role, users(id, email, full_name)')
+      .eq('class_id', cls.id);
+
+    if (error) throw error;
+
+    const toMember = m => ({ id: m.user_id, email: m.users?.email, full_name: m.users?.full_name });
+    const rows = members || [];
+
+    res.json({
+      success: true,
+      class: {
+        ...cls,
+        teachers: rows.filter(m => m.role === ROLES.TEACHER).map(toMember),
+        // الطلاب لا يرون بيانات زملائهم
+        students: req.user.role === ROLES.STUDENT ? [] : rows.filter(m => m.role === ROLES.STUDENT).map(toMember)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب الفصل' });
+  }
+});
+
+app.patch('/api/classes/:classId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const cls = await findSchoolClass(req.params.classId, req.user.school_id);
+    if (!cls) {
+      return res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    }
+
+    if (!await canManageClass(req.user, cls)) {
+      return forbidden(res);
+    }
+
+    const fields = pickClassFields(req.body);
+    if (fields.name !== undefined && (!fields.name || typeof fields.name !== 'string')) {
+      return res.status(400).json({ success: false, error: 'اسم الفصل مطلوب' });
+    }
+
+    const { data, error } = await supabase
+      .from('classes')
+      .update(fields)
+      .eq('id', cls.id)
+      .select(CLASS_FIELDS)
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, class: data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث الفصل' });
+  }
+});
+
+// الحذف يعطل الفصل فقط، حتى تبقى المهام والحلول السابقة مرتبطة به
+app.delete('/api/classes/:classId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const cls = await findSchoolClass(req.params.classId, req.user.school_id);
+    if (!cls) {
+      return res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    }
+
+    await supabase.from('classes').update({ is_active: false }).eq('id', cls.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في حذف الفصل' });
+  }
+});
+
+// تسجيل مستخدمين في الفصل: { user_ids: [...], role: student | teacher }
+// المعلم يسجل الطلاب فقط، وتعيين المعلمين من صلاحية المدير
+app.post('/api/classes/:classId/members', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { user_ids: userIds, role = ROLES.STUDENT } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'user_ids مطلوب' });
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: 'الدور غير صحيح' });
+    }
+
+    const cls = await findSchoolClass(req.params.classId, req.user.school_id);
+    if (!cls || cls.is_active === false) {
+      return res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    }
+
+    if (!await canManageClass(req.user, cls) || (role === ROLES.TEACHER && req.user.role !== ROLES.ADMIN)) {
+      return forbidden(res);
+    }
+
+    const { data: users } = await supabase
+      .from('users')
+      .select('id, role, school_id')
+      .in('id', userIds);
+
+    const found = new Map((users || []).map(u => [String(u.id), u]));
+    const errors = userIds
+      .filter(id => {
+        const user = found.get(String(id));
+        return !user || user.school_id !== req.user.school_id || user.role !== role;
+      })
+      .map(id => `user ${id} is not a ${role} in this school`);
+
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بعض المستخدمين غير صالحين للتسجيل', details: errors });
+    }
+
+    const { data: existing } = await supabase
+      .from('class_members')
+      .select('user_id')
+      .eq('class_id', cls.id)
+      .in('user_id', userIds);
+
+    const enrolled = new Set((existing || []).map(m => String(m.user_id)));
+    const toAdd = [...new Set(userIds.map(String))].filter(id => !enrolled.has(id));
+
+    if (toAdd.length) {
+      const { error } = await supabase
+        .from('class_members')
+        .insert(toAdd.map(userId => ({ class_id: cls.id, user_id: userId, role })));
+      if (error) throw error;
+    }
+
+    res.json({ success: true, added: toAdd.length, already_enrolled: userIds.length - toAdd.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تسجيل الأعضاء' });
+  }
+});
+
+app.delete('/api/classes/:classId/members/:userId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const cls = await findSchoolClass(req.params.classId, req.user.school_id);
+    if (!cls) {
+      return res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    }
+
+    if (!await canManageClass(req.user, cls)) {
+      return forbidden(res);
+    }
+
+    const { data: member } = await supabase
+      .from('class_members')
+      .select('user_id, role')
+      .eq('class_id', cls.id)
+      .eq('user_id', req.params.userId)
+      .maybeSingle();
+
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'المستخدم غير مسجل في الفصل' });
+    }
+
+    if (member.role === ROLES.TEACHER && req.user.role !== ROLES.ADMIN) {
+      return forbidden(res);
+    }
+
+    await supabase.from('class_members').delete().eq('class_id', cls.id).eq('user_id', member.user_id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إزالة العضو من الفصل' });
+  }
+});
+
+// ==========================================
+// 👥 ROSTER API
+// ==========================================
+const ROSTER_MAX_FILE_BYTES = parseInt(process.env.ROSTER_MAX_FILE_MB || '5', 10) * 1024 * 1024;
+
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: ROSTER_MAX_FILE_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) return callback(null, true);
+    const error = new Error(`Unsupported roster file ${file.originalname}`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    callback(error);
+  }
+});
+
+const ROSTER_UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [413, `حجم الملف أكبر من المسموح (${ROSTER_MAX_FILE_BYTES / (1024 * 1024)}MB)`],
+  LIMIT_FILE_COUNT: [400, 'يجب إرسال ملف واحد فقط'],
+  LIMIT_UNEXPECTED_FILE: [400, 'يجب إرسال الملف في الحقل file'],
+  UNSUPPORTED_FILE_TYPE: [415, 'نوع الملف غير مسموح (CSV أو XLSX فقط)']
+};
+
+function receiveRoster(req, res, next) {
+  rosterUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    const [status, message] = ROSTER_UPLOAD_ERRORS[error.code] || [400, 'فشل في استلام الملف'];
+    res.status(status).json({ success: false, error: message });
+  });
+}
+
+// روابط الدعوة ترجع في الاستجابة ليرسلها المدير للمستخدمين
+async function inviteUsers(users, admin) {
+  const invitations = await auth.createInvitations(supabase, users.map(u => u.id), {
+    schoolId: admin.school_id,
+    invitedBy: admin.id
+  });
+
+  return users.map(user => {
+    const { token, expires_at } = invitations.get(String(user.id));
+    return { user_id: user.id, email: user.email, invite_url: auth.invitationLink(token), expires_at };
+  });
+}
+
+// استيراد قائمة الطلاب والمعلمين (multipart: file)
+// الحقول: dry_run (true للمعاينة فقط)، on_duplicate (skip | update)، send_invitations (false لعدم إنشاء دعوات)
+app.post('/api/roster/import', requireAuth, requireRole(ROLES.ADMIN), receiveRoster, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'لم يتم إرسال ملف القائمة' });
+    }
+
+    const dryRun = String(req.body.dry_run ?? req.query.dry_run) === 'true';
+    const onDuplicate = req.body.on_duplicate || req.query.on_duplicate || 'skip';
+    const sendInvitations = String(req.body.send_invitations ?? req.query.send_invitations ?? 'true') !== 'false';
+
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      return res.status(400).json({ success: false, error: 'قيمة on_duplicate غير صحيحة', details: ['on_duplicate must be skip or update'] });
+    }
+
+    const { entries, errors } = await readRosterFile(req.file);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'تعذرت قراءة ملف القائمة', details: errors });
+    }
+
+    const plan = await planRosterImport(supabase, req.user.school_id, entries, { onDuplicate });
+    const report = {
+      dry_run: dryRun,
+      on_duplicate: onDuplicate,
+      summary: summarizeRoster(plan),
+      classes_to_create: plan.classesToCreate,
+      rows: plan.rows.map(({ row, email, role, classes, action, errors: rowErrors }) => ({
+        row, email, role, classes, action, errors: rowErrors
+      }))
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, ...report });
+    }
+
+    const { created } = await applyRosterImport(supabase, req.user.school_id, plan);
+    const invitations = sendInvitations ? await inviteUsers(created, req.user) : [];
+
+    console.log(`👥 Roster import: ${report.summary.created} created, ${report.summary.updated} updated, ${report.summary.errors} errors`);
+    res.json({ success: true, ...report, invitations });
+  } catch (error) {
+    console.error('❌ Roster import failed:', error.message);
+    res.status(500).json({ success: false, error: 'فشل في استيراد القائمة' });
+  }
+});
+
+// دعوة جديدة لحساب لم يُفعَّل بعد (تلغي الدعوات السابقة)
+app.post('/api/roster/users/:userId/invitation', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, school_id, status, password_hash')
+      .eq('id', req.params.userId)
+      .maybeSingle();
+
+    if (!user || user.school_id !== req.user.school_id) {
+      return res.status(404).json({ success: false, error: 'المستخدم غير موجود' });
+    }
+    if (user.status === USER_STATUS.DEACTIVATED) {
+      return res.status(409).json({ success: false, error: 'الحساب موقوف' });
+    }
+    if (user.password_hash) {
+      return res.status(409).json({ success: false, error: 'الحساب مفعّل مسبقاً' });
+    }
+
+    const [invitation] = await inviteUsers([user], req.user);
+    res.json({ success: true, invitation });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء الدعوة' });
+  }
+});
+
+// ==========================================
+// 📋 TASKS API
+// ==========================================
+// يتحقق من المعيار مقابل مهارات إطار المدرسة، ويرجع { rubric, errors }
+async function prepareRubric(input, schoolId) {
+  const skills = await getSchoolSkills(supabase, schoolId);
+  return normalizeRubric(input, skills.map(s => s.id));
+}
+
+// أسئلة البنك ({ bank_question_id }) تُنسخ، ثم يُتحقق من نوع كل سؤال ومفتاح إجابته
+async function prepareQuestions(input, schoolId) {
+  const resolved = await resolveQuestions(supabase, schoolId, input);
+  if (resolved.errors.length) return resolved;
+
+  const skills = await getSchoolSkills(supabase, schoolId);
+  return normalizeQuestions(resolved.questions, skills.map(s => s.id));
+}
+
+app.get('/api/tasks/student/:studentId', requireAuth, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+    
+    const { data: user } = await supabase
+      .from('users')
+      .select('school_id')
+      .eq('id', studentId)
+      .single();
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'الطالب غير موجود' });
+    }
+
+    const tasks = await getStudentTasks(supabase, studentId, user.school_id, `
+      *,
+      teacher:users!tasks_teacher_id_fkey(full_name),
+      submissions!left(id, status, submitted_at, student_id, current_version, timeliness, late_penalty)
+    `);
+
+    const now = new Date();
+    const hideAnswerKeys = [ROLES.STUDENT, ROLES.PARENT].includes(req.user.role);
+    const tasksWithStatus = tasks.map(task => {
+      const studentSubmission = task.submissions?.find(s => s.student_id === studentId);
+      // لمهمة لم تسلم بعد: حالة التسليم لو سلم الطالب الآن
+      const deadline = evaluateDeadline(task, now);
+      return {
+        ...task,
+        questions: hideAnswerKeys ? publicQuestions(task.questions) : task.questions,
+        submission_status: studentSubmission?.status || 'pending',
+        submission_id: studentSubmission?.id || null,
+        submitted_at: studentSubmission?.submitted_at || null,
+        timeliness: studentSubmission?.timeliness || null,
+        late_penalty: studentSubmission?.late_penalty || 0,
+        current_version: studentSubmission?.current_version || 0,
+        is_overdue: deadline.timeliness !== 'on_time',
+        can_submit: task.status === 'active' && deadline.accepted && remainingSubmissions(task, studentSubmission) > 0,
+        remaining_submissions: remainingSubmissions(task, studentSubmission),
+        submissions: undefined
+      };
+    });
+
+    res.json({ success: true, tasks: tasksWithStatus });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل المهام' });
+  }
+});
+
+app.get('/api/tasks/teacher/:teacherId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+
+    // المعلم يرى مهامه فقط، والمدير يرى مهام معلمي مدرسته
+    if (req.user.role === ROLES.TEACHER && String(req.user.id) !== String(teacherId)) {
+      return forbidden(res);
+    }
+    
+    const { data: tasks } = await supabase
+      .from('tasks')
+      .select(`
+        *,
+        submissions(id, status, student_id)
+      `)
+      .eq('teacher_id', teacherId)
+      .eq('school_id', req.user.school_id)
+      .order('created_at', { ascending: false });
+
+    // الإحصائيات تحسب الطلاب المستهدفين بالمهمة فقط
+    const assignedStudents = await resolveAssignedStudents(supabase, tasks || [], req.user.school_id);
+
+    const tasksWithStats = (tasks || []).map(task => {
+      const assigned = assignedStudents.get(String(task.id)) || new Set();
+      const submissions = (task.submissions || []).filter(s => assigned.has(String(s.student_id)));
+      const submitted = new Set(submissions.map(s => String(s.student_id)));
+
+      return {
+        ...task,
+        submissions,
+        assigned_students: assigned.size,
+        total_submissions: submissions.length,
+        graded: submissions.filter(s => s.status === 'graded').length,
+        pending: submissions.filter(s => s.status === 'submitted').length,
+        not_submitted: assigned.size - submitted.size
+      };
+    });
+
+    res.json({ success: true, tasks: tasksWithStats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل المهام' });
+  }
+});
+
+// يتحقق من بيانات المهمة وينشئها مع توزيعها وإشعار طلابها.
+// يرجع المهمة، أو يرسل خطأ التحقق ويرجع null
+async function createTask(req, res, input, { templateId = null } = {}) {
+  const { title, description, due_date, rubric: rubricInput } = input;
+
+  if (!title || !description || !due_date) {
+    res.status(400).json({ success: false, error: 'جميع الحقول مطلوبة' });
+    return null;
+  }
+
+  const { policy: latePolicy, errors: policyErrors } = normalizeLatePolicy(input.late_policy);
+  const { value: maxResubmissions, errors: resubmitErrors } = normalizeMaxResubmissions(input.max_resubmissions);
+  if (policyErrors.length || resubmitErrors.length) {
+    res.status(400).json({ success: false, error: 'إعدادات التسليم غير صحيحة', details: [...policyErrors, ...resubmitErrors] });
+    return null;
+  }
+
+  // بدون class_ids و student_ids تكون المهمة لكل طلاب المدرسة
+  const targets = { class_ids: input.class_ids || [], student_ids: input.student_ids || [] };
+  const { audience, errors: assignmentErrors } = await validateAssignments(supabase, req.user, targets);
+  if (assignmentErrors.length) {
+    res.status(400).json({ success: false, error: 'توزيع المهمة غير صحيح', details: assignmentErrors });
+    return null;
+  }
+
+  const { questions, errors: questionErrors } = await prepareQuestions(input.questions, req.user.school_id);
+  if (questionErrors.length) {
+    res.status(400).json({ success: false, error: 'الأسئلة غير صحيحة', details: questionErrors });
+    return null;
+  }
+
+  let rubric = null;
+  if (rubricInput) {
+    const prepared = await prepareRubric(rubricInput, req.user.school_id);
+    if (prepared.errors.length) {
+      res.status(400).json({ success: false, error: 'معيار التقييم غير صحيح', details: prepared.errors });
+      return null;
+    }
+    rubric = prepared.rubric;
+  }
+
+  const { data: task, error } = await supabase
+    .from('tasks')
+    .insert({
+      teacher_id: req.user.id,
+      school_id: req.user.school_id,
+      title,
+      description,
+      questions,
+      rubric,
+      audience,
+      due_date,
+      late_policy: latePolicy,
+      max_resubmissions: maxResubmissions,
+      template_id: templateId,
+      status: 'active'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await replaceTaskAssignments(supabase, task.id, targets);
+
+  const assigned = await resolveAssignedStudents(supabase, [task], task.school_id);
+  await notifier.notify([...(assigned.get(String(task.id)) || [])], NOTIFICATION_TYPES.TASK_CREATED, {
+    task_id: task.id,
+    task_title: task.title,
+    due_date: task.due_date
+  });
+
+  return { ...task, ...targets };
+}
+
+app.post('/api/tasks', requireAuth, requireRole(ROLES.TEACHER), async (req, res) => {
+  try {
+    const task = await createTask(req, res, req.body);
+    if (!task) return;
+
+    res.json({ success: true, task });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء المهمة' });
+  }
+});
+
+app.patch('/api/tasks/:taskId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { status, due_date, late_policy, max_resubmissions } = req.body;
+    const updates = {};
+
+    if (status !== undefined) {
+      if (!['active', 'cancelled'].includes(status)) {
+        return res.status(400).json({ success: false, error: 'الحالة غير صحيحة' });
+      }
+      updates.status = status;
+    }
+
+    if (due_date !== undefined) {
+      if (!due_date) {
+        return res.status(400).json({ success: false, error: 'الموعد النهائي مطلوب' });
+      }
+      updates.due_date = due_date;
+    }
+
+    const details = [];
+    if (late_policy !== undefined) {
+      const { policy, errors } = normalizeLatePolicy(late_policy);
+      details.push(...errors);
+      updates.late_policy = policy;
+    }
+    if (max_resubmissions !== undefined) {
+      const { value, errors } = normalizeMaxResubmissions(max_resubmissions);
+      details.push(...errors);
+      updates.max_resubmissions = value;
+    }
+    if (details.length) {
+      return res.status(400).json({ success: false, error: 'إعدادات التسليم غير صحيحة', details });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'لا توجد بيانات للتحديث' });
+    }
+
+    const { data: existingTask } = await supabase
+      .from('tasks')
+      .select('id, teacher_id, school_id')
+      .eq('id', taskId)
+      .single();
+
+    if (!existingTask) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
+
+    if (!canManageTask(req.user, existingTask)) {
+      return forbidden(res);
+    }
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update(updates)
+      .eq('id', taskId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (updates.due_date) await resetDeadlineReminders(supabase, taskId);
+    res.json({ success: true, task: data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث المهمة' });
+  }
+});
+
+app.put('/api/tasks/:taskId/rubric', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const { data: existingTask } = await supabase
+      .from('tasks')
+      .select('id, teacher_id, school_id')
+      .eq('id', taskId)
+      .single();
+
+    if (!existingTask) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
+
+    if (!canManageTask(req.user, existingTask)) {
+      return forbidden(res);
+    }
+
+    // إرسال rubric: null يزيل المعيار ويعيد التقييم لإطار مهارات المدرسة
+    let rubric = null;
+    if (req.body.rubric) {
+      const prepared = await prepareRubric(req.body.rubric, existingTask.school_id);
+      if (prepared.errors.length) {
+        return res.status(400).json({ success: false, error: 'معيار التقييم غير صحيح', details: prepared.errors });
+      }
+      rubric = prepared.rubric;
+    }
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({ rubric })
+      .eq('id', taskId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, task: data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث معيار التقييم' });
+  }
+});
+
+app.put('/api/tasks/:taskId/assignments', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const { data: existingTask } = await supabase
+      .from('tasks')
+      .select('id, teacher_id, school_id')
+      .eq('id', taskId)
+      .single();
+
+    if (!existingTask) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
+
+    if (!canManageTask(req.user, existingTask)) {
+      return forbidden(res);
+    }
+
+    const targets = { class_ids: req.body.class_ids || [], student_ids: req.body.student_ids || [] };
+    const { audience, errors } = await validateAssignments(supabase, req.user, targets);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'توزيع المهمة غير صحيح', details: errors });
+    }
+
+    await replaceTaskAssignments(supabase, taskId, targets);
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({ audience })
+      .eq('id', taskId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ success: true, task: { ...data, ...targets } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث توزيع المهمة' });
+  }
+});
+
+// ==========================================
+// 📚 QUESTION BANK API
+// ==========================================
+// query: q (بحث في النص)، subject، difficulty، skill_id، mine=true لأسئلتي فقط، limit، offset
+app.get('/api/question-bank', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { q, subject, difficulty, skill_id: skillId, mine } = req.query;
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return res.status(400).json({ success: false, error: 'مستوى الصعوبة غير صحيح' });
+    }
+
+    const result = await searchQuestions(supabase, req.user.school_id, {
+      q: q ? String(q).trim() : null,
+      subject: subject || null,
+      difficulty: difficulty || null,
+      skillId: skillId || null,
+      createdBy: mine === 'true' ? req.user.id : null,
+      limit: parseInt(req.query.limit, 10) || 20,
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في البحث في بنك الأسئلة' });
+  }
+});
+
+// { text, subject?, difficulty?: easy | medium | hard, skill_ids? }
+app.post('/api/question-bank', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const skills = await getSchoolSkills(supabase, req.user.school_id);
+    const { question, errors } = normalizeQuestionInput(req.body, skills.map(s => s.id));
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات السؤال غير صحيحة', details: errors });
+    }
+
+    const created = await createQuestion(supabase, req.user, question);
+    res.json({ success: true, question: created });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إضافة السؤال' });
+  }
+});
+
+app.get('/api/question-bank/:questionId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const question = await getQuestion(supabase, req.user.school_id, req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ success: false, error: 'السؤال غير موجود' });
+    }
+
+    res.json({ success: true, question });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب السؤال' });
+  }
+});
+
+// صاحب السؤال أو المدير يعدله، والمهام السابقة تحتفظ بنسختها
+app.patch('/api/question-bank/:questionId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const existing = await getQuestion(supabase, req.user.school_id, req.params.questionId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'السؤال غير موجود' });
+    }
+    if (!canManageLibraryItem(req.user, existing)) {
+      return forbidden(res);
+    }
+
+    const skills = await getSchoolSkills(supabase, req.user.school_id);
+    const { question, errors } = normalizeQuestionInput(req.body, skills.map(s => s.id), { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات السؤال غير صحيحة', details: errors });
+    }
+    if (Object.keys(question).length === 0) {
+      return res.status(400).json({ success: false, error: 'لا توجد بيانات للتحديث' });
+    }
+
+    const updated = await updateQuestion(supabase, existing.id, question);
+    res.json({ success: true, question: updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث السؤال' });
+  }
+});
+
+app.delete('/api/question-bank/:questionId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const existing = await getQuestion(supabase, req.user.school_id, req.params.questionId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'السؤال غير موجود' });
+    }
+    if (!canManageLibraryItem(req.user, existing)) {
+      return forbidden(res);
+    }
+
+    await archiveQuestion(supabase, existing.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في حذف السؤال' });
+  }
+});
+
+// ==========================================
+// 🗂️ TASK TEMPLATES API
+// ==========================================
+// يتحقق من بيانات القالب مع أسئلته ومعياره، ويرجع { template, errors }
+async function prepareTemplate(input, schoolId, { partial = false } = {}) {
+  const { template, errors } = normalizeTemplateInput(input, { partial });
+
+  if (input.questions !== undefined) {
+    const prepared = await prepareQuestions(input.questions, schoolId);
+    errors.push(...prepared.errors);
+    template.questions = prepared.questions;
+  }
+
+  if (input.rubric) {
+    const prepared = await prepareRubric(input.rubric, schoolId);
+    errors.push(...prepared.errors);
+    template.rubric = prepared.rubric;
+  } else if (input.rubric === null) {
+    template.rubric = null;
+  }
+
+  return { template, errors };
+}
+
+// قوالبي والقوالب المشتركة في المدرسة. query: q (بحث في العنوان)، subject، scope: all | mine | shared
+app.get('/api/task-templates', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { q, subject, scope = 'all' } = req.query;
+    if (!['all', 'mine', 'shared'].includes(scope)) {
+      return res.status(400).json({ success: false, error: 'قيمة scope غير صحيحة' });
+    }
+
+    const templates = await listTemplates(supabase, req.user, {
+      q: q ? String(q).trim() : null,
+      subject: subject || null,
+      scope
+    });
+    res.json({ success: true, templates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب القوالب' });
+  }
+});
+
+// قالب جديد: { title, description, subject?, questions?, rubric?, late_policy?, max_resubmissions?, shared? }
+// أو من مهمة موجودة: { task_id, shared?, ... } والحقول المرسلة تستبدل حقول المهمة
+app.post('/api/task-templates', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    let input = req.body;
+
+    if (req.body.task_id) {
+      const { data: task } = await supabase
+        .from('tasks')
+        .select('id, teacher_id, school_id, title, description, questions, rubric, late_policy, max_resubmissions')
+        .eq('id', req.body.task_id)
+        .maybeSingle();
+
+      if (!task) {
+        return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+      }
+      if (!canManageTask(req.user, task)) {
+        return forbidden(res);
+      }
+
+      const { task_id, ...overrides } = req.body;
+      input = {
+        title: task.title,
+        description: task.description,
+        questions: task.questions || [],
+        rubric: task.rubric,
+        late_policy: task.late_policy,
+        max_resubmissions: task.max_resubmissions,
+        ...overrides
+      };
+    }
+
+    const { template, errors } = await prepareTemplate(input, req.user.school_id);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات القالب غير صحيحة', details: errors });
+    }
+
+    const created = await createTemplate(supabase, req.user, template);
+    res.json({ success: true, template: created });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في حفظ القالب' });
+  }
+});
+
+app.get('/api/task-templates/:templateId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const template = await getTemplate(supabase, req.user.school_id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'القالب غير موجود' });
+    }
+    if (!canUseTemplate(req.user, template)) {
+      return forbidden(res);
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب القالب' });
+  }
+});
+
+// صاحب القالب أو المدير يعدله أو يشاركه (shared)، والمهام المنشأة منه لا تتغير
+app.patch('/api/task-templates/:templateId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const existing = await getTemplate(supabase, req.user.school_id, req.params.templateId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'القالب غير موجود' });
+    }
+    if (!canManageLibraryItem(req.user, existing)) {
+      return forbidden(res);
+    }
+
+    const { template, errors } = await prepareTemplate(req.body, req.user.school_id, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات القالب غير صحيحة', details: errors });
+    }
+    if (Object.keys(template).length === 0) {
+      return res.status(400).json({ success: false, error: 'لا توجد بيانات للتحديث' });
+    }
+
+    const updated = await updateTemplate(supabase, existing.id, template);
+    res.json({ success: true, template: updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث القالب' });
+  }
+});
+
+app.delete('/api/task-templates/:templateId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const existing = await getTemplate(supabase, req.user.school_id, req.params.templateId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'القالب غير موجود' });
+    }
+    if (!canManageLibraryItem(req.user, existing)) {
+      return forbidden(res);
+    }
+
+    await archiveTemplate(supabase, existing.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في حذف القالب' });
+  }
+});
+
+// مهمة جديدة من القالب: { due_date, class_ids?, student_ids?, title?, description?, late_policy?, max_resubmissions? }
+// تُنشأ مرة لكل فصل أو موعد، وأي حقل مرسل يستبدل قيمة القالب
+app.post('/api/task-templates/:templateId/tasks', requireAuth, requireRole(ROLES.TEACHER), async (req, res) => {
+  try {
+    const template = await getTemplate(supabase, req.user.school_id, req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'القالب غير موجود' });
+    }
+    if (!canUseTemplate(req.user, template)) {
+      return forbidden(res);
+    }
+
+    const { questions, rubric, ...overrides } = req.body;
+    const task = await createTask(req, res, {
+      title: template.title,
+      description: template.description,
+      questions: template.questions,
+      rubric: template.rubric,
+      late_policy: template.late_policy ?? undefined,
+      max_resubmissions: template.max_resubmissions,
+      ...overrides
+    }, { templateId: template.id });
+    if (!task) return;
+
+    await recordTemplateUse(supabase, template);
+    res.json({ success: true, task });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء المهمة من القالب' });
+  }
+});
+
+// ==========================================
+// 📎 FILES API
+// ==========================================
+const upload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_FILE_SIZE_BYTES, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (isAllowedType(file.mimetype)) return callback(null, true);
+    const error = new Error(`Unsupported file type ${file.mimetype}`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    callback(error);
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [413, `حجم الملف أكبر من المسموح (${MAX_FILE_SIZE_BYTES / (1024 * 1024)}MB)`],
+  LIMIT_FILE_COUNT: [400, `لا يمكن رفع أكثر من ${MAX_FILES_PER_UPLOAD} ملفات في المرة الواحدة`],
+  LIMIT_UNEXPECTED_FILE: [400, 'يجب إرسال الملفات في الحقل files'],
+  UNSUPPORTED_FILE_TYPE: [415, 'نوع الملف غير مسموح (PDF, DOCX, TXT, PNG, JPG فقط)']
+};
+
+function receiveFiles(req, res, next) {
+  upload.array('files')(req, res, (error) => {
+    if (!error) return next();
+    const [status, message] = UPLOAD_ERRORS[error.code] || [400, 'فشل في استلام الملفات'];
+    res.status(status).json({ success: false, error: message });
+  });
+}
+
+// صاحب الملف، أو من يحق له رؤية بيانات الطالب صاحب الملف
+async function findAccessibleFile(fileId, user) {
+  const { data: file } = await supabase
+    .from('submission_files')
+    .select(`${FILE_FIELDS}, storage_key`)
+    .eq('id', fileId)
+    .maybeSingle();
+
+  if (!file || file.school_id !== user.school_id) return { file: null };
+  const allowed = String(file.uploaded_by) === String(user.id)
+    || await canAccessStudent(supabase, user, file.uploaded_by);
+  return { file, allowed };
+}
+
+// رفع ملفات (multipart/form-data في الحقل files)، ثم ترسل معرفاتها في files عند التسليم
+app.post('/api/files', requireAuth, requireRole(ROLES.STUDENT), receiveFiles, async (req, res) => {
+  try {
+    const received = req.files || [];
+    if (received.length === 0) {
+      return res.status(400).json({ success: false, error: 'لم يتم إرسال أي ملف' });
+    }
+
+    const invalid = received.filter(file => !matchesSignature(file.buffer, file.mimetype));
+    if (invalid.length) {
+      return res.status(415).json({
+        success: false,
+        error: 'محتوى الملف لا يطابق نوعه',
+        details: invalid.map(file => file.originalname)
+      });
+    }
+
+    const files = [];
+    for (const file of received) {
+      files.push(await saveUploadedFile(supabase, storage, file, req.user));
+    }
+
+    res.json({ success: true, files });
+  } catch (error) {
+    console.error('❌ File upload failed:', error.message);
+    res.status(500).json({ success: false, error: 'فشل في رفع الملفات' });
+  }
+});
+
+// رابط تحميل مؤقت، صلاحيته expires_in ثانية (الحد الأقصى ساعة)
+app.get('/api/files/:fileId/download-url', requireAuth, async (req, res) => {
+  try {
+    const { file, allowed } = await findAccessibleFile(req.params.fileId, req.user);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'الملف غير موجود' });
+    }
+    if (!allowed) {
+      return forbidden(res);
+    }
+
+    const expiresIn = Math.min(parseInt(req.query.expires_in, 10) || DEFAULT_LINK_TTL_SECONDS, 3600);
+    const url = await storage.getDownloadUrl(file.storage_key, {
+      filename: file.original_name,
+      contentType: file.mime_type,
+      expiresIn
+    });
+
+    res.json({
+      success: true,
+      url,
+      expires_at: new Date(Date.now() + expiresIn * 1000).toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء رابط التحميل' });
+  }
+});
+
+// تحميل الملفات من التخزين المحلي، والرمز نفسه هو الصلاحية
+app.get('/api/files/download/:token', async (req, res) => {
+  try {
+    const link = storage.verifyDownloadToken?.(req.params.token);
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'رابط التحميل غير صالح أو منتهي الصلاحية' });
+    }
+
+    const content = await storage.get(link.key);
+    res.set('Content-Type', link.contentType || 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(link.filename || 'file')}`);
+    res.send(content);
+  } catch (error) {
+    res.status(404).json({ success: false, error: 'الملف غير موجود' });
+  }
+});
+
+// ==========================================
+// 📝 SUBMISSIONS API
+// ==========================================
+app.post('/api/submissions', requireAuth, requireRole(ROLES.STUDENT), async (req, res) => {
+  try {
+    const { task_id, content, files } = req.body;
+    const hasAnswers = !!req.body.answers && typeof req.body.answers === 'object' && Object.keys(req.body.answers).length > 0;
+
+    // الحل نص أو ملفات مرفقة أو إجابات أسئلة المهمة ({ [question_id]: إجابة })
+    if (!task_id || (!content && !(Array.isArray(files) && files.length) && !hasAnswers)) {
+      return res.status(400).json({ success: false, error: 'جميع الحقول مطلوبة' });
+    }
+
+    // files: معرفات ملفات رفعها الطالب عبر /api/files
+    const { files: attachedFiles, errors: fileErrors } = await resolveSubmissionFiles(supabase, files, req.user.id);
+    if (fileErrors.length) {
+      return res.status(400).json({ success: false, error: 'الملفات المرفقة غير صحيحة', details: fileErrors });
+    }
+
+    const { data: task } = await supabase
+      .from('tasks')
+      .select('id, title, teacher_id, school_id, audience, status, due_date, late_policy, max_resubmissions, questions')
+      .eq('id', task_id)
+      .single();
+
+    if (!task || task.school_id !== req.user.school_id || !await isTaskVisibleToStudent(supabase, task, req.user.id)) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
+
+    const { answers, errors: answerErrors } = normalizeAnswers(task.questions, req.body.answers);
+    if (answerErrors.length) {
+      return res.status(400).json({ success: false, error: 'الإجابات غير صحيحة', details: answerErrors });
+    }
+
+    if (task.status !== 'active') {
+      return res.status(409).json({ success: false, error: 'المهمة مغلقة ولا تقبل حلولاً' });
+    }
+
+    const deadline = evaluateDeadline(task);
+    if (!deadline.accepted) {
+      return res.status(409).json({ success: false, error: 'انتهى موعد تسليم المهمة', hours_late: deadline.hours_late });
+    }
+
+    const { data: existing } = await supabase
+      .from('submissions')
+      .select('id, current_version')
+      .eq('task_id', task.id)
+      .eq('student_id', req.user.id)
+      .maybeSingle();
+
+    if (existing && remainingSubmissions(task, existing) === 0) {
+      return res.status(409).json({ success: false, error: 'لقد استنفدت عدد مرات التسليم المسموح بها' });
+    }
+
+    const { submission, version } = await recordSubmission(supabase, {
+      task,
+      studentId: req.user.id,
+      existing,
+      content: content || '',
+      files: attachedFiles,
+      answers,
+      deadline
+    });
+
+    if (!submission) {
+      return res.status(409).json({ success: false, error: 'تم استلام تسليم آخر في نفس الوقت، حاول مرة أخرى' });
+    }
+
+    await notifier.notify([task.teacher_id], NOTIFICATION_TYPES.SUBMISSION_RECEIVED, {
+      task_id: task.id,
+      task_title: task.title,
+      submission_id: submission.id,
+      student_name: req.user.full_name,
+      version
+    });
+
+    // المهمة الموضوعية بالكامل تُصحح فوراً بدون ذكاء اصطناعي.
+    // الحل محفوظ، ففشل التصحيح هنا لا يفشل التسليم ويمكن إعادته من مسار التقييم
+    let grading = null;
+    if (!needsEssayGrading(task.questions)) {
+      try {
+        const graded = await gradeSubmissionById(supabase, submission.id, { version: version.version });
+        await afterAssessment(graded.assessment);
+        grading = graded.grading;
+      } catch (error) {
+        console.error('❌ Objective auto-grading failed:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      submission,
+      version,
+      grading,
+      remaining_submissions: remainingSubmissions(task, submission)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في رفع الحل' });
+  }
+});
+
+app.get('/api/submissions/task/:taskId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const { data: task } = await supabase
+      .from('tasks')
+      .select('id, school_id')
+      .eq('id', taskId)
+      .single();
+
+    if (!canViewTaskSubmissions(req.user, task)) {
+      return forbidden(res);
+    }
+    
+    const submissions = await loadTaskSubmissions(supabase, taskId);
+    res.json({ success: true, submissions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل الحلول' });
+  }
+});
+
+// نسخ الحل بالترتيب، للطالب صاحب الحل ولمعلمي مدرسته
+app.get('/api/submissions/:submissionId/versions', requireAuth, async (req, res) => {
+  try {
+    const { data: submission } = await supabase
+      .from('submissions')
+      .select('id, student_id, current_version, tasks(id, school_id)')
+      .eq('id', req.params.submissionId)
+      .single();
+
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'الحل غير موجود' });
+    }
+
+    if (submission.tasks?.school_id !== req.user.school_id
+      || !await canAccessStudent(supabase, req.user, submission.student_id)) {
+      return forbidden(res);
+    }
+
+    const { data: versions, error } = await supabase
+      .from('submission_versions')
+      .select('*')
+      .eq('submission_id', submission.id)
+      .order('version', { ascending: true });
+
+    if (error) throw error;
+    res.json({ success: true, current_version: submission.current_version, versions: versions || [] });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل نسخ الحل' });
+  }
+});
+
+// تقييم يدوي من المعلم
+// مهام المعيار: { criteria: [{ criterion_id, level, comment }], feedback }
+// غيرها: { skill_scores: [{ skill_id, score }], overall_score?, feedback }
+// version اختياري لتقييم نسخة سابقة من الحل، والافتراضي آخر نسخة
+// في المهام ذات الأسئلة الموضوعية يقيّم المعلم الجزء المقالي فقط، والموضوعي يُصحح من إجابات النسخة
+app.post('/api/submissions/:submissionId/grade', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    const { data: submission } = await supabase
+      .from('submissions')
+      .select('id, current_version, tasks(id, school_id, rubric, questions)')
+      .eq('id', submissionId)
+      .single();
+
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'الحل غير موجود' });
+    }
+
+    if (!canViewTaskSubmissions(req.user, submission.tasks)) {
+      return forbidden(res);
+    }
+
+    const selected = await getSubmissionVersion(supabase, submission, req.body.version);
+    if (!selected) {
+      return res.status(404).json({ success: false, error: 'نسخة الحل غير موجودة' });
+    }
+
+    const { result, errors } = await buildTeacherResult(supabase, submission.tasks, req.body, selected.answers || {});
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات التقييم غير صحيحة', details: errors });
+    }
+
+    const grading = applyLatePenalty(result, selected.late_penalty);
+    const assessment = await saveAssessment(supabase, submissionId, grading, {
+      source: 'teacher',
+      gradedBy: req.user.id,
+      version: selected.version,
+      latePenalty: selected.late_penalty || 0
+    });
+    await afterAssessment(assessment);
+
+    res.json({ success: true, assessment_id: assessment.id, version: selected.version, grading });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في حفظ التقييم' });
+  }
+});
+
+// مراجعة تقييم الذكاء الاصطناعي: { action: accept | edit | reject, ...بيانات التعديل }
+app.post('/api/assessments/:assessmentId/review', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const { action } = req.body;
+
+    if (!['accept', 'edit', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'الإجراء غير صحيح' });
+    }
+
+    const { data: assessment } = await supabase
+      .from('assessments')
+      .select('*, submissions(id, current_version, tasks(id, school_id, rubric, questions))')
+      .eq('id', assessmentId)
+      .single();
+
+    if (!assessment) {
+      return res.status(404).json({ success: false, error: 'التقييم غير موجود' });
+    }
+
+    const task = assessment.submissions?.tasks;
+    if (!canViewTaskSubmissions(req.user, task)) {
+      return forbidden(res);
+    }
+
+    if (assessment.status !== ASSESSMENT_STATUS.PENDING_REVIEW) {
+      return res.status(409).json({ success: false, error: 'هذا التقييم لا ينتظر المراجعة' });
+    }
+
+    let finalResult = null;
+    if (action === 'edit') {
+      // الأسئلة الموضوعية تُصحح من إجابات النسخة التي قيّمها الذكاء الاصطناعي
+      const selected = await getSubmissionVersion(supabase, assessment.submissions, assessment.version);
+      const { result, errors } = await buildTeacherResult(supabase, task, req.body, selected?.answers || {});
+      if (errors.length) {
+        return res.status(400).json({ success: false, error: 'بيانات التقييم غير صحيحة', details: errors });
+      }
+      finalResult = result;
+    }
+
+    const reviewed = await reviewAssessment(supabase, assessment, {
+      action,
+      finalResult,
+      reviewerId: req.user.id
+    });
+    await afterAssessment(reviewed);
+
+    res.json({ success: true, assessment: reviewed });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في مراجعة التقييم' });
+  }
+});
+
+// ==========================================
+// 📊 PERFORMANCE API
+// ==========================================
+// query: from, to (ISO)، strength_threshold, weakness_threshold, limit, window
+// ولي الأمر يصل لبيانات أبنائه إذا كانت المدرسة تتيح performance
+app.get('/api/performance/student/:studentId', requireAuth, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (req.user.role === ROLES.PARENT) {
+      if (!await guardianView(req, res, 'performance')) return;
+    } else if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    const { options, errors } = parseAnalyticsOptions(req.query);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'إعدادات التحليل غير صحيحة', details: errors });
+    }
+
+    const submissions = await loadGradedSubmissions(supabase, studentId);
+    res.json({ success: true, ...buildStudentAnalytics(submissions, options) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل الأداء' });
+  }
+});
+
+// ==========================================
+// 👪 GUARDIANS API
+// ==========================================
+// يرجع { student, visibility } أو يرسل 403 ويرجع null إذا لم يكن ولي الأمر مرتبطاً
+// بالطالب أو كانت المدرسة لا تتيح هذا الجزء من البيانات
+async function guardianView(req, res, field) {
+  const access = await guardianAccess(supabase, req.user, req.params.studentId);
+  if (!access) {
+    forbidden(res);
+    return null;
+  }
+  if (!access.visibility[field]) {
+    res.status(403).json({ success: false, error: 'المدرسة لا تتيح هذه البيانات لأولياء الأمور' });
+    return null;
+  }
+  return access;
+}
+
+// أبناء ولي الأمر، مع ما تتيحه مدرسة كل منهم
+app.get('/api/guardian/students', requireAuth, requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const students = await listGuardianStudents(supabase, req.user.id);
+    res.json({ success: true, students });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب الطلاب' });
+  }
+});
+
+// إضافة طالب آخر لحساب ولي الأمر: { code, relationship? }
+app.post('/api/guardian/links', requireAuth, requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const { value: relationship, error: relationshipError } = normalizeRelationship(req.body.relationship);
+    if (relationshipError) {
+      return res.status(400).json({ success: false, error: 'صلة القرابة غير صحيحة', details: [relationshipError] });
+    }
+
+    const linkCode = await findUsableGuardianCode(supabase, req.body.code);
+    if (!linkCode) {
+      return res.status(400).json({ success: false, error: 'رمز الربط غير صالح أو منتهي الصلاحية' });
+    }
+    if (await isLinked(supabase, req.user.id, linkCode.student_id)) {
+      return res.status(409).json({ success: false, error: 'الطالب مرتبط بحسابك مسبقاً' });
+    }
+
+    const link = await redeemGuardianCode(supabase, linkCode, req.user.id, relationship);
+    if (!link) {
+      return res.status(400).json({ success: false, error: 'رمز الربط غير صالح أو منتهي الصلاحية' });
+    }
+
+    res.json({ success: true, link, student: { id: linkCode.student.id, full_name: linkCode.student.full_name } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في ربط الطالب' });
+  }
+});
+
+// مهام الطالب وحالة تسليمها، مع الدرجات والملاحظات حسب إعدادات المدرسة
+app.get('/api/guardian/students/:studentId/tasks', requireAuth, requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const access = await guardianView(req, res, 'tasks');
+    if (!access) return;
+
+    const tasks = await buildGuardianTasks(supabase, access.student, access.visibility);
+    res.json({ success: true, student: access.student, visibility: access.visibility, tasks });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل المهام' });
+  }
+});
+
+// توصيات الذكاء الاصطناعي المحفوظة في آخر التقييمات المعتمدة (بدون استدعاء جديد للنموذج)
+app.get('/api/guardian/students/:studentId/recommendations', requireAuth, requireRole(ROLES.PARENT), async (req, res) => {
+  try {
+    const access = await guardianView(req, res, 'recommendations');
+    if (!access) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 20);
+    const submissions = await loadGradedSubmissions(supabase, access.student.id);
+    const recommendations = recentFeedback(submissions, {}, limit)
+      .filter(item => item.recommendations.length > 0)
+      .map(({ task, date, recommendations: items }) => ({ task, date, recommendations: items }));
+
+    res.json({ success: true, student: access.student, recommendations });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل التوصيات' });
+  }
+});
+
+// رمز ربط لولي أمر الطالب، صالح لمرة واحدة. يصدره المعلم أو المدير ويسلمه للأسرة
+app.post('/api/students/:studentId/guardian-codes', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    const { data: student } = await supabase
+      .from('users')
+      .select('id, school_id')
+      .eq('id', studentId)
+      .single();
+
+    const code = await createGuardianCode(supabase, student, req.user.id);
+    res.json({ success: true, code });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إنشاء رمز الربط' });
+  }
+});
+
+// أولياء أمور الطالب ورموز الربط التي لم تُستخدم
+app.get('/api/students/:studentId/guardians', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    const { guardians, codes } = await listStudentGuardians(supabase, studentId);
+    res.json({ success: true, guardians, codes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب أولياء الأمور' });
+  }
+});
+
+app.delete('/api/students/:studentId/guardians/:guardianId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { studentId, guardianId } = req.params;
+
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    if (!await unlinkGuardian(supabase, studentId, guardianId)) {
+      return res.status(404).json({ success: false, error: 'ولي الأمر غير مرتبط بهذا الطالب' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في إلغاء الربط' });
+  }
+});
+
+// ==========================================
+// 🎯 LEARNING PLANS API
+// ==========================================
+// الخطط تُنشأ من /api/ai/recommendations، وتُعاد حساب نتيجتها عند كل تقييم معتمد جديد
+
+// يرجع الخطة إذا كان المستخدم يصل لبيانات طالبها، وإلا يرسل الخطأ ويرجع null
+async function loadLearningPlan(req, res) {
+  const plan = await getLearningPlan(supabase, req.params.planId);
+  if (!plan) {
+    res.status(404).json({ success: false, error: 'خطة التعلم غير موجودة' });
+    return null;
+  }
+
+  if (req.user.role === ROLES.PARENT) {
+    const access = await guardianAccess(supabase, req.user, plan.student_id);
+    if (!access || !access.visibility.recommendations) {
+      forbidden(res);
+      return null;
+    }
+  } else if (!await canAccessStudent(supabase, req.user, plan.student_id)) {
+    forbidden(res);
+    return null;
+  }
+
+  return plan;
+}
+
+// خطط الطالب غير المؤرشفة، و status لحالة محددة (active | completed | archived)
+// ولي الأمر يصل لخطط أبنائه إذا كانت المدرسة تتيح recommendations
+app.get('/api/students/:studentId/learning-plans', requireAuth, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { status } = req.query;
+
+    if (req.user.role === ROLES.PARENT) {
+      if (!await guardianView(req, res, 'recommendations')) return;
+    } else if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    if (status && !Object.values(PLAN_STATUS).includes(status)) {
+      return res.status(400).json({ success: false, error: 'الحالة غير صحيحة' });
+    }
+
+    const plans = await listStudentPlans(supabase, studentId, { status });
+    res.json({ success: true, plans });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب خطط التعلم' });
+  }
+});
+
+app.get('/api/learning-plans/:planId', requireAuth, async (req, res) => {
+  try {
+    const plan = await loadLearningPlan(req, res);
+    if (!plan) return;
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب خطة التعلم' });
+  }
+});
+
+// تعديل المعلم أو المدير: { diagnosis, notes, week_plan, month_plan, resources, target_score, status,
+// activities: [{ id?, description }] } والأنشطة المرسلة تستبدل القائمة الحالية
+app.patch('/api/learning-plans/:planId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { updates, activities, errors } = normalizePlanUpdate(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات الخطة غير صحيحة', details: errors });
+    }
+    if (Object.keys(updates).length === 0 && !activities) {
+      return res.status(400).json({ success: false, error: 'لا توجد بيانات للتحديث' });
+    }
+
+    const plan = await loadLearningPlan(req, res);
+    if (!plan) return;
+
+    const unknown = activities ? unknownActivityIds(plan, activities) : [];
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'بيانات الخطة غير صحيحة',
+        details: unknown.map(id => `activity ${id} is not part of this plan`)
+      });
+    }
+
+    const updated = await updateLearningPlan(supabase, plan, { updates, activities }, req.user.id);
+    res.json({ success: true, plan: updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث خطة التعلم' });
+  }
+});
+
+// الطالب (أو معلمه) يعلّم النشاط كمنجز أو يلغي ذلك: { done: true | false }
+app.patch('/api/learning-plans/:planId/activities/:activityId', requireAuth, requireRole(ROLES.STUDENT, ...STAFF_ROLES), async (req, res) => {
+  try {
+    const { done } = req.body;
+    if (typeof done !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'done يجب أن تكون true أو false' });
+    }
+
+    const plan = await loadLearningPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status === PLAN_STATUS.ARCHIVED) {
+      return res.status(409).json({ success: false, error: 'لا يمكن تعديل خطة مؤرشفة' });
+    }
+
+    const activity = await setActivityDone(supabase, plan.id, req.params.activityId, done, req.user.id);
+    if (!activity) {
+      return res.status(404).json({ success: false, error: 'النشاط غير موجود' });
+    }
+
+    res.json({ success: true, activity });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث النشاط' });
+  }
+});
+
+// ==========================================
+// 📈 DASHBOARD API
+// ==========================================
+// كل اللوحات تقبل from و to (ISO)، و class_id اختياري لتحديد فصل واحد
+async function dashboardScope(req, res) {
+  const { options, errors } = parseAnalyticsOptions(req.query);
+  if (errors.length) {
+    res.status(400).json({ success: false, error: 'إعدادات اللوحة غير صحيحة', details: errors });
+    return null;
+  }
+
+  const scope = await resolveClassScope(supabase, req.user, req.query.class_id);
+  if (scope.error === 'not_found') {
+    res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    return null;
+  }
+  if (scope.error) {
+    forbidden(res);
+    return null;
+  }
+
+  return { classIds: scope.classIds, options };
+}
+
+// توزيع درجات مهمة على فئات بعرض bucket (الافتراضي 10)
+app.get('/api/dashboard/tasks/:taskId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const bucket = parseInt(req.query.bucket || '10', 10);
+    if (!Number.isInteger(bucket) || bucket < 1 || bucket > 50) {
+      return res.status(400).json({ success: false, error: 'حجم الفئة يجب أن يكون بين 1 و 50' });
+    }
+
+    const { data: task } = await supabase
+      .from('tasks')
+      .select('id, title, school_id')
+      .eq('id', req.params.taskId)
+      .single();
+
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
+
+    if (!canViewTaskSubmissions(req.user, task)) {
+      return forbidden(res);
+    }
+
+    const distribution = await getTaskDistribution(supabase, task.id, bucket);
+    res.json({ success: true, task: { id: task.id, title: task.title }, ...distribution });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل توزيع الدرجات' });
+  }
+});
+
+app.get('/api/dashboard/skills', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const scope = await dashboardScope(req, res);
+    if (!scope) return;
+
+    const skills = await getSkillAverages(supabase, req.user.school_id, scope.classIds, scope.options);
+    res.json({ success: true, class_ids: scope.classIds, skills });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل متوسطات المهارات' });
+  }
+});
+
+app.get('/api/dashboard/completion', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const scope = await dashboardScope(req, res);
+    if (!scope) return;
+
+    const tasks = await getTaskCompletion(supabase, req.user.school_id, scope.classIds, scope.options);
+    const assigned = tasks.reduce((sum, t) => sum + t.assigned, 0);
+    const submitted = tasks.reduce((sum, t) => sum + t.submitted, 0);
+
+    res.json({
+      success: true,
+      class_ids: scope.classIds,
+      completion_rate: assigned ? Math.round((submitted / assigned) * 1000) / 10 : null,
+      tasks
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل نسب التسليم' });
+  }
+});
+
+app.get('/api/dashboard/classes', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const scope = await dashboardScope(req, res);
+    if (!scope) return;
+
+    const classes = await getClassComparison(supabase, req.user.school_id, scope.classIds, scope.options);
+    res.json({ success: true, classes });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل مقارنة الفصول' });
+  }
+});
+
+// weakness_threshold (الافتراضي عتبة الضعف العامة)، decline: انخفاض الدرجات لكل 30 يوماً،
+// min_missing: عدد المهام المتأخرة دون تسليم
+app.get('/api/dashboard/at-risk', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const scope = await dashboardScope(req, res);
+    if (!scope) return;
+
+    const declinePer30Days = Number(req.query.decline ?? 10);
+    const minMissing = Number(req.query.min_missing ?? 2);
+    if (!(declinePer30Days > 0) || !Number.isInteger(minMissing) || minMissing < 1) {
+      return res.status(400).json({ success: false, error: 'إعدادات اللوحة غير صحيحة' });
+    }
+
+    const students = await getAtRiskStudents(supabase, req.user.school_id, scope.classIds, {
+      threshold: scope.options.weakness,
+      declinePer30Days,
+      minMissing,
+      from: scope.options.from,
+      to: scope.options.to
+    });
+
+    res.json({
+      success: true,
+      class_ids: scope.classIds,
+      criteria: { weakness_threshold: scope.options.weakness, decline: declinePer30Days, min_missing: minMissing },
+      students
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل قائمة الطلاب المتعثرين' });
+  }
+});
+
+// ==========================================
+// 📄 REPORTS API
+// ==========================================
+function sendDownload(res, content, { contentType, filename }) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(content);
+}
+
+// format: csv (الافتراضي) | xlsx
+function parseExportFormat(req, res) {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    res.status(400).json({ success: false, error: 'صيغة التصدير غير مدعومة', details: ['format must be csv or xlsx'] });
+    return null;
+  }
+  return format;
+}
+
+// بطاقة تقرير الطالب PDF. query: from, to وبقية إعدادات /api/performance
+app.get('/api/reports/students/:studentId/report-card', requireAuth, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    const { options, errors } = parseAnalyticsOptions(req.query);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'إعدادات التحليل غير صحيحة', details: errors });
+    }
+
+    const [{ data: student }, submissions] = await Promise.all([
+      supabase.from('users').select('id, full_name, email, school_id').eq('id', studentId).single(),
+      loadGradedSubmissions(supabase, studentId)
+    ]);
+    const { data: school } = await supabase
+      .from('schools')
+      .select('id, name')
+      .eq('id', student.school_id)
+      .maybeSingle();
+
+    const pdf = await renderReportCard({
+      student,
+      school,
+      analytics: buildStudentAnalytics(submissions, options),
+      feedback: recentFeedback(submissions, options)
+    });
+
+    sendDownload(res, pdf, { contentType: 'application/pdf', filename: `report-card-${student.id}.pdf` });
+  } catch (error) {
+    console.error('Report card error:', error);
+    res.status(500).json({ success: false, error: 'فشل في إنشاء بطاقة التقرير' });
+  }
+});
+
+// دفتر درجات مهمة: صف لكل طالب مع درجات المعايير والمهارات
+app.get('/api/reports/tasks/:taskId/gradebook', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const { data: task } = await supabase
+      .from('tasks')
+      .select('id, school_id, title, rubric, audience')
+      .eq('id', req.params.taskId)
+      .maybeSingle();
+
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
+    if (!canViewTaskSubmissions(req.user, task)) {
+      return forbidden(res);
+    }
+
+    const gradebook = await buildTaskGradebook(supabase, task);
+    sendDownload(res, await renderGradebook(gradebook, format), {
+      contentType: EXPORT_FORMATS[format].contentType,
+      filename: `gradebook-task-${task.id}${EXPORT_FORMATS[format].ext}`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تصدير الدرجات' });
+  }
+});
+
+// دفتر درجات فصل: صف لكل طالب وعمود لكل مهمة
+app.get('/api/reports/classes/:classId/gradebook', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const cls = await findSchoolClass(req.params.classId, req.user.school_id);
+    if (!cls) {
+      return res.status(404).json({ success: false, error: 'الفصل غير موجود' });
+    }
+    if (!await canManageClass(req.user, cls)) {
+      return forbidden(res);
+    }
+
+    const gradebook = await buildClassGradebook(supabase, cls);
+    sendDownload(res, await renderGradebook(gradebook, format), {
+      contentType: EXPORT_FORMATS[format].contentType,
+      filename: `gradebook-class-${cls.id}${EXPORT_FORMATS[format].ext}`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تصدير الدرجات' });
+  }
+});
+
+// ==========================================
+// 🤖 AI API
+// ==========================================
+const AI_INVALID_RESPONSE_MESSAGE = 'لم يتمكن الذكاء الاصطناعي من إعطاء استجابة صالحة، حاول مرة أخرى';
+const WEAK_SKILL_THRESHOLD = DEFAULT_THRESHOLDS.weakness;
+
+const AI_QUOTA_MESSAGES = {
+  daily: 'تجاوزت المدرسة الحد اليومي لاستخدام الذكاء الاصطناعي، حاول مرة أخرى غداً',
+  monthly: 'تجاوزت المدرسة الحد الشهري لاستخدام الذكاء الاصطناعي'
+};
+
+function sendQuotaExceeded(res, exceeded) {
+  res.status(429).json({ success: false, error: AI_QUOTA_MESSAGES[exceeded.period], quota: exceeded });
+}
+
+function sendAIError(res, error, fallbackMessage) {
+  if (error instanceof AIQuotaError) {
+    return sendQuotaExceeded(res, error.exceeded);
+  }
+  if (error instanceof AIResponseError) {
+    return res.status(502).json({ success: false, error: AI_INVALID_RESPONSE_MESSAGE, details: error.details });
+  }
+  res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+// المزود المقاس لطلب المستخدم، والاستخدام يُحسب على schoolId (مدرسة المستخدم افتراضياً)
+function aiOptions(req, endpoint, schoolId = req.user.school_id) {
+  return { provider: aiUsage.forContext({ schoolId, userId: req.user.id, endpoint }) };
+}
+
+// درجات الطالب في كل مهارة عبر كل حلوله المقيّمة، مرتبة زمنياً
+async function loadStudentSkillHistory(studentId) {
+  const { data: submissions } = await supabase
+    .from('submissions')
+    .select(`
+      id,
+      task_id,
+      submitted_at,
+      tasks(title),
+      assessments(
+        overall_score,
+        status,
+        created_at,
+        reviewed_at,
+        skill_assessments(
+          score,
+          skills(id, key, name_en, name_ar)
+        )
+      )
+    `)
+    .eq('student_id', studentId)
+    .not('graded_version', 'is', null)
+    .order('submitted_at', { ascending: true });
+
+  const skills = {};
+  (submissions || []).forEach(sub => {
+    const assessment = effectiveAssessment(sub);
+    assessment?.skill_assessments?.forEach(sa => {
+      if (!sa.skills) return;
+      const { key } = sa.skills;
+      if (!skills[key]) {
+        skills[key] = { id: sa.skills.id, key, name_en: sa.skills.name_en, name_ar: sa.skills.name_ar, history: [] };
+      }
+      skills[key].history.push({
+        taskId: sub.task_id,
+        taskTitle: sub.tasks?.title || 'مهمة',
+        date: new Date(sub.submitted_at).toISOString(),
+        score: parseFloat(sa.score)
+      });
+    });
+  });
+
+  Object.values(skills).forEach(skill => {
+    const total = skill.history.reduce((sum, h) => sum + h.score, 0);
+    skill.average = Math.round((total / skill.history.length) * 10) / 10;
+  });
+
+  return { submissions: submissions || [], skills };
+}
+
+function requireAI(req, res, next) {
+  if (!ai) {
+    return res.status(503).json({ success: false, error: 'خدمة الذكاء الاصطناعي غير متاحة' });
+  }
+  next();
+}
+
+app.post('/api/ai/grade-submission', requireAuth, requireRole(...STAFF_ROLES), requireAI, async (req, res) => {
+  try {
+    // review: true يحفظ التقييم كمقترح ينتظر اعتماد المعلم
+    // async: true يضيف التقييم لطابور المهام ويرجع فوراً بمعرف المهمة
+    // version اختياري لتقييم نسخة محددة من الحل، والافتراضي آخر نسخة
+    const { submissionId, review, async: runAsync } = req.body;
+    if (!submissionId) {
+      return res.status(400).json({ success: false, error: 'معرف الحل مطلوب' });
+    }
+
+    const { data: submission } = await supabase
+      .from('submissions')
+      .select('id, current_version, tasks(id, school_id)')
+      .eq('id', submissionId)
+      .single();
+
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'الحل غير موجود' });
+    }
+
+    if (!canViewTaskSubmissions(req.user, submission.tasks)) {
+      return forbidden(res);
+    }
 
-    if (!school) {
-      return res.status(404).json({ success: false, error: 'كود المدرسة غير صحيح' });
+    const selected = await getSubmissionVersion(supabase, submission, req.body.version);
+    if (!selected) {
+      return res.status(404).json({ success: false, error: 'نسخة الحل غير موجودة' });
+    }
+    const version = selected.version;
+
+    if (runAsync) {
+      const job = await jobQueue.enqueue({
+        type: GRADE_SUBMISSION_JOB,
+        payload: { submissionId, review: !!review, version, endpoint: 'grade-submission' },
+        subject_id: submissionId,
+        school_id: req.user.school_id,
+        created_by: req.user.id
+      });
+      return res.status(202).json({ success: true, job });
     }
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .insert({
-        email,
-        full_name,
-        role,
-        school_id: school.id
-      })
-      .select('*, schools(name)')
-      .single();
+    const { assessment, grading } = await gradeSubmissionById(supabase, submissionId, {
+      review,
+      version,
+      ...aiOptions(req, 'grade-submission', submission.tasks.school_id)
+    });
+    await afterAssessment(assessment);
 
-    if (error) throw error;
-    res.json({ success: true, user });
+    res.json({ success: true, assessment_id: assessment.id, status: assessment.status, version, grading });
   } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+    sendAIError(res, error, 'فشل في التقييم');
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// تقييم كل الحلول المنتظرة لمهمة في الخلفية
+app.post('/api/ai/grade-task', requireAuth, requireRole(...STAFF_ROLES), requireAI, async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'البريد الإلكتروني مطلوب' });
+    const { taskId, review } = req.body;
+    if (!taskId) {
+      return res.status(400).json({ success: false, error: 'معرف المهمة مطلوب' });
     }
 
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*, schools(name)')
-      .eq('email', email)
+    const { data: task } = await supabase
+      .from('tasks')
+      .select('id, school_id')
+      .eq('id', taskId)
       .single();
 
-    if (error || !user) {
-      return res.status(401).json({ success: false, error: 'المستخدم غير موجود' });
+    if (!canViewTaskSubmissions(req.user, task)) {
+      return forbidden(res);
     }
-    
-    await supabase
-      .from('users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
-    
-    res.json({ success: true, user });
+
+    const { data: submissions } = await supabase
+      .from('submissions')
+      .select('id, current_version, assessments(status, version)')
+      .eq('task_id', taskId)
+      .eq('status', 'submitted');
+
+    // نقيّم آخر نسخة، ونتجاوز الحلول التي لنسختها الأخيرة تقييم ينتظر المراجعة أو مهمة تقييم لم تنته
+    const waiting = (submissions || []).filter(sub =>
+      !(sub.assessments || []).some(a =>
+        a.status === ASSESSMENT_STATUS.PENDING_REVIEW && (a.version ?? 1) === (sub.current_version ?? 1))
+    );
+    const active = await jobQueue.findActiveSubjects(GRADE_SUBMISSION_JOB, waiting.map(sub => sub.id));
+    const toGrade = waiting.filter(sub => !active.has(String(sub.id)));
+
+    // لا نملأ الطابور بمهام ستفشل لتجاوز الحد
+    if (toGrade.length) {
+      const quota = await aiUsage.checkQuota(task.school_id);
+      if (quota.exceeded) return sendQuotaExceeded(res, quota.exceeded);
+    }
+
+    const batchId = crypto.randomUUID();
+    const jobs = await jobQueue.enqueueMany(toGrade.map(sub => ({
+      type: GRADE_SUBMISSION_JOB,
+      payload: { submissionId: sub.id, review: !!review, version: sub.current_version, endpoint: 'grade-task' },
+      subject_id: sub.id,
+      school_id: req.user.school_id,
+      created_by: req.user.id,
+      batch_id: batchId
+    })));
+
+    res.status(202).json({
+      success: true,
+      batch_id: batchId,
+      queued: jobs.length,
+      skipped: (submissions || []).length - jobs.length,
+      jobs: jobs.map(job => job.id)
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'حدث خطأ في تسجيل الدخول' });
+    res.status(500).json({ success: false, error: 'فشل في جدولة التقييم' });
   }
 });
 
-// ==========================================
-// 📋 TASKS API
-// ==========================================
-app.get('/api/tasks/student/:studentId', async (req, res) => {
+app.post('/api/ai/recommendations', requireAuth, requireAI, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
-    const { data: user } = await supabase
+    const { studentId, taskId } = req.body;
+    if (!studentId || !taskId) {
+      return res.status(400).json({ success: false, error: 'معرف الطالب والمهمة مطلوبان' });
+    }
+
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    const { data: student } = await supabase
       .from('users')
-      .select('school_id')
+      .select('id, school_id')
       .eq('id', studentId)
       .single();
 
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'الطالب غير موجود' });
-    }
+    const { skills } = await loadStudentSkillHistory(studentId);
 
-    const { data: tasks } = await supabase
-      .from('tasks')
-      .select(`
-        *,
-        teacher:users!tasks_teacher_id_fkey(full_name),
-        submissions!left(id, status, submitted_at, student_id)
-      `)
-      .eq('school_id', user.school_id)
-      .order('created_at', { ascending: false });
+    // المهارات الضعيفة في هذه المهمة، مع تاريخ الطالب الكامل في كل منها
+    const weakSkills = Object.values(skills)
+      .map(skill => ({ ...skill, current: skill.history.filter(h => String(h.taskId) === String(taskId)).pop() }))
+      .filter(skill => skill.current && skill.current.score < WEAK_SKILL_THRESHOLD);
 
-    const tasksWithStatus = (tasks || []).map(task => {
-      const studentSubmission = task.submissions?.find(s => s.student_id === studentId);
-      return {
-        ...task,
-        submission_status: studentSubmission?.status || 'pending',
-        submission_id: studentSubmission?.id || null,
-        submissions: undefined
-      };
-    });
+    // الاستخدام يُحسب على مدرسة الطالب، فالطاقم قد يطلب التوصيات لطلاب من فصول مختلفة
+    const options = aiOptions(req, 'recommendations', student.school_id);
 
-    res.json({ success: true, tasks: tasksWithStatus });
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في تحميل المهام' });
-  }
-});
+    // المهارة التي لها خطة فعالة تُعرض خطتها كما هي بدون طلب جديد للنموذج،
+    // فتكرار الطلب لا يستبدل الخطة ولا يضيع تقدم أنشطتها ولا يستهلك من حدود المدرسة
+    const plans = await Promise.all(weakSkills.map(async skill => {
+      const active = await findActivePlan(supabase, student.id, skill.id);
+      if (active) return active;
 
-app.get('/api/tasks/teacher/:teacherId', async (req, res) => {
-  try {
-    const { teacherId } = req.params;
-    
-    const { data: tasks } = await supabase
-      .from('tasks')
-      .select(`
-        *,
-        submissions(id, status, student_id)
-      `)
-      .eq('teacher_id', teacherId)
-      .order('created_at', { ascending: false });
+      const recommendation = await generateRecommendations(skill.name_ar, skill.current.score, skill.history, options);
+      return createLearningPlan(supabase, student, {
+        ...recommendation,
+        skill_id: skill.id,
+        currentLevel: skill.current.score
+      }, { taskId, createdBy: req.user.id });
+    }));
 
-    const tasksWithStats = (tasks || []).map(task => ({
-      ...task,
-      total_submissions: task.submissions?.length || 0,
-      graded: task.submissions?.filter(s => s.status === 'graded').length || 0,
-      pending: task.submissions?.filter(s => s.status === 'submitted').length || 0
+    const recommendations = plans.map((plan, i) => ({
+      skill: weakSkills[i].name_en,
+      skill_ar: weakSkills[i].name_ar,
+      currentLevel: weakSkills[i].current.score,
+      ...planRecommendation(plan)
     }));
 
-    res.json({ success: true, tasks: tasksWithStats });
+    res.json({ success: true, recommendations, plans });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في تحميل المهام' });
+    sendAIError(res, error, 'فشل في التوصيات');
   }
 });
 
-app.post('/api/tasks', async (req, res) => {
+app.post('/api/ai/analyze-student', requireAuth, requireAI, async (req, res) => {
   try {
-    const { teacher_id, title, description, questions, due_date } = req.body;
+    const { studentId } = req.body;
+    if (!studentId) {
+      return res.status(400).json({ success: false, error: 'معرف الطالب مطلوب' });
+    }
 
-    if (!teacher_id || !title || !description || !due_date) {
-      return res.status(400).json({ success: false, error: 'جميع الحقول مطلوبة' });
+    if (!await canAccessStudent(supabase, req.user, studentId)) {
+      return forbidden(res);
+    }
+
+    const { submissions, skills } = await loadStudentSkillHistory(studentId);
+    if (submissions.length === 0) {
+      return res.status(400).json({ success: false, error: 'لا توجد مهام مقيّمة لتحليلها' });
     }
 
-    const { data: teacher } = await supabase
+    const skillScores = Object.fromEntries(
+      Object.values(skills).map(skill => [skill.name_ar, skill.average])
+    );
+    const weakSkills = Object.values(skills)
+      .filter(skill => skill.average < WEAK_SKILL_THRESHOLD)
+      .map(skill => skill.name_ar);
+
+    const { data: student } = await supabase
       .from('users')
-      .select('school_id, role')
-      .eq('id', teacher_id)
+      .select('school_id')
+      .eq('id', studentId)
       .single();
 
-    if (!teacher || teacher.role !== 'teacher') {
-      return res.status(403).json({ success: false, error: 'غير مصرح لك بإنشاء مهام' });
+    const analysis = await analyzeStudentPerformance(
+      { submissions, skillScores, weakSkills },
+      aiOptions(req, 'analyze-student', student.school_id)
+    );
+
+    res.json({ success: true, analysis });
+  } catch (error) {
+    sendAIError(res, error, 'فشل في تحليل الأداء');
+  }
+});
+
+// ------------------------------------------
+// مساعد تأليف المهام
+// ------------------------------------------
+const MAX_DRAFT_QUESTIONS = 10;
+const DEFAULT_DRAFT_QUESTIONS = 5;
+
+// { topic, grade_level, skill_ids, question_count } => { options, errors }
+async function normalizeDraftRequest(input, schoolId) {
+  const errors = [];
+  const topic = typeof input.topic === 'string' ? input.topic.trim() : '';
+  const gradeLevel = input.grade_level === undefined || input.grade_level === null ? '' : String(input.grade_level).trim();
+
+  if (!topic || topic.length > 300) errors.push('topic must be text of at most 300 characters');
+  if (!gradeLevel || gradeLevel.length > 50) errors.push('grade_level must be text of at most 50 characters');
+
+  const questionCount = input.question_count === undefined ? DEFAULT_DRAFT_QUESTIONS : Number(input.question_count);
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_DRAFT_QUESTIONS) {
+    errors.push(`question_count must be an integer between 1 and ${MAX_DRAFT_QUESTIONS}`);
+  }
+
+  let skills = [];
+  if (!Array.isArray(input.skill_ids) || input.skill_ids.length === 0) {
+    errors.push('skill_ids must be a non-empty array');
+  } else {
+    const schoolSkills = await getSchoolSkills(supabase, schoolId);
+    const byId = new Map(schoolSkills.map(skill => [String(skill.id), skill]));
+    input.skill_ids.forEach(id => {
+      if (!byId.has(String(id))) errors.push(`skill_ids contains unknown skill "${id}"`);
+    });
+    skills = [...new Set(input.skill_ids.map(String))].filter(id => byId.has(id)).map(id => byId.get(id));
+  }
+
+  return { options: { topic, gradeLevel, skills, questionCount }, errors };
+}
+
+// مسودة مهمة مع تقييم JCSEE لها قبل الحفظ:
+// { topic, grade_level, skill_ids, question_count? }
+// المسودة لا تُحفظ، والمعلم يعدلها ثم يرسلها إلى POST /api/tasks
+app.post('/api/ai/draft-task', requireAuth, requireRole(...STAFF_ROLES), requireAI, async (req, res) => {
+  try {
+    const { options, errors } = await normalizeDraftRequest(req.body, req.user.school_id);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'بيانات المسودة غير صحيحة', details: errors });
     }
 
-    const { data: task, error } = await supabase
-      .from('tasks')
-      .insert({
-        teacher_id,
-        school_id: teacher.school_id,
-        title,
-        description,
-        questions: questions || [],
-        due_date,
-        status: 'active'
-      })
-      .select()
-      .single();
+    const usage = aiOptions(req, 'draft-task');
+    const draft = await draftTask(options, usage);
+    const evaluation = await evaluateTaskQuality({
+      taskDescription: draft.description,
+      questions: draft.questions,
+      rubric: draft.rubric
+    }, usage);
 
-    if (error) throw error;
-    res.json({ success: true, task });
+    res.json({ success: true, draft, evaluation });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في إنشاء المهمة' });
+    sendAIError(res, error, 'فشل في إعداد مسودة المهمة');
   }
 });
 
-app.patch('/api/tasks/:taskId', async (req, res) => {
+// تقييم مهمة محفوظة { taskId, submissionId? }، أو مسودة قبل حفظها
+// { draft: { description, questions, rubric? } } بعد أن عدّلها المعلم
+app.post('/api/ai/evaluate-task', requireAuth, requireRole(...STAFF_ROLES), requireAI, async (req, res) => {
   try {
-    const { taskId } = req.params;
-    const { status } = req.body;
+    const { taskId, submissionId, draft } = req.body;
+
+    if (!taskId && draft) {
+      if (!draft.description || typeof draft.description !== 'string') {
+        return res.status(400).json({ success: false, error: 'وصف المهمة مطلوب' });
+      }
+      if (draft.questions !== undefined && !Array.isArray(draft.questions)) {
+        return res.status(400).json({ success: false, error: 'الأسئلة يجب أن تكون قائمة' });
+      }
+
+      let rubric = null;
+      if (draft.rubric) {
+        const prepared = await prepareRubric(draft.rubric, req.user.school_id);
+        if (prepared.errors.length) {
+          return res.status(400).json({ success: false, error: 'معيار التقييم غير صحيح', details: prepared.errors });
+        }
+        rubric = prepared.rubric;
+      }
+
+      const evaluation = await evaluateTaskQuality({
+        taskDescription: draft.description,
+        questions: draft.questions || [],
+        rubric
+      }, aiOptions(req, 'evaluate-task'));
+      return res.json({ success: true, evaluation });
+    }
 
-    if (!status || !['active', 'cancelled'].includes(status)) {
-      return res.status(400).json({ success: false, error: 'الحالة غير صحيحة' });
+    if (!taskId) {
+      return res.status(400).json({ success: false, error: 'معرف المهمة مطلوب' });
     }
 
-    const { data, error } = await supabase
+    const { data: task } = await supabase
       .from('tasks')
-      .update({ status })
+      .select('*')
       .eq('id', taskId)
-      .select()
       .single();
 
-    if (error) throw error;
-    res.json({ success: true, task: data });
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في تحديث المهمة' });
-  }
-});
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
 
-// ==========================================
-// 📝 SUBMISSIONS API
-// ==========================================
-app.post('/api/submissions', async (req, res) => {
-  try {
-    const { task_id, student_id, content, files } = req.body;
+    if (!canViewTaskSubmissions(req.user, task)) {
+      return forbidden(res);
+    }
 
-    if (!task_id || !student_id || !content) {
-      return res.status(400).json({ success: false, error: 'جميع الحقول مطلوبة' });
+    // حل طالب اختياري لتقييم المهمة على ضوء إجابة حقيقية
+    let studentSubmission = null;
+    if (submissionId) {
+      const { data: submission } = await supabase
+        .from('submissions')
+        .select('content')
+        .eq('id', submissionId)
+        .eq('task_id', taskId)
+        .single();
+
+      if (!submission) {
+        return res.status(404).json({ success: false, error: 'الحل غير موجود' });
+      }
+      studentSubmission = submission.content;
     }
 
-    const { data: submission, error } = await supabase
-      .from('submissions')
-      .insert({
-        task_id,
-        student_id,
-        content,
-        files: files || [],
-        status: 'submitted'
-      })
-      .select()
-      .single();
+    const evaluation = await evaluateTaskQuality({
+      taskDescription: task.description,
+      questions: task.questions,
+      rubric: task.rubric,
+      studentSubmission
+    }, aiOptions(req, 'evaluate-task', task.school_id));
 
-    if (error) throw error;
-    res.json({ success: true, submission });
+    res.json({ success: true, evaluation });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في رفع الحل' });
+    sendAIError(res, error, 'فشل في تقييم المهمة');
   }
 });
 
-app.get('/api/submissions/task/:taskId', async (req, res) => {
-  try {
-    const { taskId } = req.params;
-    
-    const { data: submissions } = await supabase
-      .from('submissions')
-      .select(`
-        *,
-        student:users!submissions_student_id_fkey(id, full_name, email),
-        assessments(
-          overall_score,
-          feedback,
-          skill_assessments(
-            score,
-            skills(name_en, name_ar)
-          )
-        )
-      `)
-      .eq('task_id', taskId)
-      .order('submitted_at', { ascending: false });
+// ------------------------------------------
+// نسخ القوالب وإعادة التقييم للمقارنة
+// ------------------------------------------
+const MAX_REGRADE_SUBMISSIONS = 50;
 
-    res.json({ success: true, submissions: submissions || [] });
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في تحميل الحلول' });
-  }
+// قوالب الطلبات ونسخها مع النسخة الفعالة لكل منها
+app.get('/api/ai/prompts', requireAuth, requireRole(...STAFF_ROLES), (req, res) => {
+  res.json({ success: true, prompts: listPrompts() });
 });
 
-// ==========================================
-// 📊 PERFORMANCE API
-// ==========================================
-app.get('/api/performance/student/:studentId', async (req, res) => {
+// يعيد تقييم حلول مقيّمة بنسخة قالب أخرى في الخلفية بدون حفظ التقييمات، ويقارنها بتقييمها
+// النهائي الحالي لكل مهارة قبل تبديل النسخة الفعالة:
+// { prompt_version, task_id } لآخر حلول المهمة، أو { prompt_version, submission_ids }
+app.post('/api/ai/regrade-compare', requireAuth, requireRole(...STAFF_ROLES), requireAI, async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
-    const { data: submissions } = await supabase
-      .from('submissions')
-      .select(`
-        id,
-        submitted_at,
-        tasks(title),
-        assessments(
-          overall_score,
-          skill_assessments(
-            score,
-            skills(id, name_en, name_ar)
-          )
-        )
-      `)
-      .eq('student_id', studentId)
-      .eq('status', 'graded')
-      .order('submitted_at', { ascending: true });
-
-    const skillsMap = {};
-    let totalScore = 0;
-    let totalCount = 0;
-
-    (submissions || []).forEach(sub => {
-      sub.assessments?.forEach(assessment => {
-        const score = parseFloat(assessment.overall_score || 0);
-        totalScore += score;
-        totalCount++;
-        
-        assessment.skill_assessments?.forEach(sa => {
-          const skill = sa.skills.name_en;
-          if (!skillsMap[skill]) {
-            skillsMap[skill] = {
-              name_en: sa.skills.name_en,
-              name_ar: sa.skills.name_ar,
-              scores: [],
-              total: 0,
-              count: 0
-            };
-          }
-          const skillScore = parseFloat(sa.score);
-          skillsMap[skill].scores.push(skillScore);
-          skillsMap[skill].total += skillScore;
-          skillsMap[skill].count++;
-        });
+    const { prompt_version: promptVersion, task_id: taskId, submission_ids: submissionIds } = req.body;
+
+    if (!promptVersion || typeof promptVersion !== 'string') {
+      return res.status(400).json({ success: false, error: 'نسخة القالب مطلوبة' });
+    }
+    if (!taskId === !submissionIds) {
+      return res.status(400).json({ success: false, error: 'أرسل معرف المهمة أو قائمة الحلول' });
+    }
+    if (submissionIds && (!Array.isArray(submissionIds) || submissionIds.length === 0
+      || submissionIds.length > MAX_REGRADE_SUBMISSIONS)) {
+      return res.status(400).json({
+        success: false,
+        error: 'قائمة الحلول غير صحيحة',
+        details: [`submission_ids must be a non-empty array of at most ${MAX_REGRADE_SUBMISSIONS} ids`]
       });
-    });
+    }
 
-    const skillsPerformance = Object.values(skillsMap).map(skill => ({
-      skill: skill.name_en,
-      skill_ar: skill.name_ar,
-      average: (skill.total / skill.count).toFixed(1),
-      trend: skill.scores.length > 1 ? 
-        (skill.scores[skill.scores.length - 1] > skill.scores[0] ? 'up' : 'down') : 'stable'
-    }));
+    let query = supabase
+      .from('submissions')
+      .select('id, tasks(id, school_id, rubric)')
+      .not('graded_version', 'is', null)
+      .order('submitted_at', { ascending: false });
+    query = taskId ? query.eq('task_id', taskId).limit(MAX_REGRADE_SUBMISSIONS) : query.in('id', submissionIds);
 
-    const performanceOverTime = (submissions || []).map(sub => ({
-      date: new Date(sub.submitted_at).toLocaleDateString('ar-EG'),
-      task: sub.tasks?.title || 'مهمة',
-      score: sub.assessments?.[0]?.overall_score || 0
-    }));
+    const { data: submissions, error } = await query;
+    if (error) throw error;
 
-    res.json({
-      success: true,
-      overall_average: totalCount > 0 ? (totalScore / totalCount).toFixed(1) : 0,
-      total_tasks: submissions?.length || 0,
-      skills_performance: skillsPerformance,
-      performance_over_time: performanceOverTime,
-      strengths: skillsPerformance.filter(s => parseFloat(s.average) >= 80).slice(0, 3),
-      weaknesses: skillsPerformance.filter(s => parseFloat(s.average) < 70).slice(0, 3)
+    if (!submissions?.length) {
+      return res.status(404).json({ success: false, error: 'لا توجد حلول مقيّمة للمقارنة' });
+    }
+    if (submissions.some(sub => !canViewTaskSubmissions(req.user, sub.tasks))) {
+      return forbidden(res);
+    }
+
+    // المهام ذات المعيار تستخدم قالب rubric_grading وغيرها قالب grading
+    const prompts = new Set(submissions.map(sub => (sub.tasks.rubric ? PROMPTS.RUBRIC_GRADING : PROMPTS.GRADING)));
+    const missing = [...prompts].filter(name => !hasPromptVersion(name, promptVersion));
+    if (missing.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'نسخة القالب غير موجودة',
+        details: missing.map(name => `prompt "${name}" has no version "${promptVersion}"`)
+      });
+    }
+
+    const quota = await aiUsage.checkQuota(req.user.school_id);
+    if (quota.exceeded) return sendQuotaExceeded(res, quota.exceeded);
+
+    // المقارنة كاملة لا تعاد تلقائياً حتى لا تتكرر تكلفتها
+    const job = await jobQueue.enqueue({
+      type: REGRADE_COMPARE_JOB,
+      payload: { submissionIds: submissions.map(sub => sub.id), promptVersion },
+      subject_id: taskId || null,
+      school_id: req.user.school_id,
+      created_by: req.user.id,
+      max_attempts: 1
     });
+
+    res.status(202).json({ success: true, job, submissions: submissions.length });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في تحميل الأداء' });
+    res.status(500).json({ success: false, error: 'فشل في جدولة المقارنة' });
   }
 });
 
 // ==========================================
-// 🤖 AI API
+// ⏳ JOBS API
 // ==========================================
-app.post('/api/ai/grade-submission', async (req, res) => {
-  try {
-    if (!model) {
-      return res.status(503).json({ success: false, error: 'خدمة الذكاء الاصطناعي غير متاحة' });
-    }
-
-    const { submissionId } = req.body;
-    if (!submissionId) {
-      return res.status(400).json({ success: false, error: 'معرف الحل مطلوب' });
-    }
-
-    const { data: submission } = await supabase
-      .from('submissions')
-      .select('*, tasks(*)')
-      .eq('id', submissionId)
-      .single();
+const JOB_FIELDS = 'id, type, status, attempts, max_attempts, last_error, result, batch_id, subject_id, school_id, created_by, created_at, started_at, finished_at';
 
-    if (!submission) {
-      return res.status(404).json({ success: false, error: 'الحل غير موجود' });
+app.get('/api/jobs', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { batchId } = req.query;
+    if (!batchId) {
+      return res.status(400).json({ success: false, error: 'معرف الدفعة مطلوب' });
     }
 
-    const prompt = `قيّم هذا الحل: ${submission.tasks.title}\n${submission.content}\n\nأعط JSON فقط بهذا الشكل:\n{"communication": 85, "critical_thinking": 78, "creativity": 90, "collaboration": 75, "problem_solving": 82, "overall_score": 82, "feedback": "ملاحظات"}`;
+    const { data: jobs } = await supabase
+      .from('jobs')
+      .select(JOB_FIELDS)
+      .eq('batch_id', batchId)
+      .eq('school_id', req.user.school_id)
+      .order('created_at', { ascending: true });
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    const grading = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+    const summary = (jobs || []).reduce((counts, job) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+      return counts;
+    }, { queued: 0, running: 0, completed: 0, failed: 0 });
 
-    if (!grading) throw new Error('فشل التقييم');
+    res.json({ success: true, total: jobs?.length || 0, summary, jobs: jobs || [] });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحميل المهام' });
+  }
+});
 
-    const { data: assessment } = await supabase
-      .from('assessments')
-      .insert({
-        submission_id: submissionId,
-        overall_score: grading.overall_score,
-        feedback: grading.feedback
-      })
-      .select()
+app.get('/api/jobs/:jobId', requireAuth, requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { data: job } = await supabase
+      .from('jobs')
+      .select(JOB_FIELDS)
+      .eq('id', req.params.jobId)
       .single();
 
-    const { data: skills } = await supabase.from('skills').select('*');
-    const skillAssessments = (skills || []).map(skill => ({
-      assessment_id: assessment.id,
-      skill_id: skill.id,
-      score: grading[skill.name_en.toLowerCase().replace(' ', '_')] || 75
-    }));
-
-    await supabase.from('skill_assessments').insert(skillAssessments);
-    await supabase.from('submissions').update({ status: 'graded' }).eq('id', submissionId);
+    if (!job || job.school_id !== req.user.school_id) {
+      return res.status(404).json({ success: false, error: 'المهمة غير موجودة' });
+    }
 
-    res.json({ success: true, grading });
+    res.json({ success: true, job });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في التقييم' });
+    res.status(500).json({ success: false, error: 'فشل في تحميل المهمة' });
   }
 });
 
-app.post('/api/ai/recommendations', async (req, res) => {
+// ==========================================
+// 🔔 NOTIFICATIONS API
+// ==========================================
+// query: unread=true لغير المقروءة فقط، limit (الحد الأقصى 100)، before (ISO) للصفحة التالية
+app.get('/api/notifications', requireAuth, async (req, res) => {
   try {
-    if (!model) {
-      return res.status(503).json({ success: false, error: 'خدمة الذكاء الاصطناعي غير متاحة' });
-    }
-
-    const { studentId, taskId } = req.body;
-    if (!studentId || !taskId) {
-      return res.status(400).json({ success: false, error: 'معرف الطالب والمهمة مطلوبان' });
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ success: false, error: 'قيمة before غير صحيحة' });
     }
 
-    const { data: performance } = await supabase
-      .from('submissions')
-      .select(`assessments(skill_assessments(score, skills(name_ar)))`)
-      .eq('student_id', studentId)
-      .eq('task_id', taskId)
-      .single();
-
-    const weakSkills = [];
-    performance?.assessments?.[0]?.skill_assessments?.forEach(sa => {
-      if (parseFloat(sa.score) < 70) weakSkills.push(sa.skills.name_ar);
+    const result = await listNotifications(supabase, req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit: parseInt(req.query.limit, 10) || 20,
+      before: before ? before.toISOString() : null
     });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب الإشعارات' });
+  }
+});
 
-    if (weakSkills.length === 0) {
-      return res.json({
-        success: true,
-        recommendations: {
-          diagnosis: 'أداء ممتاز!',
-          activities: ['استمر في التفوق'],
-          resources: [],
-          week_plan: [],
-          month_plan: []
-        }
-      });
+// تعليم إشعارات محددة كمقروءة: { ids: [...] }، أو كلها بدون ids
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ success: false, error: 'ids يجب أن تكون قائمة معرفات' });
     }
 
-    const prompt = `الطالب ضعيف في: ${weakSkills.join('، ')}\n\nقدم توصيات JSON:\n{"diagnosis": "...", "activities": ["..."], "resources": [{"title": "...", "type": "course", "url": "...", "duration": "..."}], "week_plan": ["..."], "month_plan": ["..."]}`;
+    const updated = await markNotificationsRead(supabase, req.user.id, ids || null);
+    res.json({ success: true, updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في تحديث الإشعارات' });
+  }
+});
+
+// channels: القنوات المفعلة على الخادم، فالبريد قد يكون معطلاً
+app.get('/api/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(supabase, req.user.id);
+    res.json({ success: true, preferences, channels: notifier.channels });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'فشل في جلب إعدادات الإشعارات' });
+  }
+});
 
-    const result = await model.generateContent(prompt);
-    const text = result.response.text();
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    const recommendations = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+// تعديل جزئي: { grading_completed: { email: false }, ... }
+app.patch('/api/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const current = await getNotificationPreferences(supabase, req.user.id);
+    const { preferences, errors } = normalizePreferences(req.body, current);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'إعدادات الإشعارات غير صحيحة', details: errors });
+    }
 
-    res.json({ success: true, recommendations });
+    await saveNotificationPreferences(supabase, req.user.id, preferences);
+    res.json({ success: true, preferences, channels: notifier.channels });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'فشل في التوصيات' });
+    res.status(500).json({ success: false, error: 'فشل في حفظ إعدادات الإشعارات' });
   }
 });
 
@@ -616,7 +3884,18 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('✅ Server running!');
   console.log(`🌐 Port: ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🤖 AI: ${model ? 'Enabled ✅' : 'Disabled ❌'}`);
+  console.log(`🤖 AI: ${ai ? `${ai.name} ✅` : 'Disabled ❌'}`);
   console.log('='.repeat(50));
+
+  jobQueue.start();
+  deadlineReminders.start();
+  aiUsage?.start();
+});
+
+process.on('SIGTERM', () => {
+  jobQueue.stop();
+  deadlineReminders.stop();
+  aiUsage?.stop();
+  process.exit(0);
 });
 
@@ -0,0 +1,181 @@
+// ==========================================
+// skillService.js - إطار المهارات لكل مدرسة
+// ==========================================
+// المهارات العامة (school_id = null) هي الإطار الافتراضي.
+// المدرسة التي تعرّف مهاراتها الخاصة تستخدم إطارها بدلاً من الافتراضي.
+// كل مهارة لها مفتاح ثابت (key) يستخدمه التقييم والتحليلات بدلاً من الاسم
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// مستويات الإتقان الافتراضية عندما لا تحدد المهارة مستوياتها
+const DEFAULT_LEVELS = [
+  { key: 'beginning', name_en: 'Beginning', name_ar: 'مبتدئ', min_score: 0, max_score: 49.9 },
+  { key: 'developing', name_en: 'Developing', name_ar: 'نامٍ', min_score: 50, max_score: 69.9 },
+  { key: 'proficient', name_en: 'Proficient', name_ar: 'متمكن', min_score: 70, max_score: 84.9 },
+  { key: 'advanced', name_en: 'Advanced', name_ar: 'متقدم', min_score: 85, max_score: 100 }
+];
+
+const SKILL_FIELDS = 'id, key, name_en, name_ar, description, parent_id, school_id, levels, sort_order, is_active';
+
+// ==========================================
+// قراءة إطار المدرسة
+// ==========================================
+async function getSchoolSkills(supabase, schoolId, { includeInactive = false } = {}) {
+  const load = async (ownerId) => {
+    let query = supabase.from('skills').select(SKILL_FIELDS);
+    query = ownerId ? query.eq('school_id', ownerId) : query.is('school_id', null);
+    const { data, error } = await query.order('sort_order', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  };
+
+  // المدرسة التي لها مهارات (حتى لو كانت كلها معطلة) لا ترجع للإطار الافتراضي
+  const own = schoolId ? await load(schoolId) : [];
+  const skills = own.length > 0 ? own : await load(null);
+
+  return includeInactive ? skills : skills.filter(skill => skill.is_active !== false);
+}
+
+// المهارات الرئيسية فقط (بدون المهارات الفرعية)، وهي ما يقيّمه الذكاء الاصطناعي
+function topLevelSkills(skills) {
+  return skills.filter(skill => !skill.parent_id);
+}
+
+function buildSkillTree(skills) {
+  const byId = new Map(skills.map(skill => [String(skill.id), { ...skill, children: [] }]));
+  const roots = [];
+
+  byId.forEach(skill => {
+    const parent = skill.parent_id && byId.get(String(skill.parent_id));
+    if (parent) parent.children.push(skill);
+    else roots.push(skill);
+  });
+
+  return roots;
+}
+
+// مستوى الإتقان المقابل للدرجة
+function levelFor(skill, score) {
+  const levels = skill.levels?.length ? skill.levels : DEFAULT_LEVELS;
+  return levels.find(level => score >= level.min_score && score <= level.max_score)
+    || (score > levels[levels.length - 1].max_score ? levels[levels.length - 1] : levels[0]);
+}
+
+// ==========================================
+// التحقق من بيانات المهارة
+// ==========================================
+function normalizeLevels(levels) {
+  const errors = [];
+
+  if (!Array.isArray(levels) || levels.length === 0) {
+    return { errors: ['levels must be a non-empty array'] };
+  }
+
+  const normalized = levels
+    .map((level, i) => {
+      const min = Number(level.min_score);
+      const max = Number(level.max_score);
+      if (!level.key || !KEY_PATTERN.test(level.key)) errors.push(`levels[${i}].key must match ${KEY_PATTERN}`);
+      if (!level.name_en || !level.name_ar) errors.push(`levels[${i}] needs name_en and name_ar`);
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max > 100 || min > max) {
+        errors.push(`levels[${i}] must have 0 <= min_score <= max_score <= 100`);
+      }
+      return { key: level.key, name_en: level.name_en, name_ar: level.name_ar, min_score: min, max_score: max };
+    })
+    .sort((a, b) => a.min_score - b.min_score);
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].min_score <= normalized[i - 1].max_score) {
+      errors.push(`levels "${normalized[i - 1].key}" and "${normalized[i].key}" overlap`);
+    }
+  }
+
+  return { levels: normalized, errors };
+}
+
+// partial = true عند التعديل، ولا يُسمح بتغيير المفتاح بعد الإنشاء
+function normalizeSkillInput(input, { partial = false } = {}) {
+  const errors = [];
+  const skill = {};
+
+  if (!partial) {
+    if (!input.key || !KEY_PATTERN.test(input.key)) {
+      errors.push('key must be lowercase letters, digits and underscores (e.g. critical_thinking)');
+    }
+    skill.key = input.key;
+  } else if (input.key !== undefined) {
+    errors.push('key cannot be changed after creation');
+  }
+
+  ['name_en', 'name_ar'].forEach(field => {
+    if (input[field] !== undefined || !partial) {
+      if (typeof input[field] !== 'string' || input[field].trim() === '') {
+        errors.push(`${field} is required`);
+      } else {
+        skill[field] = input[field].trim();
+      }
+    }
+  });
+
+  if (input.description !== undefined) skill.description = input.description || null;
+  if (input.parent_id !== undefined) skill.parent_id = input.parent_id || null;
+  if (input.sort_order !== undefined) skill.sort_order = parseInt(input.sort_order, 10) || 0;
+  if (input.is_active !== undefined) skill.is_active = !!input.is_active;
+
+  if (input.levels !== undefined) {
+    if (input.levels === null) {
+      skill.levels = null;
+    } else {
+      const result = normalizeLevels(input.levels);
+      errors.push(...result.errors);
+      skill.levels = result.levels;
+    }
+  }
+
+  return { skill, errors };
+}
+
+// ==========================================
+// نسخ الإطار الافتراضي للمدرسة لتعديله
+// ==========================================
+async function importDefaultSkills(supabase, schoolId) {
+  const defaults = await getSchoolSkills(supabase, null);
+  const idMap = new Map();
+
+  // الآباء أولاً حتى نعرف معرفاتهم الجديدة عند نسخ المهارات الفرعية
+  const ordered = [...topLevelSkills(defaults), ...defaults.filter(skill => skill.parent_id)];
+
+  for (const skill of ordered) {
+    const { data, error } = await supabase
+      .from('skills')
+      .insert({
+        school_id: schoolId,
+        key: skill.key,
+        name_en: skill.name_en,
+        name_ar: skill.name_ar,
+        description: skill.description,
+        parent_id: skill.parent_id ? idMap.get(String(skill.parent_id)) || null : null,
+        levels: skill.levels,
+        sort_order: skill.sort_order,
+        is_active: true
+      })
+      .select(SKILL_FIELDS)
+      .single();
+
+    if (error) throw error;
+    idMap.set(String(skill.id), data.id);
+  }
+
+  return getSchoolSkills(supabase, schoolId);
+}
+
+module.exports = {
+  DEFAULT_LEVELS,
+  SKILL_FIELDS,
+  getSchoolSkills,
+  topLevelSkills,
+  buildSkillTree,
+  levelFor,
+  normalizeSkillInput,
+  importDefaultSkills
+};
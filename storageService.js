@@ -0,0 +1,124 @@
+// ==========================================
+// storageService.js - تخزين ملفات الطلاب
+// ==========================================
+// كل مخزن يوفر نفس الواجهة:
+//   { name, put(key, buffer, contentType), get(key) => Buffer, remove(key),
+//     getDownloadUrl(key, { filename, contentType, expiresIn }) => url }
+// ويتم اختياره عبر STORAGE_DRIVER: local | supabase
+// local للتطوير (مجلد على القرص)، و supabase للإنتاج (Supabase Storage)
+const fs = require('fs/promises');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_BUCKET = 'submission-files';
+const DEFAULT_LOCAL_DIR = path.join(__dirname, 'uploads');
+
+// مدة صلاحية رابط التحميل بالثواني
+const DEFAULT_LINK_TTL_SECONDS = 300;
+
+// ==========================================
+// القرص المحلي
+// ==========================================
+// روابط التحميل رموز موقعة قصيرة العمر يتحقق منها مسار /api/files/download/:token
+function createLocalStorage({ dir, secret }) {
+  if (!secret) throw new Error('JWT_SECRET is required to sign local download links');
+
+  const root = path.resolve(dir);
+  const fullPath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return resolved;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = fullPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer, { flag: 'wx' });
+    },
+
+    async get(key) {
+      return fs.readFile(fullPath(key));
+    },
+
+    async remove(key) {
+      await fs.rm(fullPath(key), { force: true });
+    },
+
+    async getDownloadUrl(key, { filename, contentType, expiresIn = DEFAULT_LINK_TTL_SECONDS }) {
+      const token = jwt.sign({ key, filename, contentType }, secret, { expiresIn, audience: 'file-download' });
+      return `/api/files/download/${token}`;
+    },
+
+    // يرجع { key, filename, contentType } أو null إذا كان الرمز غير صالح أو منتهياً
+    verifyDownloadToken(token) {
+      try {
+        const { key, filename, contentType } = jwt.verify(token, secret, { audience: 'file-download' });
+        return { key, filename, contentType };
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
+
+// ==========================================
+// Supabase Storage
+// ==========================================
+function createSupabaseStorage({ supabase, bucket }) {
+  const files = () => supabase.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    async put(key, buffer, contentType) {
+      const { error } = await files().upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async get(key) {
+      const { data, error } = await files().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(key) {
+      const { error } = await files().remove([key]);
+      if (error) throw error;
+    },
+
+    async getDownloadUrl(key, { filename, expiresIn = DEFAULT_LINK_TTL_SECONDS }) {
+      const { data, error } = await files().createSignedUrl(key, expiresIn, { download: filename || true });
+      if (error) throw error;
+      return data.signedUrl;
+    }
+  };
+}
+
+// ==========================================
+// اختيار المخزن
+// ==========================================
+function resolveDriverName(env) {
+  if (env.STORAGE_DRIVER) return env.STORAGE_DRIVER.toLowerCase();
+  return env.NODE_ENV === 'production' ? 'supabase' : 'local';
+}
+
+function createStorage(supabase, env = process.env) {
+  const name = resolveDriverName(env);
+
+  switch (name) {
+    case 'local':
+      return createLocalStorage({ dir: env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR, secret: env.JWT_SECRET });
+    case 'supabase':
+      return createSupabaseStorage({ supabase, bucket: env.STORAGE_BUCKET || DEFAULT_BUCKET });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected local | supabase)`);
+  }
+}
+
+module.exports = {
+  DEFAULT_LINK_TTL_SECONDS,
+  createStorage
+};
@@ -0,0 +1,287 @@
+// ==========================================
+// submissionService.js - المواعيد النهائية وسياسات التأخير ونسخ الحلول
+// ==========================================
+// لكل طالب حل واحد في كل مهمة (submissions)، وكل تسليم أو إعادة تسليم
+// يضيف نسخة جديدة في submission_versions. الحل يحمل محتوى آخر نسخة.
+//
+// سياسة التأخير المخزنة في tasks.late_policy:
+// {
+//   "mode": "accept" | "penalty" | "reject",
+//   "grace_hours": 24,       // مهلة بعد الموعد بدون خصم
+//   "penalty_per_day": 10,   // نقاط تخصم من الدرجة الكلية عن كل يوم تأخير (mode = penalty)
+//   "max_penalty": 50
+// }
+const { clampScore } = require('./aiSchemas');
+
+const LATE_POLICY_MODES = ['accept', 'penalty', 'reject'];
+
+const DEFAULT_LATE_POLICY = {
+  mode: 'accept',
+  grace_hours: 0,
+  penalty_per_day: 0,
+  max_penalty: 100
+};
+
+const TIMELINESS = {
+  ON_TIME: 'on_time',
+  GRACE: 'grace',
+  LATE: 'late'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ==========================================
+// التحقق من إعدادات المهمة
+// ==========================================
+// يرجع { policy, errors }
+function normalizeLatePolicy(input) {
+  if (input === undefined || input === null) return { policy: { ...DEFAULT_LATE_POLICY }, errors: [] };
+
+  const errors = [];
+  const policy = { ...DEFAULT_LATE_POLICY, ...input };
+
+  if (!LATE_POLICY_MODES.includes(policy.mode)) {
+    errors.push(`late_policy.mode must be one of: ${LATE_POLICY_MODES.join(', ')}`);
+  }
+
+  ['grace_hours', 'penalty_per_day', 'max_penalty'].forEach(field => {
+    policy[field] = Number(policy[field]);
+    if (!Number.isFinite(policy[field]) || policy[field] < 0) {
+      errors.push(`late_policy.${field} must be a number >= 0`);
+    }
+  });
+
+  if (policy.max_penalty > 100) errors.push('late_policy.max_penalty must be <= 100');
+  if (policy.mode === 'penalty' && !(policy.penalty_per_day > 0)) {
+    errors.push('late_policy.penalty_per_day must be > 0 when mode is penalty');
+  }
+
+  return {
+    policy: {
+      mode: policy.mode,
+      grace_hours: policy.grace_hours,
+      penalty_per_day: policy.penalty_per_day,
+      max_penalty: policy.max_penalty
+    },
+    errors
+  };
+}
+
+function normalizeMaxResubmissions(input) {
+  if (input === undefined || input === null) return { value: 0, errors: [] };
+  const value = Number(input);
+  if (!Number.isInteger(value) || value < 0) {
+    return { errors: ['max_resubmissions must be an integer >= 0'] };
+  }
+  return { value, errors: [] };
+}
+
+// ==========================================
+// حساب التأخير
+// ==========================================
+// due_date بصيغة تاريخ فقط (2030-01-31) يعني نهاية ذلك اليوم
+function deadlineOf(task) {
+  if (!task.due_date) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(task.due_date)) {
+    return new Date(`${task.due_date}T23:59:59.999Z`);
+  }
+  const deadline = new Date(task.due_date);
+  return Number.isNaN(deadline.getTime()) ? null : deadline;
+}
+
+// يرجع { timeliness, accepted, late_penalty, hours_late }
+function evaluateDeadline(task, submittedAt = new Date()) {
+  const policy = { ...DEFAULT_LATE_POLICY, ...(task.late_policy || {}) };
+  const deadline = deadlineOf(task);
+  const lateMs = deadline ? submittedAt.getTime() - deadline.getTime() : 0;
+
+  if (lateMs <= 0) {
+    return { timeliness: TIMELINESS.ON_TIME, accepted: true, late_penalty: 0, hours_late: 0 };
+  }
+
+  const hoursLate = Math.round((lateMs / HOUR_MS) * 10) / 10;
+  const graceMs = policy.grace_hours * HOUR_MS;
+
+  if (lateMs <= graceMs) {
+    return { timeliness: TIMELINESS.GRACE, accepted: true, late_penalty: 0, hours_late: hoursLate };
+  }
+
+  if (policy.mode === 'reject') {
+    return { timeliness: TIMELINESS.LATE, accepted: false, late_penalty: 0, hours_late: hoursLate };
+  }
+
+  let penalty = 0;
+  if (policy.mode === 'penalty') {
+    // كل يوم بدأ بعد انتهاء المهلة يحسب يوماً كاملاً
+    const daysLate = Math.ceil((lateMs - graceMs) / DAY_MS);
+    penalty = Math.min(policy.max_penalty, daysLate * policy.penalty_per_day);
+  }
+
+  return { timeliness: TIMELINESS.LATE, accepted: true, late_penalty: penalty, hours_late: hoursLate };
+}
+
+// عدد التسليمات المتبقية للطالب (التسليم الأول + max_resubmissions)
+function remainingSubmissions(task, submission) {
+  const allowed = 1 + (task.max_resubmissions || 0);
+  return Math.max(0, allowed - (submission?.current_version || 0));
+}
+
+// الخصم يطبق على الدرجة الكلية فقط، أما درجات المهارات فتبقى كما هي
+// لأنها تقيس مستوى الطالب وليس التزامه بالموعد
+function applyLatePenalty(result, penalty) {
+  if (!penalty) return result;
+  return {
+    ...result,
+    raw_overall_score: result.overall_score,
+    overall_score: clampScore(result.overall_score - penalty)
+  };
+}
+
+// ==========================================
+// التسليم وإعادة التسليم
+// ==========================================
+// existing: الحل الحالي للطالب في المهمة أو null، و answers إجابات أسئلة المهمة { [question_id]: إجابة }
+// يرجع { submission, version }
+async function recordSubmission(supabase, { task, studentId, existing, content, files, answers, deadline }) {
+  const submittedAt = new Date().toISOString();
+  const versionNumber = (existing?.current_version || 0) + 1;
+  const fields = {
+    content,
+    files: files || [],
+    answers: answers || {},
+    status: 'submitted',
+    submitted_at: submittedAt,
+    current_version: versionNumber,
+    timeliness: deadline.timeliness,
+    late_penalty: deadline.late_penalty
+  };
+
+  let submission;
+  if (existing) {
+    // التحديث مشروط على رقم النسخة الحالي حتى لا يتداخل تسليمان معاً
+    const { data, error } = await supabase
+      .from('submissions')
+      .update(fields)
+      .eq('id', existing.id)
+      .eq('current_version', existing.current_version)
+      .select();
+    if (error) throw error;
+    submission = data?.[0] || null;
+  } else {
+    const { data, error } = await supabase
+      .from('submissions')
+      .insert({ task_id: task.id, student_id: studentId, ...fields })
+      .select();
+    // 23505: تسليم آخر لنفس الطالب سبقه
+    if (error && error.code !== '23505') throw error;
+    submission = data?.[0] || null;
+  }
+
+  if (!submission) return { submission: null, version: null };
+
+  const { data: version, error } = await supabase
+    .from('submission_versions')
+    .insert({
+      submission_id: submission.id,
+      version: versionNumber,
+      content,
+      files: files || [],
+      answers: answers || {},
+      submitted_at: submittedAt,
+      timeliness: deadline.timeliness,
+      late_penalty: deadline.late_penalty
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { submission, version };
+}
+
+// إعادة التسليم تعيد الحالة إلى submitted حتى تُقيّم النسخة الجديدة، أما graded_version
+// فيبقى على آخر نسخة مقيّمة فتظل نتيجتها ظاهرة في التحليلات وبطاقات التقرير.
+// تقييم نسخة أقدم متأخراً (مثل مراجعة تقييم v1 بعد تسليم v2) لا يغير الحالة
+// ولا يعيد graded_version إلى الخلف
+async function markGraded(supabase, submissionId, version) {
+  const graded = version || 1;
+
+  const { error: statusError } = await supabase
+    .from('submissions')
+    .update({ status: 'graded' })
+    .eq('id', submissionId)
+    .eq('current_version', graded);
+
+  if (statusError) throw statusError;
+
+  const { error } = await supabase
+    .from('submissions')
+    .update({ graded_version: graded })
+    .eq('id', submissionId)
+    .or(`graded_version.is.null,graded_version.lt.${graded}`);
+
+  if (error) throw error;
+}
+
+// النسخة المطلوبة من الحل، أو آخر نسخة إذا لم يحدد رقم
+async function getSubmissionVersion(supabase, submission, versionNumber) {
+  const { data } = await supabase
+    .from('submission_versions')
+    .select('*')
+    .eq('submission_id', submission.id)
+    .eq('version', versionNumber ?? submission.current_version ?? 1)
+    .maybeSingle();
+
+  return data;
+}
+
+// حلول المهمة مع الطالب ونسخ الحل وكل التقييمات، الأحدث أولاً
+async function loadTaskSubmissions(supabase, taskId) {
+  const { data, error } = await supabase
+    .from('submissions')
+    .select(`
+      *,
+      student:users!submissions_student_id_fkey(id, full_name, email),
+      submission_versions(version, submitted_at, timeliness, late_penalty),
+      assessments(
+        id,
+        version,
+        overall_score,
+        late_penalty,
+        feedback,
+        source,
+        status,
+        ai_result,
+        review_action,
+        created_at,
+        reviewed_at,
+        criterion_assessments(criterion_id, level, points, score, comment),
+        question_assessments(question_id, type, points, points_awarded, score, correct),
+        skill_assessments(
+          score,
+          skills(key, name_en, name_ar)
+        )
+      )
+    `)
+    .eq('task_id', taskId)
+    .order('submitted_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  LATE_POLICY_MODES,
+  DEFAULT_LATE_POLICY,
+  TIMELINESS,
+  normalizeLatePolicy,
+  normalizeMaxResubmissions,
+  deadlineOf,
+  evaluateDeadline,
+  remainingSubmissions,
+  applyLatePenalty,
+  recordSubmission,
+  markGraded,
+  getSubmissionVersion,
+  loadTaskSubmissions
+};
@@ -0,0 +1,116 @@
+// ==========================================
+// submissionService - إعادة التسليم بعد التقييم
+// ==========================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordSubmission, markGraded } = require('../submissionService');
+
+// قاعدة بيانات في الذاكرة بما يكفي لاستعلامات recordSubmission و markGraded فقط
+function createFakeSupabase() {
+  const tables = { submissions: [], submission_versions: [] };
+
+  function query(table) {
+    const filters = [];
+    let op = null;
+    let values = null;
+    let single = false;
+
+    const run = () => {
+      const rows = tables[table];
+      const matches = rows.filter(row => filters.every(match => match(row)));
+      let data;
+      if (op === 'insert') {
+        data = [{ id: `${table}-${rows.length + 1}`, ...values }];
+        rows.push(...data);
+      } else if (op === 'update') {
+        matches.forEach(row => Object.assign(row, values));
+        data = matches.map(row => ({ ...row }));
+      } else {
+        data = matches.map(row => ({ ...row }));
+      }
+      return { data: single ? data[0] || null : data, error: null };
+    };
+
+    const builder = {
+      select() { return builder; },
+      insert(row) { op = 'insert'; values = row; return builder; },
+      update(row) { op = 'update'; values = row; return builder; },
+      eq(column, value) { filters.push(row => row[column] === value); return builder; },
+      not(column, operator, value) { filters.push(row => row[column] != value); return builder; },
+      // فقط الصيغة التي يستخدمها markGraded: column.is.null,column.lt.N
+      or(expression) {
+        const conditions = expression.split(',').map(part => {
+          const [column, operator, value] = part.split('.');
+          return operator === 'is' ? row => row[column] == null : row => row[column] < Number(value);
+        });
+        filters.push(row => conditions.some(match => match(row)));
+        return builder;
+      },
+      single() { single = true; return builder; },
+      then(resolve, reject) { return Promise.resolve(run()).then(resolve, reject); }
+    };
+    return builder;
+  }
+
+  return { tables, from: query };
+}
+
+const onTime = { timeliness: 'on_time', late_penalty: 0 };
+
+test('resubmitting after a grade keeps the graded version visible', async () => {
+  const supabase = createFakeSupabase();
+  const task = { id: 'task-1' };
+
+  const first = await recordSubmission(supabase, {
+    task, studentId: 'student-1', existing: null, content: 'v1', deadline: onTime
+  });
+  await markGraded(supabase, first.submission.id, first.version.version);
+
+  const existing = { ...supabase.tables.submissions[0] };
+  const second = await recordSubmission(supabase, {
+    task, studentId: 'student-1', existing, content: 'v2', deadline: onTime
+  });
+
+  assert.strictEqual(second.version.version, 2);
+  assert.strictEqual(second.submission.status, 'submitted');
+  assert.strictEqual(second.submission.graded_version, 1);
+
+  // نفس شرط التحليلات وبطاقات التقرير
+  const { data: graded } = await supabase
+    .from('submissions')
+    .select('id')
+    .eq('student_id', 'student-1')
+    .not('graded_version', 'is', null);
+  assert.strictEqual(graded.length, 1);
+
+  await markGraded(supabase, second.submission.id, second.version.version);
+  assert.strictEqual(supabase.tables.submissions[0].status, 'graded');
+  assert.strictEqual(supabase.tables.submissions[0].graded_version, 2);
+});
+
+test('grading an older version after a resubmission keeps the new version pending', async () => {
+  const supabase = createFakeSupabase();
+  const task = { id: 'task-1' };
+
+  // تقييم v1 ينتظر مراجعة المعلم، والطالب يعيد التسليم قبل المراجعة
+  const first = await recordSubmission(supabase, {
+    task, studentId: 'student-1', existing: null, content: 'v1', deadline: onTime
+  });
+  const existing = { ...supabase.tables.submissions[0] };
+  await recordSubmission(supabase, {
+    task, studentId: 'student-1', existing, content: 'v2', deadline: onTime
+  });
+
+  await markGraded(supabase, first.submission.id, 1);
+  assert.strictEqual(supabase.tables.submissions[0].status, 'submitted');
+  assert.strictEqual(supabase.tables.submissions[0].graded_version, 1);
+
+  await markGraded(supabase, first.submission.id, 2);
+  assert.strictEqual(supabase.tables.submissions[0].status, 'graded');
+  assert.strictEqual(supabase.tables.submissions[0].graded_version, 2);
+
+  // تقييم متأخر لـ v1 لا يعيد graded_version إلى الخلف
+  await markGraded(supabase, first.submission.id, 1);
+  assert.strictEqual(supabase.tables.submissions[0].status, 'graded');
+  assert.strictEqual(supabase.tables.submissions[0].graded_version, 2);
+});